@@ -0,0 +1,89 @@
+import { createClient } from "@supabase/supabase-js";
+import { buildDoseCalendar } from "../../shared/ical.js";
+
+const textResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    "Content-Type": "text/plain; charset=utf-8",
+  },
+  body,
+});
+
+const hasPatientAccess = async (supabase, feed, patient) => {
+  if (patient.owner_id === feed.user_id) return true;
+  const { data, error } = await supabase
+    .from("patient_members")
+    .select("id")
+    .eq("patient_id", feed.patient_id)
+    .eq("user_id", feed.user_id)
+    .eq("status", "accepted")
+    .maybeSingle();
+  if (error) throw error;
+  return Boolean(data);
+};
+
+export const handler = async (event) => {
+  if (event.httpMethod !== "GET") {
+    return textResponse(405, "Method not allowed");
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRoleKey = process.env.SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceRoleKey) {
+    return textResponse(500, "Calendário não configurado.");
+  }
+
+  const token = event.queryStringParameters?.token;
+  if (!token) {
+    return textResponse(400, "Link de calendário inválido.");
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  try {
+    const { data: feed, error: feedError } = await supabase
+      .from("calendar_feeds")
+      .select("user_id, patient_id")
+      .eq("token", token)
+      .maybeSingle();
+    if (feedError) throw feedError;
+    if (!feed) {
+      return textResponse(404, "Link de calendário inválido ou revogado.");
+    }
+
+    const { data: patient, error: patientError } = await supabase
+      .from("patients")
+      .select("owner_id, full_name, timezone")
+      .eq("id", feed.patient_id)
+      .maybeSingle();
+    if (patientError) throw patientError;
+    if (!patient || !(await hasPatientAccess(supabase, feed, patient))) {
+      return textResponse(404, "Link de calendário inválido ou revogado.");
+    }
+
+    const { data: meds, error: medsError } = await supabase
+      .from("meds")
+      .select("*")
+      .eq("patient_id", feed.patient_id)
+      .order("created_at", { ascending: true });
+    if (medsError) throw medsError;
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="medwatch.ics"',
+        "Cache-Control": "private, max-age=900",
+      },
+      body: buildDoseCalendar({
+        name: patient.full_name,
+        timeZone: patient.timezone || "UTC",
+        meds: meds ?? [],
+      }),
+    };
+  } catch {
+    return textResponse(500, "Não foi possível gerar o calendário.");
+  }
+};
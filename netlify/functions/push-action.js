@@ -0,0 +1,142 @@
+import { createClient } from "@supabase/supabase-js";
+import { getMedSchedule } from "../../shared/alerts.js";
+import { DEFAULT_SNOOZE_MINUTES, planReplyAction } from "../../shared/replies.js";
+import { findScheduledSlot } from "../../shared/schedule.js";
+import { verifyPushAction } from "../../shared/webpush.js";
+
+const ACTION_COMMANDS = {
+  take: { type: "take" },
+  snooze: { type: "snooze", minutes: DEFAULT_SNOOZE_MINUTES },
+};
+
+const jsonResponse = (statusCode, payload) => ({
+  statusCode,
+  headers: {
+    "Content-Type": "application/json",
+  },
+  body: JSON.stringify(payload),
+});
+
+const errorResponse = (statusCode, code, error) =>
+  jsonResponse(statusCode, { code, error });
+
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return errorResponse(405, "method_not_allowed", "Method not allowed");
+  }
+
+  const actionSecret = process.env.PUSH_ACTION_SECRET;
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRoleKey = process.env.SERVICE_ROLE_KEY;
+  if (!actionSecret || !supabaseUrl || !serviceRoleKey) {
+    return errorResponse(500, "not_configured", "Notificações push não configuradas.");
+  }
+
+  let payload = {};
+  try {
+    payload = JSON.parse(event.body || "{}");
+  } catch {
+    return errorResponse(400, "invalid_payload", "Payload inválido.");
+  }
+
+  const command = ACTION_COMMANDS[payload.action];
+  if (!command) {
+    return errorResponse(400, "invalid_action", "Ação não permitida.");
+  }
+  const dose = await verifyPushAction(actionSecret, payload.token);
+  if (!dose) {
+    return errorResponse(401, "invalid_token", "Notificação expirada ou inválida.");
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  try {
+    const { data: med, error: medError } = await supabase
+      .from("meds")
+      .select("*")
+      .eq("id", dose.medId)
+      .maybeSingle();
+    if (medError) throw medError;
+    if (!med) {
+      return errorResponse(404, "med_not_found", "Medicação não encontrada.");
+    }
+
+    const { data: recipient, error: recipientError } = med.patient_id
+      ? await supabase
+          .from("patients")
+          .select("timezone")
+          .eq("id", med.patient_id)
+          .maybeSingle()
+      : await supabase
+          .from("profiles")
+          .select("timezone")
+          .eq("id", med.user_id)
+          .maybeSingle();
+    if (recipientError) throw recipientError;
+
+    const slot = findScheduledSlot(
+      getMedSchedule(med),
+      new Date(dose.scheduledFor),
+      recipient?.timezone || "UTC",
+      1
+    );
+    if (!slot) {
+      return errorResponse(404, "dose_not_found", "Dose não encontrada.");
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from("dose_events")
+      .select("dose_key")
+      .eq("med_id", med.id)
+      .eq("scheduled_for", slot.scheduledFor.toISOString())
+      .in("status", ["taken", "skipped"]);
+    if (existingError) throw existingError;
+    const unfinished =
+      med.pending_dose_key === slot.alertKey &&
+      existing?.some((event) => event.dose_key === slot.alertKey);
+    if (existing?.length && !unfinished) {
+      return errorResponse(409, "already_registered", "Esta dose já foi registrada.");
+    }
+
+    const now = new Date();
+    const { update, doseEvent, stockMovement } = planReplyAction(
+      med,
+      slot,
+      command,
+      now,
+      "push"
+    );
+    if (doseEvent) {
+      const { error: eventError } = await supabase
+        .from("dose_events")
+        .upsert(doseEvent, { onConflict: "med_id,dose_key", ignoreDuplicates: true });
+      if (eventError) throw eventError;
+    }
+    if (stockMovement) {
+      const { error: stockError } = await supabase
+        .from("stock_movements")
+        .upsert(stockMovement, {
+          onConflict: "med_id,dose_key",
+          ignoreDuplicates: true,
+        });
+      if (stockError) throw stockError;
+    }
+    const { error: updateError } = await supabase
+      .from("meds")
+      .update(update)
+      .eq("id", med.id);
+    if (updateError) throw updateError;
+
+    return jsonResponse(200, {
+      ok: true,
+      message:
+        command.type === "take"
+          ? `Dose registrada: ${med.name} das ${slot.time}.`
+          : `Certo! Vamos lembrar de ${med.name} em ${command.minutes} minutos.`,
+    });
+  } catch {
+    return errorResponse(500, "internal_error", "Não foi possível registrar a dose.");
+  }
+};
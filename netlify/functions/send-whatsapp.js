@@ -1,53 +1,181 @@
-import twilio from "twilio";
+import { createClient } from "@supabase/supabase-js";
+import { buildLowStockMessage } from "../../shared/alerts.js";
+import { createWhatsAppSender } from "../../shared/twilio.js";
 
-const jsonResponse = (statusCode, payload) => ({
+const RATE_LIMITS = [
+  { windowMinutes: 60, max: 5 },
+  { windowMinutes: 24 * 60, max: 20 },
+];
+
+const jsonResponse = (statusCode, payload, headers = {}) => ({
   statusCode,
   headers: {
     "Content-Type": "application/json",
+    ...headers,
   },
   body: JSON.stringify(payload),
 });
 
+const errorResponse = (statusCode, code, error, headers) =>
+  jsonResponse(statusCode, { code, error }, headers);
+
+const normalizePhone = (value) => String(value || "").replace(/\D/g, "");
+
+const buildTestMessage = (displayName) => ({
+  kind: "test",
+  variables: { "1": displayName },
+  body: `Olá, ${displayName}! Os alertas do MedWatch por WhatsApp estão funcionando.`,
+});
+
+const getBearerToken = (headers) => {
+  const value = headers.authorization || headers.Authorization || "";
+  const [scheme, token] = value.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
 export const handler = async (event) => {
   if (event.httpMethod !== "POST") {
-    return jsonResponse(405, { error: "Method not allowed" });
+    return errorResponse(405, "method_not_allowed", "Method not allowed");
   }
 
   const accountSid = process.env.TWILIO_ACCOUNT_SID;
   const authToken = process.env.TWILIO_AUTH_TOKEN;
   const fromNumber = process.env.TWILIO_WHATSAPP_FROM;
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRoleKey = process.env.SERVICE_ROLE_KEY;
+
+  if (!accountSid || !authToken || !fromNumber || !supabaseUrl || !serviceRoleKey) {
+    return errorResponse(500, "not_configured", "Twilio WhatsApp não configurado.");
+  }
 
-  if (!accountSid || !authToken || !fromNumber) {
-    return jsonResponse(500, { error: "Twilio WhatsApp não configurado." });
+  const token = getBearerToken(event.headers || {});
+  if (!token) {
+    return errorResponse(401, "unauthorized", "Sessão ausente.");
   }
 
   let payload = {};
   try {
     payload = JSON.parse(event.body || "{}");
   } catch {
-    return jsonResponse(400, { error: "Payload inválido." });
+    return errorResponse(400, "invalid_payload", "Payload inválido.");
   }
 
-  const { to, message } = payload;
-  if (!to || !message) {
-    return jsonResponse(400, { error: "Campos 'to' e 'message' são obrigatórios." });
+  const { to, kind, medId } = payload;
+  if (!to || !kind) {
+    return errorResponse(
+      400,
+      "invalid_payload",
+      "Campos 'to' e 'kind' são obrigatórios."
+    );
   }
+  if (kind !== "test" && kind !== "low_stock") {
+    return errorResponse(400, "kind_not_allowed", "Tipo de mensagem não permitido.");
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  const { data: authData, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !authData?.user) {
+    return errorResponse(401, "unauthorized", "Sessão inválida ou expirada.");
+  }
+  const userId = authData.user.id;
 
   try {
-    const client = twilio(accountSid, authToken);
-    const toNumber = to.startsWith("whatsapp:") ? to : `whatsapp:${to}`;
-    const fromValue = fromNumber.startsWith("whatsapp:")
-      ? fromNumber
-      : `whatsapp:${fromNumber}`;
-
-    const result = await client.messages.create({
-      body: message,
-      from: fromValue,
-      to: toNumber,
+    const [profileResult, patientsResult] = await Promise.all([
+      supabase
+        .from("profiles")
+        .select("full_name, phone_numbers")
+        .eq("id", userId)
+        .maybeSingle(),
+      supabase
+        .from("patients")
+        .select("id, full_name, phone_numbers")
+        .eq("owner_id", userId),
+    ]);
+    if (profileResult.error) throw profileResult.error;
+    if (patientsResult.error) throw patientsResult.error;
+
+    const recipients = [
+      {
+        fullName: profileResult.data?.full_name,
+        phones: profileResult.data?.phone_numbers,
+      },
+      ...patientsResult.data.map((patient) => ({
+        id: patient.id,
+        fullName: patient.full_name,
+        phones: patient.phone_numbers,
+      })),
+    ];
+    const recipient = recipients.find((entry) =>
+      (entry.phones || []).some(
+        (phone) => normalizePhone(phone) && normalizePhone(phone) === normalizePhone(to)
+      )
+    );
+    if (!recipient) {
+      return errorResponse(
+        403,
+        "recipient_not_allowed",
+        "O número informado não está cadastrado no seu perfil."
+      );
+    }
+
+    const displayName = recipient.fullName || "usuário";
+    let message = buildTestMessage(displayName);
+    if (kind === "low_stock") {
+      let medQuery = supabase
+        .from("meds")
+        .select("name, stock, unit")
+        .eq("id", medId ?? "")
+        .eq("user_id", userId);
+      medQuery = recipient.id
+        ? medQuery.eq("patient_id", recipient.id)
+        : medQuery.is("patient_id", null);
+      const { data: med, error: medError } = await medQuery.maybeSingle();
+      if (medError) throw medError;
+      if (!med) {
+        return errorResponse(404, "med_not_found", "Medicação não encontrada.");
+      }
+      message = buildLowStockMessage(displayName, med);
+    }
+
+    const { data: reservation, error: reserveError } = await supabase
+      .rpc("reserve_whatsapp_send", {
+        target_user_id: userId,
+        target_recipient: normalizePhone(to),
+        target_kind: kind,
+        limits: RATE_LIMITS,
+      })
+      .single();
+    if (reserveError) throw reserveError;
+    if (!reservation.log_id) {
+      return errorResponse(
+        429,
+        "rate_limited",
+        "Limite de envios atingido. Tente novamente mais tarde.",
+        { "Retry-After": String(reservation.retry_after_minutes * 60) }
+      );
+    }
+
+    const sendWhatsApp = createWhatsAppSender({
+      accountSid,
+      authToken,
+      fromNumber,
+      templates: {
+        low_stock: process.env.TWILIO_TEMPLATE_LOW_STOCK_SID,
+        test: process.env.TWILIO_TEMPLATE_TEST_SID,
+      },
     });
+    try {
+      await sendWhatsApp(to, message);
+    } catch {
+      await supabase.from("whatsapp_send_log").delete().eq("id", reservation.log_id);
+      return errorResponse(502, "send_failed", "Falha ao enviar WhatsApp.");
+    }
 
-    return jsonResponse(200, { sid: result.sid });
-  } catch (error) {
-    return jsonResponse(500, { error: "Falha ao enviar WhatsApp." });
+    return jsonResponse(200, { ok: true });
+  } catch {
+    return errorResponse(500, "internal_error", "Não foi possível processar o envio.");
   }
 };
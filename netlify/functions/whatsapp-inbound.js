@@ -0,0 +1,186 @@
+import twilio from "twilio";
+import { createClient } from "@supabase/supabase-js";
+import { getMedSchedule } from "../../shared/alerts.js";
+import {
+  findReplySlot,
+  parseReplyCommand,
+  planReplyAction,
+} from "../../shared/replies.js";
+import { isScheduleFinished } from "../../shared/schedule.js";
+
+const HELP_MESSAGE =
+  "Responda TOMEI para confirmar a dose, PULAR para pular ou ADIAR 30 para receber um novo lembrete em 30 minutos.";
+
+const twimlResponse = (statusCode, message) => {
+  const response = new twilio.twiml.MessagingResponse();
+  if (message) {
+    response.message(message);
+  }
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": "text/xml",
+    },
+    body: response.toString(),
+  };
+};
+
+const parseFormBody = (event) => {
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64").toString("utf8")
+    : event.body || "";
+  return Object.fromEntries(new URLSearchParams(raw));
+};
+
+const getSenderPhones = (from) => {
+  const phone = String(from || "")
+    .replace(/^whatsapp:/, "")
+    .trim();
+  const digits = phone.replace(/\D/g, "");
+  return [...new Set([phone, `+${digits}`, digits])].filter(Boolean);
+};
+
+const describeCommand = (command, doses) => {
+  const names = doses.join(", ");
+  if (command.type === "take") {
+    return `Dose registrada: ${names}.`;
+  }
+  if (command.type === "skip") {
+    return `Dose pulada: ${names}.`;
+  }
+  return `Certo! Vamos lembrar de ${names} em ${command.minutes} minutos.`;
+};
+
+const isUnfinishedReply = (med, slot, existing) =>
+  med.pending_dose_key === slot.alertKey &&
+  existing.some((event) => event.dose_key === slot.alertKey);
+
+const findReplyTargets = (meds, now, timeZone) => {
+  const candidates = meds
+    .filter((med) => !isScheduleFinished(getMedSchedule(med), now, timeZone))
+    .map((med) => ({ med, slot: findReplySlot(med, now, timeZone) }))
+    .filter(({ slot }) => slot);
+  if (!candidates.length) return [];
+  const latest = Math.max(...candidates.map(({ slot }) => slot.scheduledFor.getTime()));
+  return candidates.filter(({ slot }) => slot.scheduledFor.getTime() === latest);
+};
+
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return twimlResponse(405);
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRoleKey = process.env.SERVICE_ROLE_KEY;
+  if (!authToken || !supabaseUrl || !serviceRoleKey) {
+    return twimlResponse(500);
+  }
+
+  const params = parseFormBody(event);
+  const signature =
+    event.headers["x-twilio-signature"] || event.headers["X-Twilio-Signature"];
+  const webhookUrl = process.env.TWILIO_WEBHOOK_URL || event.rawUrl;
+  if (!signature || !twilio.validateRequest(authToken, signature, webhookUrl, params)) {
+    return twimlResponse(403);
+  }
+
+  const command = parseReplyCommand(params.Body);
+  if (!command) {
+    return twimlResponse(200, HELP_MESSAGE);
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  try {
+    const senderPhones = getSenderPhones(params.From);
+    const [patientsResult, profilesResult] = await Promise.all([
+      supabase
+        .from("patients")
+        .select("id, timezone")
+        .overlaps("phone_numbers", senderPhones),
+      supabase
+        .from("profiles")
+        .select("id, timezone")
+        .overlaps("phone_numbers", senderPhones),
+    ]);
+    if (patientsResult.error) throw patientsResult.error;
+    if (profilesResult.error) throw profilesResult.error;
+    const recipients = [
+      ...patientsResult.data.map((patient) => ({
+        timeZone: patient.timezone || "UTC",
+        scope: (query) => query.eq("patient_id", patient.id),
+      })),
+      ...profilesResult.data.map((profile) => ({
+        timeZone: profile.timezone || "UTC",
+        scope: (query) => query.eq("user_id", profile.id).is("patient_id", null),
+      })),
+    ];
+    if (!recipients.length) {
+      return twimlResponse(200, "Não encontramos um cadastro com este número.");
+    }
+
+    const now = new Date();
+    const handledDoses = [];
+    for (const { timeZone, scope } of recipients) {
+      const { data: meds, error: medsError } = await scope(
+        supabase.from("meds").select("*").eq("alerts_enabled", true)
+      );
+      if (medsError) throw medsError;
+
+      for (const { med, slot } of findReplyTargets(meds ?? [], now, timeZone)) {
+        const { data: existing, error: existingError } = await supabase
+          .from("dose_events")
+          .select("dose_key")
+          .eq("med_id", med.id)
+          .eq("scheduled_for", slot.scheduledFor.toISOString())
+          .in("status", ["taken", "skipped"]);
+        if (existingError) throw existingError;
+        if (existing?.length && !isUnfinishedReply(med, slot, existing)) continue;
+
+        const { update, doseEvent, stockMovement } = planReplyAction(
+          med,
+          slot,
+          command,
+          now
+        );
+        if (doseEvent) {
+          const { error: eventError } = await supabase
+            .from("dose_events")
+            .upsert(doseEvent, {
+              onConflict: "med_id,dose_key",
+              ignoreDuplicates: true,
+            });
+          if (eventError) throw eventError;
+        }
+        if (stockMovement) {
+          const { error: stockError } = await supabase
+            .from("stock_movements")
+            .upsert(stockMovement, {
+              onConflict: "med_id,dose_key",
+              ignoreDuplicates: true,
+            });
+          if (stockError) throw stockError;
+        }
+        const { error: updateError } = await supabase
+          .from("meds")
+          .update(update)
+          .eq("id", med.id);
+        if (updateError) throw updateError;
+        handledDoses.push(`${med.name} das ${slot.time}`);
+      }
+    }
+
+    if (!handledDoses.length) {
+      return twimlResponse(200, "Não há doses pendentes para confirmar agora.");
+    }
+    return twimlResponse(200, describeCommand(command, handledDoses));
+  } catch {
+    return twimlResponse(
+      200,
+      "Não foi possível registrar sua resposta. Tente novamente."
+    );
+  }
+};
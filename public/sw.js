@@ -0,0 +1,123 @@
+const PUSH_ACTION_ENDPOINT = "/.netlify/functions/push-action";
+const CACHE_NAME = "medwatch-v1";
+const APP_SHELL = ["/", "/index.html", "/logo.png", "/manifest.webmanifest"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const fromNetwork = async (request, cacheKey = request) => {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(cacheKey, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fromNetwork(request, "/index.html").catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  if (url.pathname.startsWith("/assets/") || APP_SHELL.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached ?? fromNetwork(request))
+    );
+  }
+});
+
+const parsePushData = (event) => {
+  try {
+    return event.data?.json() ?? {};
+  } catch {
+    return { body: event.data?.text() ?? "" };
+  }
+};
+
+self.addEventListener("push", (event) => {
+  const data = parsePushData(event);
+  const options = {
+    body: data.body,
+    icon: "/logo.png",
+    badge: "/logo.png",
+    tag: data.tag,
+    renotify: Boolean(data.tag),
+    data,
+  };
+  if (data.actionToken) {
+    options.actions = [
+      { action: "take", title: "Tomei" },
+      { action: "snooze", title: "Adiar" },
+    ];
+    options.requireInteraction = true;
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || "MedWatch", options)
+  );
+});
+
+const openApp = async () => {
+  const windows = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+  const existing = windows.find((client) => "focus" in client);
+  if (existing) {
+    return existing.focus();
+  }
+  return self.clients.openWindow("/");
+};
+
+const registerAction = async (action, data) => {
+  const message = await fetch(PUSH_ACTION_ENDPOINT, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ action, token: data.actionToken }),
+  })
+    .then((response) => response.json())
+    .then((payload) => payload.message || payload.error)
+    .catch(() => null);
+  await self.registration.showNotification("MedWatch", {
+    body: message || "Não foi possível registrar a dose.",
+    icon: "/logo.png",
+    tag: data.tag,
+  });
+};
+
+self.addEventListener("notificationclick", (event) => {
+  const data = event.notification.data ?? {};
+  event.notification.close();
+  if (event.action && data.actionToken) {
+    event.waitUntil(registerAction(event.action, data));
+    return;
+  }
+  event.waitUntil(openApp());
+});
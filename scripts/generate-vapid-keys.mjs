@@ -0,0 +1,7 @@
+import { generateVapidKeys } from "../shared/webpush.js";
+
+const { publicKey, privateKey } = await generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VITE_VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
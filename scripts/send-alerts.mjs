@@ -1,6 +1,18 @@
-const ALERT_WINDOW_MINUTES = 10;
+import { applyDeliveredMessages, planMedAlerts } from "../shared/alerts.js";
+import {
+  createFakeProviders,
+  createNotificationDispatcher,
+} from "../shared/channels.js";
+import { DOSE_MATCH_WINDOW_MINUTES } from "../shared/schedule.js";
+import { createEmailSender } from "../shared/smtp.js";
+import { createTelegramSender } from "../shared/telegram.js";
+import { createSmsSender, createWhatsAppSender } from "../shared/twilio.js";
+import { createWebPushSender } from "../shared/webpush.js";
+
 const PAGE_SIZE = 200;
 const MAX_SENDS_PER_RUN = 50;
+const RECIPIENT_COLUMNS =
+  "id,full_name,phone_numbers,contacts,whatsapp_enabled,timezone,reminder_interval_minutes,reminder_max_repeats,refill_lead_days,caregiver_phone";
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const serviceRoleKey = process.env.SERVICE_ROLE_KEY;
@@ -9,113 +21,119 @@ const authToken = process.env.TWILIO_AUTH_TOKEN;
 const fromNumber = process.env.TWILIO_WHATSAPP_FROM;
 const templateAlertDose = process.env.TWILIO_TEMPLATE_ALERT_DOSE_SID;
 const templateLowStock = process.env.TWILIO_TEMPLATE_LOW_STOCK_SID;
+const templateDoseReminder = process.env.TWILIO_TEMPLATE_DOSE_REMINDER_SID;
+const templateMissedDose = process.env.TWILIO_TEMPLATE_MISSED_DOSE_SID;
+const templateBatchExpiry = process.env.TWILIO_TEMPLATE_BATCH_EXPIRY_SID;
+const smsFromNumber = process.env.TWILIO_SMS_FROM;
+const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
+const smtpHost = process.env.SMTP_HOST;
+const smtpFrom = process.env.SMTP_FROM;
+const vapidPublicKey = process.env.VAPID_PUBLIC_KEY;
+const vapidPrivateKey = process.env.VAPID_PRIVATE_KEY;
+const vapidSubject = process.env.VAPID_SUBJECT;
+const useFakeProvider = process.env.NOTIFICATION_PROVIDER === "fake";
 
 if (!supabaseUrl || !serviceRoleKey) {
   throw new Error("Missing SUPABASE_URL or SERVICE_ROLE_KEY.");
 }
-if (!accountSid || !authToken || !fromNumber) {
+if ((fromNumber || smsFromNumber) && (!accountSid || !authToken)) {
   throw new Error("Missing Twilio credentials.");
 }
-if (!templateAlertDose || !templateLowStock) {
+if (fromNumber && (!templateAlertDose || !templateLowStock)) {
   throw new Error("Missing Twilio template SIDs.");
 }
+if (smtpHost && !smtpFrom) {
+  throw new Error("Missing SMTP_FROM.");
+}
+if ((vapidPublicKey || vapidPrivateKey) && !vapidSubject) {
+  throw new Error("Missing VAPID_SUBJECT.");
+}
 
-const toMinutes = (time) => {
-  const [hours, minutes] = time.split(":").map(Number);
-  return hours * 60 + minutes;
-};
-
-const normalizeScheduleTimes = (value, fallbackDose = 1) => {
-  if (!Array.isArray(value)) return [];
-  return value
-    .map((entry) => {
-      if (typeof entry === "string") {
-        return { time: entry, pills: fallbackDose };
-      }
-      if (entry && typeof entry === "object") {
-        const time = entry.time || "";
-        if (!time) return null;
-        return {
-          time,
-          pills: Number(entry.pills ?? fallbackDose),
-        };
-      }
-      return null;
-    })
-    .filter(Boolean);
-};
-
-const getZonedParts = (date, timeZone) => {
-  const formatter = new Intl.DateTimeFormat("en-US", {
-    timeZone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
+const outbox = [];
+const providers = useFakeProvider ? createFakeProviders(outbox) : {};
+if (!useFakeProvider && fromNumber) {
+  providers.whatsapp = createWhatsAppSender({
+    accountSid,
+    authToken,
+    fromNumber,
+    templates: {
+      dose: templateAlertDose,
+      low_stock: templateLowStock,
+      dose_reminder: templateDoseReminder,
+      missed_dose: templateMissedDose,
+      batch_expiry: templateBatchExpiry,
+    },
   });
-  const parts = formatter.formatToParts(date);
-  const map = Object.fromEntries(parts.map((part) => [part.type, part.value]));
-  return {
-    hour: Number(map.hour),
-    minute: Number(map.minute),
-    dateString: `${map.year}-${map.month}-${map.day}`,
-  };
-};
-
-const buildAlertKey = (dateString, time) => `${dateString}-${time}`;
-
-const normalizePhone = (value) =>
-  value.startsWith("whatsapp:") ? value : `whatsapp:${value}`;
-
-const sendWhatsAppTemplate = async (to, contentSid, variables) => {
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
-  const body = new URLSearchParams({
-    From: normalizePhone(fromNumber),
-    To: normalizePhone(to),
-    ContentSid: contentSid,
-    ContentVariables: JSON.stringify(variables),
+}
+if (!useFakeProvider && smsFromNumber) {
+  providers.sms = createSmsSender({ accountSid, authToken, fromNumber: smsFromNumber });
+}
+if (!useFakeProvider && smtpHost) {
+  providers.email = createEmailSender({
+    host: smtpHost,
+    port: Number(process.env.SMTP_PORT) || undefined,
+    security: process.env.SMTP_SECURITY || undefined,
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: smtpFrom,
   });
-  const auth = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Basic ${auth}`,
-      "Content-Type": "application/x-www-form-urlencoded",
-    },
-    body,
+}
+if (!useFakeProvider && telegramBotToken) {
+  providers.telegram = createTelegramSender({ botToken: telegramBotToken });
+}
+if (!useFakeProvider && vapidPublicKey && vapidPrivateKey) {
+  providers.push = createWebPushSender({
+    publicKey: vapidPublicKey,
+    privateKey: vapidPrivateKey,
+    subject: vapidSubject,
+    actionSecret: process.env.PUSH_ACTION_SECRET,
+    onExpired: (subscription) => deletePushSubscription(subscription),
   });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Twilio error: ${response.status} ${text}`);
-  }
-};
+}
+if (!Object.keys(providers).length) {
+  throw new Error("No notification channel configured.");
+}
+
+const notify = createNotificationDispatcher(providers, {
+  onError: (error, contact) =>
+    console.error(`Failed to send via ${contact.channel}: ${error.message}`),
+});
 
-const fetchMedsPage = async (offset) => {
+const fetchMedsPage = async (afterId) => {
   const url = new URL(`${supabaseUrl}/rest/v1/meds`);
   url.searchParams.set(
     "select",
     [
       "id",
       "user_id",
+      "patient_id",
       "name",
       "unit",
       "dose_amount",
       "stock",
       "low_threshold",
       "schedule_times",
+      "recurrence",
+      "schedule_phases",
+      "as_needed",
       "alerts_enabled",
       "auto_deduct",
       "last_alert_key",
       "last_auto_dose_key",
       "last_whatsapp_alert_key",
       "last_low_stock_whatsapp_date",
+      "pending_dose_key",
+      "pending_dose_at",
+      "reminder_count",
+      "last_reminder_at",
+      "snoozed_until",
     ].join(",")
   );
   url.searchParams.set("alerts_enabled", "eq.true");
-  url.searchParams.set("order", "created_at.desc");
-  url.searchParams.set("offset", String(offset));
+  if (afterId) {
+    url.searchParams.set("id", `gt.${afterId}`);
+  }
+  url.searchParams.set("order", "id.asc");
   url.searchParams.set("limit", String(PAGE_SIZE));
 
   const response = await fetch(url, {
@@ -131,21 +149,21 @@ const fetchMedsPage = async (offset) => {
   return response.json();
 };
 
-const fetchProfiles = async (userIds) => {
-  if (!userIds.length) return new Map();
+const fetchRowsIn = async (table, select, column, ids, filters = {}) => {
+  if (!ids.length) return [];
   const chunks = [];
-  for (let i = 0; i < userIds.length; i += 100) {
-    chunks.push(userIds.slice(i, i + 100));
+  for (let i = 0; i < ids.length; i += 100) {
+    chunks.push(ids.slice(i, i + 100));
   }
 
   const results = await Promise.all(
     chunks.map(async (chunk) => {
-      const url = new URL(`${supabaseUrl}/rest/v1/profiles`);
-      url.searchParams.set(
-        "select",
-        "id,full_name,phone_numbers,whatsapp_enabled,timezone"
-      );
-      url.searchParams.set("id", `in.(${chunk.join(",")})`);
+      const url = new URL(`${supabaseUrl}/rest/v1/${table}`);
+      url.searchParams.set("select", select);
+      url.searchParams.set(column, `in.(${chunk.join(",")})`);
+      Object.entries(filters).forEach(([key, value]) => {
+        url.searchParams.set(key, value);
+      });
       const response = await fetch(url, {
         headers: {
           Authorization: `Bearer ${serviceRoleKey}`,
@@ -154,19 +172,113 @@ const fetchProfiles = async (userIds) => {
       });
       if (!response.ok) {
         const text = await response.text();
-        throw new Error(`Supabase profiles error: ${response.status} ${text}`);
+        throw new Error(`Supabase ${table} error: ${response.status} ${text}`);
       }
       return response.json();
     })
   );
+  return results.flat();
+};
+
+const fetchByIds = async (table, ids, columns = RECIPIENT_COLUMNS) =>
+  new Map((await fetchRowsIn(table, columns, "id", ids)).map((row) => [row.id, row]));
 
+const fetchPushSubscriptions = async (userIds) => {
   const map = new Map();
-  results.flat().forEach((profile) => {
-    map.set(profile.id, profile);
+  if (!providers.push) return map;
+  const rows = await fetchRowsIn(
+    "push_subscriptions",
+    "user_id,endpoint,p256dh,auth",
+    "user_id",
+    userIds
+  );
+  rows.forEach(({ user_id: userId, ...subscription }) => {
+    map.set(userId, [...(map.get(userId) || []), subscription]);
   });
   return map;
 };
 
+const deletePushSubscription = async (subscription) => {
+  const url = new URL(`${supabaseUrl}/rest/v1/push_subscriptions`);
+  url.searchParams.set("endpoint", `eq.${subscription.endpoint}`);
+  const response = await fetch(url, {
+    method: "DELETE",
+    headers: {
+      Authorization: `Bearer ${serviceRoleKey}`,
+      apikey: serviceRoleKey,
+      Prefer: "return=minimal",
+    },
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Supabase push subscription error: ${response.status} ${text}`);
+  }
+};
+
+const fetchPendingDoseEvents = async (meds) => {
+  const pending = meds.filter((med) => med.pending_dose_key && med.pending_dose_at);
+  if (!pending.length) return new Map();
+  const since = new Date(
+    Math.min(...pending.map((med) => new Date(med.pending_dose_at).getTime())) -
+      DOSE_MATCH_WINDOW_MINUTES * 60000
+  );
+
+  const url = new URL(`${supabaseUrl}/rest/v1/dose_events`);
+  url.searchParams.set("select", "med_id,scheduled_for,taken_at,status");
+  url.searchParams.set("med_id", `in.(${pending.map((med) => med.id).join(",")})`);
+  url.searchParams.set("created_at", `gte.${since.toISOString()}`);
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${serviceRoleKey}`,
+      apikey: serviceRoleKey,
+    },
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Supabase dose events error: ${response.status} ${text}`);
+  }
+
+  const map = new Map();
+  (await response.json()).forEach((event) => {
+    map.set(event.med_id, [...(map.get(event.med_id) || []), event]);
+  });
+  return map;
+};
+
+const fetchStockBatches = async (meds) => {
+  const rows = await fetchRowsIn(
+    "stock_batches",
+    "id,med_id,lot_number,expires_on,remaining,expiry_notified",
+    "med_id",
+    meds.map((med) => med.id),
+    { remaining: "gt.0", expires_on: "not.is.null" }
+  );
+  const map = new Map();
+  rows.forEach((batch) => {
+    map.set(batch.med_id, [...(map.get(batch.med_id) || []), batch]);
+  });
+  return map;
+};
+
+const updateStockBatch = async ({ id, ...payload }) => {
+  const url = new URL(`${supabaseUrl}/rest/v1/stock_batches`);
+  url.searchParams.set("id", `eq.${id}`);
+  const response = await fetch(url, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${serviceRoleKey}`,
+      apikey: serviceRoleKey,
+      "Content-Type": "application/json",
+      Prefer: "return=minimal",
+    },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Supabase stock batch error: ${response.status} ${text}`);
+  }
+};
+
 const updateMed = async (medId, payload) => {
   const url = new URL(`${supabaseUrl}/rest/v1/meds`);
   url.searchParams.set("id", `eq.${medId}`);
@@ -186,102 +298,131 @@ const updateMed = async (medId, payload) => {
   }
 };
 
+const insertDoseEvent = async (payload) => {
+  const url = new URL(`${supabaseUrl}/rest/v1/dose_events`);
+  url.searchParams.set("on_conflict", "med_id,dose_key");
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${serviceRoleKey}`,
+      apikey: serviceRoleKey,
+      "Content-Type": "application/json",
+      Prefer: "return=minimal,resolution=ignore-duplicates",
+    },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Supabase dose event error: ${response.status} ${text}`);
+  }
+};
+
+const insertStockMovements = async (payload) => {
+  const url = new URL(`${supabaseUrl}/rest/v1/stock_movements`);
+  url.searchParams.set("on_conflict", "med_id,dose_key");
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${serviceRoleKey}`,
+      apikey: serviceRoleKey,
+      "Content-Type": "application/json",
+      Prefer: "return=minimal,resolution=ignore-duplicates",
+    },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Supabase stock movement error: ${response.status} ${text}`);
+  }
+};
+
 const run = async () => {
   const now = new Date();
-  let offset = 0;
+  let lastId = null;
   let sentCount = 0;
 
   while (sentCount < MAX_SENDS_PER_RUN) {
-    const page = await fetchMedsPage(offset);
+    const page = await fetchMedsPage(lastId);
     if (!page.length) break;
     const userIds = [...new Set(page.map((med) => med.user_id).filter(Boolean))];
-    const profiles = await fetchProfiles(userIds);
+    const patientIds = [...new Set(page.map((med) => med.patient_id).filter(Boolean))];
+    const profiles = await fetchByIds("profiles", userIds);
+    const patients = await fetchByIds(
+      "patients",
+      patientIds,
+      `${RECIPIENT_COLUMNS},owner_id`
+    );
+    const members = await fetchRowsIn(
+      "patient_members",
+      "patient_id,user_id",
+      "patient_id",
+      patientIds,
+      { status: "eq.accepted" }
+    );
+    const pushSubscriptions = await fetchPushSubscriptions([
+      ...new Set([
+        ...userIds,
+        ...[...patients.values()].map((patient) => patient.owner_id),
+        ...members.map((member) => member.user_id),
+      ]),
+    ]);
+    const pendingEvents = await fetchPendingDoseEvents(page);
+    const stockBatches = await fetchStockBatches(page);
 
     for (const med of page) {
-      const profile = profiles.get(med.user_id);
-      if (!profile || profile.whatsapp_enabled === false) continue;
-      const phones = (profile.phone_numbers || []).filter((value) => value?.trim());
-      if (!phones.length) continue;
-      const scheduleTimes = normalizeScheduleTimes(
-        med.schedule_times,
-        med.dose_amount || 1
+      const recipient = patients.get(med.patient_id) ?? profiles.get(med.user_id);
+      if (!recipient) continue;
+      const subscriberIds = med.patient_id
+        ? [
+            recipient.owner_id,
+            ...members
+              .filter((member) => member.patient_id === med.patient_id)
+              .map((member) => member.user_id),
+          ]
+        : [med.user_id];
+      const profile = {
+        ...recipient,
+        push_subscriptions: subscriberIds.flatMap(
+          (userId) => pushSubscriptions.get(userId) || []
+        ),
+      };
+      const plan = planMedAlerts(
+        med,
+        profile,
+        now,
+        pendingEvents.get(med.id),
+        stockBatches.get(med.id)
       );
-      if (!scheduleTimes.length) continue;
-
-      const timeZone = profile.timezone || "UTC";
-      const parts = getZonedParts(now, timeZone);
-      const nowMinutes = parts.hour * 60 + parts.minute;
 
-      let newLastWhatsAppKey = med.last_whatsapp_alert_key;
-      let newLastAutoDoseKey = med.last_auto_dose_key;
-      let newLastTaken = null;
-      let newStock = med.stock;
-      let shouldUpdate = false;
-
-      const displayName = profile.full_name || "usuário";
-
-      for (const entry of scheduleTimes) {
-        const scheduledMinutes = toMinutes(entry.time);
-        const diffMinutes = nowMinutes - scheduledMinutes;
-        if (diffMinutes < 0 || diffMinutes > ALERT_WINDOW_MINUTES) continue;
-
-        const alertKey = buildAlertKey(parts.dateString, entry.time);
-        const doseAmount = Number(entry.pills ?? med.dose_amount ?? 1);
-        if (med.last_whatsapp_alert_key !== alertKey) {
-          for (const phone of phones) {
-            await sendWhatsAppTemplate(phone, templateAlertDose, {
-              "1": displayName,
-              "2": med.name,
-              "3": String(doseAmount),
-              "4": entry.time,
-            });
-            sentCount += 1;
-            if (sentCount >= MAX_SENDS_PER_RUN) break;
-          }
-          newLastWhatsAppKey = alertKey;
-          shouldUpdate = true;
-        }
-
-        if (med.auto_deduct && med.last_auto_dose_key !== alertKey) {
-          newStock = Math.max(0, newStock - doseAmount);
-          newLastTaken = now.toISOString();
-          newLastAutoDoseKey = alertKey;
-          shouldUpdate = true;
-        }
-      }
-
-      if (
-        med.stock <= med.low_threshold &&
-        med.last_low_stock_whatsapp_date !== parts.dateString
-      ) {
-        for (const phone of phones) {
-          await sendWhatsAppTemplate(phone, templateLowStock, {
-            "1": displayName,
-            "2": med.name,
-            "3": String(med.stock),
-          });
+      const deliveredMessages = [];
+      for (const message of plan.messages) {
+        let delivered = false;
+        for (const contact of message.recipients) {
+          if (!(await notify(contact, message))) continue;
+          delivered = true;
           sentCount += 1;
           if (sentCount >= MAX_SENDS_PER_RUN) break;
         }
-        shouldUpdate = true;
+        if (delivered) deliveredMessages.push(message);
+        if (sentCount >= MAX_SENDS_PER_RUN) break;
       }
+      const { doseEvents, stockMovements } = plan;
+      const { update, batchUpdates } = applyDeliveredMessages(
+        plan.update,
+        deliveredMessages
+      );
 
-      if (shouldUpdate) {
-        const updatePayload = {
-          last_whatsapp_alert_key: newLastWhatsAppKey,
-          last_auto_dose_key: newLastAutoDoseKey,
-        };
-        if (newLastTaken) {
-          updatePayload.last_taken = newLastTaken;
-          updatePayload.stock = newStock;
+      if (update) {
+        await updateMed(med.id, update);
+        for (const doseEvent of doseEvents) {
+          await insertDoseEvent(doseEvent);
         }
-        if (
-          med.stock <= med.low_threshold &&
-          med.last_low_stock_whatsapp_date !== parts.dateString
-        ) {
-          updatePayload.last_low_stock_whatsapp_date = parts.dateString;
+        if (stockMovements.length) {
+          await insertStockMovements(stockMovements);
         }
-        await updateMed(med.id, updatePayload);
+      }
+      for (const batchUpdate of batchUpdates) {
+        await updateStockBatch(batchUpdate);
       }
 
       if (sentCount >= MAX_SENDS_PER_RUN) break;
@@ -290,9 +431,12 @@ const run = async () => {
     if (page.length < PAGE_SIZE) {
       break;
     }
-    offset += PAGE_SIZE;
+    lastId = page[page.length - 1].id;
   }
 
+  if (useFakeProvider) {
+    outbox.forEach((entry) => console.log(JSON.stringify(entry)));
+  }
   console.log(JSON.stringify({ sentCount }));
 };
 
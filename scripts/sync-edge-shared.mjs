@@ -0,0 +1,48 @@
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const EDGE_MODULES = [
+  "alerts.js",
+  "channels.js",
+  "schedule.js",
+  "telegram.js",
+  "twilio.js",
+  "units.js",
+  "webpush.js",
+];
+
+const rootDir = fileURLToPath(new URL("../", import.meta.url));
+const sharedDir = `${rootDir}shared`;
+const edgeSharedDir = `${rootDir}supabase/functions/_shared`;
+const checkOnly = process.argv.includes("--check");
+
+const readIfExists = (path) => {
+  try {
+    return readFileSync(path, "utf8");
+  } catch {
+    return null;
+  }
+};
+
+const stale = EDGE_MODULES.filter((file) => {
+  const source = `// Copied from shared/${file} by scripts/sync-edge-shared.mjs. Edit the original.\n${readFileSync(`${sharedDir}/${file}`, "utf8")}`;
+  if (readIfExists(`${edgeSharedDir}/${file}`) === source) return false;
+  if (!checkOnly) {
+    mkdirSync(edgeSharedDir, { recursive: true });
+    writeFileSync(`${edgeSharedDir}/${file}`, source);
+  }
+  return true;
+});
+
+if (checkOnly && stale.length) {
+  console.error(
+    `supabase/functions/_shared is out of date (${stale.join(", ")}). Run npm run functions:sync.`
+  );
+  process.exitCode = 1;
+} else {
+  console.log(
+    stale.length
+      ? `Synced ${stale.join(", ")}.`
+      : "supabase/functions/_shared is up to date."
+  );
+}
@@ -0,0 +1,363 @@
+import {
+  DEFAULT_TIMEZONE,
+  DOSE_MATCH_WINDOW_MINUTES,
+  getExpiryStatus,
+  getSupplyForecast,
+  getZonedParts,
+  isScheduleFinished,
+  needsRefill,
+  normalizePhases,
+  normalizeRecurrence,
+  normalizeScheduleTimes,
+  planDoseRun,
+} from "./schedule.js";
+import { getProfileContacts } from "./channels.js";
+import { formatAmount, formatQuantity, formatUnit } from "./units.js";
+
+export const buildDoseMessage = (displayName, med, slot) => ({
+  kind: "dose",
+  title: "Hora do remédio",
+  replyHint: true,
+  dose: { medId: med.id, scheduledFor: slot.scheduledFor.toISOString() },
+  variables: {
+    "1": displayName,
+    "2": med.name,
+    "3": formatAmount(slot.pills, med.unit),
+    "4": slot.time,
+    "5": formatUnit(slot.pills, med.unit),
+  },
+  body: `Hora de tomar ${med.name}. Dose: ${formatQuantity(
+    slot.pills,
+    med.unit
+  )} às ${slot.time}.`,
+});
+
+const formatDate = (dateString) => {
+  const [year, month, day] = dateString.split("-");
+  return `${day}/${month}/${year}`;
+};
+
+const formatDays = (days) => (days === 1 ? "1 dia" : `${days} dias`);
+
+const describeRunOut = ({ daysLeft, runOutDate }) => {
+  if (daysLeft === 0) return "acabam hoje";
+  return `acabam em ${formatDays(daysLeft)} (${formatDate(runOutDate)})`;
+};
+
+export const buildLowStockMessage = (displayName, med, forecast = null) => ({
+  kind: "low_stock",
+  title: "Estoque baixo",
+  variables: {
+    "1": displayName,
+    "2": med.name,
+    "3": formatAmount(med.stock, med.unit),
+    "4": formatUnit(med.stock, med.unit),
+  },
+  body: forecast
+    ? `Estoque baixo: ${med.name}. Restam ${formatQuantity(
+        med.stock,
+        med.unit
+      )}, que ${describeRunOut(forecast)}. Providencie reposição.`
+    : `Estoque baixo: ${med.name}. Restam ${formatQuantity(
+        med.stock,
+        med.unit
+      )}. Providencie reposição.`,
+});
+
+const describeBatchExpiry = (med, batch) => {
+  const label = batch.lot_number ? `lote ${batch.lot_number}` : "caixa sem lote";
+  const expiry =
+    batch.status === "expired"
+      ? `venceu em ${formatDate(batch.expires_on)}`
+      : batch.daysLeft === 0
+        ? "vence hoje"
+        : `vence em ${formatDays(batch.daysLeft)} (${formatDate(batch.expires_on)})`;
+  return `${label} (${formatQuantity(batch.remaining, med.unit)}) ${expiry}`;
+};
+
+export const buildExpiryMessage = (displayName, med, batches) => {
+  const expired = batches.some((batch) => batch.status === "expired");
+  const summary = batches.map((batch) => describeBatchExpiry(med, batch)).join("; ");
+  return {
+    kind: "batch_expiry",
+    title: expired ? "Medicação vencida" : "Validade próxima",
+    variables: {
+      "1": displayName,
+      "2": med.name,
+      "3": summary,
+    },
+    body: `Validade de ${med.name}: ${summary}. ${
+      expired ? "Separe e descarte as caixas vencidas." : "Use estas caixas primeiro."
+    }`,
+  };
+};
+
+export const buildReminderMessage = (displayName, med, time, attempt) => ({
+  kind: "dose_reminder",
+  title: "Lembrete de dose",
+  replyHint: true,
+  dose: { medId: med.id, scheduledFor: med.pending_dose_at },
+  variables: {
+    "1": displayName,
+    "2": med.name,
+    "3": time,
+    "4": String(attempt),
+  },
+  body: `Lembrete ${attempt}: a dose de ${med.name} das ${time} ainda não foi confirmada.`,
+});
+
+export const buildMissedDoseMessage = (displayName, med, time) => ({
+  kind: "missed_dose",
+  title: "Dose não confirmada",
+  variables: {
+    "1": displayName,
+    "2": med.name,
+    "3": time,
+  },
+  body: `${displayName} não confirmou a dose de ${med.name} das ${time}.`,
+});
+
+export const canNotifyProfile = (profile) =>
+  Boolean(profile) &&
+  profile.whatsapp_enabled !== false &&
+  getProfileContacts(profile).length > 0;
+
+export const getReminderSettings = (profile) => {
+  const contacts = getProfileContacts(profile);
+  const caregiverAddress = profile?.caregiver_phone?.trim();
+  const caregiverContacts = contacts.filter(
+    (contact) => caregiverAddress && contact.address === caregiverAddress
+  );
+  const patientContacts = contacts.filter(
+    (contact) => !caregiverContacts.includes(contact)
+  );
+  return {
+    intervalMinutes: Math.max(1, Number(profile?.reminder_interval_minutes) || 15),
+    maxRepeats: Math.max(0, Number(profile?.reminder_max_repeats) || 0),
+    caregiverContacts,
+    patientContacts: patientContacts.length ? patientContacts : contacts,
+  };
+};
+
+export const isDoseConfirmed = (pendingAt, doseEvents = []) => {
+  const pendingTime = new Date(pendingAt).getTime();
+  const windowMs = DOSE_MATCH_WINDOW_MINUTES * 60000;
+  return doseEvents.some((event) => {
+    if (event.status && event.status !== "taken") {
+      return false;
+    }
+    if (event.scheduled_for) {
+      return Math.abs(new Date(event.scheduled_for).getTime() - pendingTime) < 60000;
+    }
+    const takenTime = event.taken_at ? new Date(event.taken_at).getTime() : NaN;
+    return takenTime >= pendingTime - windowMs;
+  });
+};
+
+export const clearPendingDose = {
+  pending_dose_key: null,
+  pending_dose_at: null,
+  reminder_count: 0,
+  last_reminder_at: null,
+  snoozed_until: null,
+};
+
+export const buildStockMovement = (med, kind, quantity, now, doseKey = null) => ({
+  user_id: med.user_id,
+  med_id: med.id,
+  kind,
+  quantity,
+  occurred_at: now.toISOString(),
+  dose_key: doseKey,
+});
+
+export const getMedSchedule = (med) => ({
+  scheduleTimes: med.as_needed
+    ? []
+    : normalizeScheduleTimes(med.schedule_times, med.dose_amount || 1),
+  recurrence: normalizeRecurrence(med.recurrence),
+  phases: med.as_needed
+    ? []
+    : normalizePhases(med.schedule_phases, med.dose_amount || 1),
+});
+
+export const planMedAlerts = (med, profile, now, doseEvents = [], batches = []) => {
+  const timeZone = profile?.timezone || DEFAULT_TIMEZONE;
+  const today = getZonedParts(now, timeZone).dateString;
+  const displayName = profile?.full_name || "usuário";
+  const notify = canNotifyProfile(profile);
+  const { scheduleTimes, recurrence, phases } = getMedSchedule(med);
+
+  if (isScheduleFinished({ recurrence, phases }, now, timeZone)) {
+    return {
+      messages: [],
+      update: med.alerts_enabled === false ? null : { alerts_enabled: false },
+      doseEvents: [],
+      stockMovements: [],
+    };
+  }
+
+  const run = planDoseRun(
+    {
+      scheduleTimes,
+      recurrence,
+      phases,
+      autoDeduct: med.auto_deduct,
+      stock: med.stock,
+      lastNotifiedKey: med.last_whatsapp_alert_key,
+      lastAutoDoseKey: med.last_auto_dose_key,
+    },
+    now,
+    timeZone
+  );
+
+  const contacts = getProfileContacts(profile);
+  const reminders = getReminderSettings(profile);
+  const tracksPending =
+    notify &&
+    !med.auto_deduct &&
+    (reminders.maxRepeats > 0 || reminders.caregiverContacts.length > 0);
+  const messages = [];
+  const update = {};
+  const missedEvents = [];
+
+  if (med.pending_dose_key) {
+    const pendingTime = med.pending_dose_key.slice(-5);
+    const lastReminderAt = new Date(med.last_reminder_at || med.pending_dose_at);
+    const intervalElapsed =
+      now.getTime() - lastReminderAt.getTime() >= reminders.intervalMinutes * 60000;
+    const superseded = run.notifySlots.length > 0;
+    const reminderCount = Number(med.reminder_count) || 0;
+    const snoozedUntil = med.snoozed_until ? new Date(med.snoozed_until) : null;
+
+    if (
+      (!tracksPending && !snoozedUntil) ||
+      isDoseConfirmed(med.pending_dose_at, doseEvents)
+    ) {
+      Object.assign(update, clearPendingDose);
+    } else if (snoozedUntil && !superseded) {
+      if (notify && now >= snoozedUntil) {
+        messages.push({
+          ...buildReminderMessage(displayName, med, pendingTime, reminderCount + 1),
+          recipients: reminders.patientContacts,
+        });
+        update.reminder_count = reminderCount + 1;
+        update.last_reminder_at = now.toISOString();
+        update.snoozed_until = null;
+      }
+    } else if (!superseded && reminderCount < reminders.maxRepeats) {
+      if (intervalElapsed) {
+        messages.push({
+          ...buildReminderMessage(displayName, med, pendingTime, reminderCount + 1),
+          recipients: reminders.patientContacts,
+        });
+        update.reminder_count = reminderCount + 1;
+        update.last_reminder_at = now.toISOString();
+      }
+    } else if (superseded || intervalElapsed) {
+      if (reminders.caregiverContacts.length) {
+        messages.push({
+          ...buildMissedDoseMessage(displayName, med, pendingTime),
+          recipients: reminders.caregiverContacts,
+        });
+      }
+      missedEvents.push({
+        user_id: med.user_id,
+        med_id: med.id,
+        scheduled_for: med.pending_dose_at,
+        taken_at: null,
+        amount: 0,
+        source: "auto",
+        status: "missed",
+      });
+      Object.assign(update, clearPendingDose);
+    }
+  }
+
+  if (notify) {
+    run.notifySlots.forEach((slot) => {
+      messages.push({
+        ...buildDoseMessage(displayName, med, slot),
+        recipients: contacts,
+        markers: { last_whatsapp_alert_key: slot.alertKey },
+      });
+    });
+  }
+
+  const pendingSlot = run.notifySlots[run.notifySlots.length - 1];
+  if (tracksPending && pendingSlot) {
+    update.pending_dose_key = pendingSlot.alertKey;
+    update.pending_dose_at = pendingSlot.scheduledFor.toISOString();
+    update.reminder_count = 0;
+    update.last_reminder_at = now.toISOString();
+  }
+
+  if (run.autoDoses.length) {
+    update.last_taken = now.toISOString();
+    update.last_auto_dose_key = run.lastAutoDoseKey;
+  }
+
+  const forecast = getSupplyForecast(
+    { scheduleTimes, recurrence, phases },
+    med.stock,
+    now,
+    timeZone
+  );
+  if (
+    notify &&
+    needsRefill(forecast, med.stock, med.low_threshold, profile?.refill_lead_days) &&
+    med.last_low_stock_whatsapp_date !== today
+  ) {
+    messages.push({
+      ...buildLowStockMessage(displayName, med, forecast),
+      recipients: contacts,
+      markers: { last_low_stock_whatsapp_date: today },
+    });
+  }
+
+  const expiringBatches = batches
+    .filter((batch) => Number(batch.remaining) > 0)
+    .map((batch) => ({ ...batch, ...getExpiryStatus(batch.expires_on, today) }))
+    .filter((batch) => batch.status && batch.status !== batch.expiry_notified);
+  if (notify && expiringBatches.length) {
+    messages.push({
+      ...buildExpiryMessage(displayName, med, expiringBatches),
+      recipients: contacts,
+      batchUpdates: expiringBatches.map((batch) => ({
+        id: batch.id,
+        expiry_notified: batch.status,
+      })),
+    });
+  }
+
+  const autoEvents = run.autoDoses.map((slot) => ({
+    user_id: med.user_id,
+    med_id: med.id,
+    scheduled_for: slot.scheduledFor.toISOString(),
+    taken_at: now.toISOString(),
+    amount: slot.pills,
+    source: "auto",
+    status: "taken",
+    dose_key: slot.alertKey,
+  }));
+
+  return {
+    messages,
+    update: Object.keys(update).length ? update : null,
+    doseEvents: [...missedEvents, ...autoEvents],
+    stockMovements: run.autoDoses.map((slot) =>
+      buildStockMovement(med, "auto", -slot.pills, now, slot.alertKey)
+    ),
+  };
+};
+
+export const applyDeliveredMessages = (update, deliveredMessages) => {
+  const markers = Object.assign(
+    {},
+    ...deliveredMessages.map((message) => message.markers)
+  );
+  return {
+    update: update || Object.keys(markers).length ? { ...update, ...markers } : null,
+    batchUpdates: deliveredMessages.flatMap((message) => message.batchUpdates ?? []),
+  };
+};
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyDeliveredMessages, planMedAlerts } from "./alerts.js";
+
+const profile = {
+  full_name: "Ana",
+  timezone: "America/Sao_Paulo",
+  contacts: [{ channel: "sms", address: "+5511999" }],
+};
+const med = {
+  id: "med-1",
+  user_id: "user-1",
+  name: "Losartana",
+  unit: "comprimidos",
+  dose_amount: 1,
+  stock: 3,
+  low_threshold: 5,
+  schedule_times: [{ time: "08:00", pills: 1 }],
+  auto_deduct: false,
+};
+const now = new Date("2026-05-10T11:01:00Z");
+
+describe("applyDeliveredMessages", () => {
+  const plan = planMedAlerts(med, profile, now);
+
+  it("keeps alert markers out of the plan until a message is delivered", () => {
+    assert.deepEqual(
+      plan.messages.map((message) => message.kind),
+      ["dose", "low_stock"]
+    );
+    assert.equal(plan.update?.last_whatsapp_alert_key, undefined);
+    assert.equal(plan.update?.last_low_stock_whatsapp_date, undefined);
+  });
+
+  it("saves nothing for messages that were not delivered", () => {
+    assert.deepEqual(applyDeliveredMessages(null, []), {
+      update: null,
+      batchUpdates: [],
+    });
+  });
+
+  it("saves the markers of the delivered messages only", () => {
+    const [dose] = plan.messages;
+    const { update } = applyDeliveredMessages(plan.update, [dose]);
+    assert.equal(update.last_whatsapp_alert_key, "2026-05-10-08:00");
+    assert.equal(update.last_low_stock_whatsapp_date, undefined);
+  });
+
+  it("marks expiring batches only when the expiry alert was delivered", () => {
+    const expiry = planMedAlerts(
+      { ...med, stock: 30 },
+      profile,
+      now,
+      [],
+      [{ id: "batch-1", lot_number: "A1", expires_on: "2026-05-20", remaining: 10 }]
+    ).messages.find((message) => message.kind === "batch_expiry");
+
+    assert.deepEqual(applyDeliveredMessages(null, []).batchUpdates, []);
+    assert.deepEqual(
+      applyDeliveredMessages(null, [expiry]).batchUpdates.map((batch) => batch.id),
+      ["batch-1"]
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createFakeProviders, createNotificationDispatcher } from "./channels.js";
+
+const message = { kind: "dose", body: "Hora do Losartana.", replyHint: true };
+const failing = async () => {
+  throw new Error("provider down");
+};
+
+describe("createNotificationDispatcher", () => {
+  it("sends through the contact's channel and adds the reply hint", async () => {
+    const outbox = [];
+    const notify = createNotificationDispatcher(createFakeProviders(outbox));
+
+    assert.equal(
+      await notify({ channel: "whatsapp", address: "+5511999" }, message),
+      true
+    );
+    assert.equal(await notify({ channel: "email", address: "a@b.com" }, message), true);
+    assert.deepEqual(outbox, [
+      {
+        channel: "whatsapp",
+        to: "+5511999",
+        kind: "dose",
+        body: "Hora do Losartana. Responda TOMEI, PULAR ou ADIAR 30.",
+      },
+      { channel: "email", to: "a@b.com", kind: "dose", body: "Hora do Losartana." },
+    ]);
+  });
+
+  it("falls back from WhatsApp to SMS when WhatsApp fails", async () => {
+    const outbox = [];
+    const errors = [];
+    const notify = createNotificationDispatcher(
+      { ...createFakeProviders(outbox), whatsapp: failing },
+      { onError: (error, contact) => errors.push([contact.channel, error.message]) }
+    );
+
+    assert.equal(
+      await notify({ channel: "whatsapp", address: "+5511999" }, message),
+      true
+    );
+    assert.deepEqual(
+      outbox.map((entry) => [entry.channel, entry.to]),
+      [["sms", "+5511999"]]
+    );
+    assert.deepEqual(errors, [["whatsapp", "provider down"]]);
+  });
+
+  it("falls back to SMS when WhatsApp is not configured", async () => {
+    const outbox = [];
+    const { whatsapp, ...providers } = createFakeProviders(outbox);
+    const notify = createNotificationDispatcher(providers);
+
+    assert.equal(
+      await notify({ channel: "whatsapp", address: "+5511999" }, message),
+      true
+    );
+    assert.deepEqual(
+      outbox.map((entry) => entry.channel),
+      ["sms"]
+    );
+  });
+
+  it("reports a failed channel without throwing or trying other channels", async () => {
+    const outbox = [];
+    const errors = [];
+    const notify = createNotificationDispatcher(
+      { ...createFakeProviders(outbox), telegram: failing },
+      { onError: (error, contact) => errors.push(contact.channel) }
+    );
+
+    assert.equal(await notify({ channel: "telegram", address: "123" }, message), false);
+    assert.equal(await notify({ channel: "sms", address: "+5511999" }, message), true);
+    assert.deepEqual(
+      outbox.map((entry) => entry.channel),
+      ["sms"]
+    );
+    assert.deepEqual(errors, ["telegram"]);
+  });
+
+  it("skips channels without a provider", async () => {
+    const notify = createNotificationDispatcher({});
+    assert.equal(
+      await notify({ channel: "email", address: "a@b.com" }, message),
+      false
+    );
+  });
+});
@@ -0,0 +1,221 @@
+import { getMedSchedule } from "./alerts.js";
+import { formatQuantity } from "./units.js";
+import {
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  shiftDateString,
+  zonedTimeToDate,
+} from "./schedule.js";
+
+const EVENT_DURATION = "PT15M";
+const REFRESH_INTERVAL = "PT1H";
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MAX_LINE_BYTES = 75;
+
+const encoder = new TextEncoder();
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let limit = MAX_LINE_BYTES;
+  for (const char of line) {
+    if (encoder.encode(current + char).length > limit) {
+      chunks.push(current);
+      current = "";
+      limit = MAX_LINE_BYTES - 1;
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const formatUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const formatLocal = (dateString, time) =>
+  `${dateString.replace(/-/g, "")}T${time.replace(":", "")}00`;
+
+const getWeekday = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+const daysBetween = (from, to) =>
+  Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000
+  );
+
+const alignStartDate = (recurrence, startDate) => {
+  const matches = (dateString) =>
+    recurrence.type === "weekdays"
+      ? recurrence.weekdays.includes(getWeekday(dateString))
+      : recurrence.type !== "interval_days" ||
+        !recurrence.startDate ||
+        daysBetween(recurrence.startDate, dateString) % recurrence.everyDays === 0;
+  for (let offset = 0; offset < Math.max(7, recurrence.everyDays); offset += 1) {
+    const candidate = shiftDateString(startDate, offset);
+    if (matches(candidate)) return candidate;
+  }
+  return null;
+};
+
+const buildUntil = (endDate, timeZone) =>
+  endDate
+    ? formatUtc(
+        new Date(zonedTimeToDate(shiftDateString(endDate, 1), "00:00", timeZone) - 1000)
+      )
+    : null;
+
+const buildRule = (recurrence, until) => {
+  const parts =
+    recurrence.type === "weekdays"
+      ? [
+          "FREQ=WEEKLY",
+          `BYDAY=${recurrence.weekdays.map((day) => WEEKDAY_CODES[day]).join(",")}`,
+        ]
+      : recurrence.type === "interval_days" && recurrence.startDate
+        ? ["FREQ=DAILY", `INTERVAL=${recurrence.everyDays}`]
+        : recurrence.type === "interval_hours"
+          ? Number.isInteger(recurrence.everyHours)
+            ? ["FREQ=HOURLY", `INTERVAL=${recurrence.everyHours}`]
+            : ["FREQ=MINUTELY", `INTERVAL=${Math.round(recurrence.everyHours * 60)}`]
+          : ["FREQ=DAILY"];
+  if (until) parts.push(`UNTIL=${until}`);
+  return parts.join(";");
+};
+
+const getSegments = ({ scheduleTimes, recurrence, phases }, fallbackStart) => {
+  const segments = phases.length
+    ? phases.map((phase, index) => {
+        const nextStart = phases[index + 1]?.startDate;
+        const ends = [
+          phase.endDate,
+          nextStart && shiftDateString(nextStart, -1),
+        ].filter(Boolean);
+        return {
+          startDate: phase.startDate,
+          endDate: ends.length ? ends.sort()[0] : null,
+          scheduleTimes: phase.scheduleTimes,
+        };
+      })
+    : [{ startDate: fallbackStart, endDate: null, scheduleTimes }];
+  return segments
+    .map((segment) => {
+      const starts = [segment.startDate, recurrence.startDate].filter(Boolean).sort();
+      const ends = [segment.endDate, recurrence.endDate].filter(Boolean).sort();
+      return {
+        ...segment,
+        startDate: phases.length
+          ? starts.pop()
+          : (recurrence.startDate ?? fallbackStart),
+        endDate: ends[0] ?? null,
+      };
+    })
+    .filter((segment) => !segment.endDate || segment.startDate <= segment.endDate);
+};
+
+const buildEvent = ({ uid, med, startDate, time, pills, rule, timeZone, stamp }) => [
+  "BEGIN:VEVENT",
+  `UID:${uid}`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART;TZID=${timeZone}:${formatLocal(startDate, time)}`,
+  `DURATION:${EVENT_DURATION}`,
+  `RRULE:${rule}`,
+  `SUMMARY:${escapeText(`${med.name}: ${formatQuantity(pills, med.unit)}`)}`,
+  ...(med.notes ? [`DESCRIPTION:${escapeText(med.notes)}`] : []),
+  "BEGIN:VALARM",
+  "ACTION:DISPLAY",
+  "TRIGGER:PT0M",
+  `DESCRIPTION:${escapeText(`Hora de tomar ${med.name}`)}`,
+  "END:VALARM",
+  "END:VEVENT",
+];
+
+const buildMedEvents = (med, timeZone, now, stamp) => {
+  const schedule = getMedSchedule(med);
+  if (!schedule.scheduleTimes.length && !schedule.phases.length) return [];
+  const { recurrence } = schedule;
+  const fallbackStart = getZonedParts(
+    med.created_at ? new Date(med.created_at) : now,
+    timeZone
+  ).dateString;
+
+  if (recurrence.type === "interval_hours") {
+    const [firstEntry] = schedule.scheduleTimes.length
+      ? schedule.scheduleTimes
+      : schedule.phases[0].scheduleTimes;
+    const startDate = recurrence.startDate ?? fallbackStart;
+    const endDates = [
+      recurrence.endDate,
+      schedule.phases.length && schedule.phases.every((phase) => phase.endDate)
+        ? schedule.phases
+            .map((phase) => phase.endDate)
+            .sort()
+            .pop()
+        : null,
+    ]
+      .filter(Boolean)
+      .sort();
+    return buildEvent({
+      uid: `${med.id}-interval@medwatch`,
+      med,
+      startDate,
+      time: firstEntry.time,
+      pills: firstEntry.pills,
+      rule: buildRule(recurrence, buildUntil(endDates[0], timeZone)),
+      timeZone,
+      stamp,
+    });
+  }
+
+  return getSegments(schedule, fallbackStart).flatMap((segment, segmentIndex) => {
+    const startDate = alignStartDate(recurrence, segment.startDate);
+    if (!startDate || (segment.endDate && startDate > segment.endDate)) return [];
+    const rule = buildRule(recurrence, buildUntil(segment.endDate, timeZone));
+    return segment.scheduleTimes.flatMap((entry) =>
+      buildEvent({
+        uid: `${med.id}-${segmentIndex}-${entry.time.replace(":", "")}@medwatch`,
+        med,
+        startDate,
+        time: entry.time,
+        pills: entry.pills,
+        rule,
+        timeZone,
+        stamp,
+      })
+    );
+  });
+};
+
+export const buildDoseCalendar = ({
+  name,
+  timeZone = DEFAULT_TIMEZONE,
+  meds,
+  now = new Date(),
+}) => {
+  const stamp = formatUtc(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MedWatch//Doses//PT-BR",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name ? `MedWatch - ${name}` : "MedWatch")}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...meds
+      .filter((med) => !med.as_needed)
+      .flatMap((med) => buildMedEvents(med, timeZone, now, stamp)),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
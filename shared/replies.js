@@ -0,0 +1,101 @@
+import { buildStockMovement, clearPendingDose, getMedSchedule } from "./alerts.js";
+import {
+  ALERT_WINDOW_MINUTES,
+  DEFAULT_TIMEZONE,
+  findScheduledSlot,
+  toNumber,
+} from "./schedule.js";
+
+export const DEFAULT_SNOOZE_MINUTES = 15;
+export const MAX_SNOOZE_MINUTES = 240;
+
+const TAKE_WORDS = ["TOMEI", "TOMADO", "TOMADA", "OK", "SIM"];
+const SKIP_WORDS = ["PULAR", "PULEI", "NAO"];
+const SNOOZE_WORDS = ["ADIAR", "DEPOIS"];
+
+export const parseReplyCommand = (text) => {
+  const [word, amount] = String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .trim()
+    .split(/\s+/);
+
+  if (TAKE_WORDS.includes(word)) {
+    return { type: "take" };
+  }
+  if (SKIP_WORDS.includes(word)) {
+    return { type: "skip" };
+  }
+  if (SNOOZE_WORDS.includes(word)) {
+    const minutes = Number.parseInt(amount, 10);
+    return {
+      type: "snooze",
+      minutes: Number.isNaN(minutes)
+        ? DEFAULT_SNOOZE_MINUTES
+        : Math.min(MAX_SNOOZE_MINUTES, Math.max(1, minutes)),
+    };
+  }
+  return null;
+};
+
+export const findReplySlot = (med, now, timeZone = DEFAULT_TIMEZONE) => {
+  if (med.as_needed) return null;
+  const schedule = getMedSchedule(med);
+  if (med.pending_dose_at) {
+    return findScheduledSlot(schedule, new Date(med.pending_dose_at), timeZone, 1);
+  }
+  const slot = findScheduledSlot(schedule, now, timeZone);
+  if (!slot || slot.scheduledFor - now > ALERT_WINDOW_MINUTES * 60000) {
+    return null;
+  }
+  return slot;
+};
+
+export const planReplyAction = (med, slot, command, now, source = "whatsapp") => {
+  const scheduledFor = slot.scheduledFor.toISOString();
+  const baseEvent = {
+    user_id: med.user_id,
+    med_id: med.id,
+    scheduled_for: scheduledFor,
+    source,
+    dose_key: slot.alertKey,
+  };
+
+  if (command.type === "take") {
+    const amount = toNumber(slot.pills, med.dose_amount || 1);
+    return {
+      update: {
+        ...clearPendingDose,
+        last_taken: now.toISOString(),
+      },
+      doseEvent: {
+        ...baseEvent,
+        taken_at: now.toISOString(),
+        amount,
+        status: "taken",
+      },
+      stockMovement: buildStockMovement(med, "dose", -amount, now, slot.alertKey),
+    };
+  }
+
+  if (command.type === "skip") {
+    return {
+      update: clearPendingDose,
+      doseEvent: { ...baseEvent, taken_at: null, amount: 0, status: "skipped" },
+      stockMovement: null,
+    };
+  }
+
+  return {
+    update: {
+      pending_dose_key: slot.alertKey,
+      pending_dose_at: scheduledFor,
+      reminder_count: toNumber(med.reminder_count, 0),
+      last_reminder_at: med.last_reminder_at ?? now.toISOString(),
+      snoozed_until: new Date(now.getTime() + command.minutes * 60000).toISOString(),
+    },
+    doseEvent: null,
+    stockMovement: null,
+  };
+};
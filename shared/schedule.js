@@ -0,0 +1,478 @@
+export const ALERT_WINDOW_MINUTES = 10;
+export const DOSE_MATCH_WINDOW_MINUTES = 120;
+export const DEFAULT_TIMEZONE = "UTC";
+export const RECURRENCE_TYPES = [
+  "daily",
+  "weekdays",
+  "interval_days",
+  "interval_hours",
+];
+
+export const defaultRecurrence = {
+  type: "daily",
+  weekdays: [],
+  everyDays: 2,
+  everyHours: 8,
+  startDate: null,
+  endDate: null,
+};
+
+export const PRN_GUARD_MODES = ["warn", "block"];
+export const DEFAULT_REFILL_LEAD_DAYS = 7;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const toNumber = (value, fallback = 0) => {
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const normalizeScheduleTimes = (value, fallbackPills = 1) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((entry) => {
+      if (typeof entry === "string") {
+        return entry ? { time: entry, pills: fallbackPills } : null;
+      }
+      if (entry && typeof entry === "object") {
+        if (!entry.time) return null;
+        return {
+          time: entry.time,
+          pills: toNumber(entry.pills ?? fallbackPills, fallbackPills),
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+export const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+  const parts = formatter.formatToParts(date);
+  const map = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  const hour = Number(map.hour) % 24;
+  return {
+    year: Number(map.year),
+    month: Number(map.month),
+    day: Number(map.day),
+    hour,
+    minute: Number(map.minute),
+    dateString: `${map.year}-${map.month}-${map.day}`,
+  };
+};
+
+export const shiftDateString = (dateString, days) => {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+export const zonedTimeToDate = (dateString, time, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  let guess = wallClock;
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const parts = getZonedParts(new Date(guess), timeZone);
+    const zoned = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute
+    );
+    guess += wallClock - zoned;
+  }
+  return new Date(guess);
+};
+
+export const buildAlertKey = (dateString, time) => `${dateString}-${time}`;
+
+const isDateString = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const getWeekday = (dateString) => {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+const daysBetween = (fromDateString, toDateString) => {
+  const [fromYear, fromMonth, fromDay] = fromDateString.split("-").map(Number);
+  const [toYear, toMonth, toDay] = toDateString.split("-").map(Number);
+  return Math.round(
+    (Date.UTC(toYear, toMonth - 1, toDay) -
+      Date.UTC(fromYear, fromMonth - 1, fromDay)) /
+      DAY_MS
+  );
+};
+
+export const normalizeRecurrence = (value) => {
+  if (!value || typeof value !== "object") {
+    return { ...defaultRecurrence };
+  }
+  const type = RECURRENCE_TYPES.includes(value.type) ? value.type : "daily";
+  const weekdays = Array.isArray(value.weekdays)
+    ? [...new Set(value.weekdays.map(Number))]
+        .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+        .sort()
+    : [];
+  return {
+    type,
+    weekdays,
+    everyDays: Math.max(
+      1,
+      Math.round(toNumber(value.everyDays, defaultRecurrence.everyDays))
+    ),
+    everyHours: Math.max(1, toNumber(value.everyHours, defaultRecurrence.everyHours)),
+    startDate: isDateString(value.startDate) ? value.startDate : null,
+    endDate: isDateString(value.endDate) ? value.endDate : null,
+  };
+};
+
+export const normalizePhases = (value, fallbackPills = 1) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((phase) => {
+      if (!phase || typeof phase !== "object" || !isDateString(phase.startDate)) {
+        return null;
+      }
+      const scheduleTimes = normalizeScheduleTimes(phase.scheduleTimes, fallbackPills);
+      if (!scheduleTimes.length) return null;
+      return {
+        label: typeof phase.label === "string" ? phase.label : "",
+        startDate: phase.startDate,
+        endDate: isDateString(phase.endDate) ? phase.endDate : null,
+        scheduleTimes,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+};
+
+export const getPhaseForDate = (schedule, dateString) => {
+  const phases = normalizePhases(schedule?.phases);
+  return (
+    phases
+      .filter(
+        (phase) =>
+          phase.startDate <= dateString &&
+          (!phase.endDate || dateString <= phase.endDate)
+      )
+      .pop() ?? null
+  );
+};
+
+export const getCurrentPhase = (schedule, now, timeZone = DEFAULT_TIMEZONE) =>
+  getPhaseForDate(schedule, getZonedParts(now, timeZone).dateString);
+
+const resolveScheduleTimes = (schedule, dateString) => {
+  if (!schedule.phases?.length) return schedule.scheduleTimes ?? [];
+  return getPhaseForDate(schedule, dateString)?.scheduleTimes ?? [];
+};
+
+const getCourseBounds = (schedule) => {
+  const recurrence = normalizeRecurrence(schedule?.recurrence);
+  const phases = normalizePhases(schedule?.phases);
+  const phasesEnd =
+    phases.length && phases.every((phase) => phase.endDate)
+      ? phases.reduce((latest, phase) =>
+          phase.endDate > latest.endDate ? phase : latest
+        ).endDate
+      : null;
+  const startDates = [recurrence.startDate, phases[0]?.startDate].filter(Boolean);
+  const endDates = [recurrence.endDate, phasesEnd].filter(Boolean);
+  return {
+    startDate: startDates.length ? startDates.sort().pop() : null,
+    endDate: endDates.length ? endDates.sort()[0] : null,
+  };
+};
+
+const isWithinCourse = (recurrence, dateString) =>
+  (!recurrence.startDate || dateString >= recurrence.startDate) &&
+  (!recurrence.endDate || dateString <= recurrence.endDate);
+
+const isActiveDay = (recurrence, dateString) => {
+  if (!isWithinCourse(recurrence, dateString)) return false;
+  if (recurrence.type === "weekdays") {
+    return recurrence.weekdays.includes(getWeekday(dateString));
+  }
+  if (recurrence.type === "interval_days" && recurrence.startDate) {
+    return daysBetween(recurrence.startDate, dateString) % recurrence.everyDays === 0;
+  }
+  return true;
+};
+
+export const isScheduleFinished = (schedule, now, timeZone = DEFAULT_TIMEZONE) => {
+  const { endDate } = getCourseBounds(schedule);
+  return Boolean(endDate && getZonedParts(now, timeZone).dateString > endDate);
+};
+
+const listIntervalSlots = (schedule, recurrence, from, to, timeZone) => {
+  const [firstEntry] = schedule.scheduleTimes.length
+    ? schedule.scheduleTimes
+    : normalizePhases(schedule.phases)[0].scheduleTimes;
+  const startDate = recurrence.startDate ?? getZonedParts(from, timeZone).dateString;
+  const firstDose = zonedTimeToDate(startDate, firstEntry.time, timeZone);
+  const step = recurrence.everyHours * 60 * MINUTE_MS;
+  const courseEnd = recurrence.endDate
+    ? zonedTimeToDate(shiftDateString(recurrence.endDate, 1), "00:00", timeZone)
+    : null;
+  const slots = [];
+  let index = Math.max(0, Math.ceil((from - firstDose) / step));
+  for (
+    let scheduledFor = new Date(firstDose.getTime() + index * step);
+    scheduledFor <= to && (!courseEnd || scheduledFor < courseEnd);
+    index += 1, scheduledFor = new Date(firstDose.getTime() + index * step)
+  ) {
+    const parts = getZonedParts(scheduledFor, timeZone);
+    const [dayEntry] = resolveScheduleTimes(schedule, parts.dateString);
+    if (!dayEntry) continue;
+    const time = `${String(parts.hour).padStart(2, "0")}:${String(
+      parts.minute
+    ).padStart(2, "0")}`;
+    slots.push({
+      time,
+      pills: dayEntry.pills,
+      dateString: parts.dateString,
+      alertKey: buildAlertKey(parts.dateString, time),
+      scheduledFor,
+    });
+  }
+  return slots;
+};
+
+export const listSlots = (schedule, from, to, timeZone = DEFAULT_TIMEZONE) => {
+  if (!schedule?.scheduleTimes?.length && !schedule?.phases?.length) return [];
+  if (to < from) return [];
+  const recurrence = normalizeRecurrence(schedule.recurrence);
+  if (recurrence.type === "interval_hours") {
+    return listIntervalSlots(schedule, recurrence, from, to, timeZone);
+  }
+  const firstDay = shiftDateString(getZonedParts(from, timeZone).dateString, -1);
+  const lastDay = shiftDateString(getZonedParts(to, timeZone).dateString, 1);
+  const slots = [];
+  for (
+    let dateString = firstDay;
+    dateString <= lastDay;
+    dateString = shiftDateString(dateString, 1)
+  ) {
+    if (!isActiveDay(recurrence, dateString)) continue;
+    resolveScheduleTimes(schedule, dateString).forEach((entry) => {
+      const scheduledFor = zonedTimeToDate(dateString, entry.time, timeZone);
+      if (scheduledFor < from || scheduledFor > to) return;
+      slots.push({
+        time: entry.time,
+        pills: entry.pills,
+        dateString,
+        alertKey: buildAlertKey(dateString, entry.time),
+        scheduledFor,
+      });
+    });
+  }
+  return slots.sort((a, b) => a.scheduledFor - b.scheduledFor);
+};
+
+export const getDueSlots = (
+  schedule,
+  now,
+  timeZone = DEFAULT_TIMEZONE,
+  windowMinutes = ALERT_WINDOW_MINUTES
+) => {
+  const currentMinute = new Date(Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS);
+  return listSlots(
+    schedule,
+    new Date(currentMinute.getTime() - windowMinutes * MINUTE_MS),
+    currentMinute,
+    timeZone
+  );
+};
+
+export const getNextSlot = (schedule, now, timeZone = DEFAULT_TIMEZONE) => {
+  const recurrence = normalizeRecurrence(schedule?.recurrence);
+  const lookaheadDays =
+    recurrence.type === "interval_days" ? recurrence.everyDays + 1 : 8;
+  const { startDate } = getCourseBounds(schedule);
+  const from =
+    startDate && startDate > getZonedParts(now, timeZone).dateString
+      ? zonedTimeToDate(startDate, "00:00", timeZone)
+      : now;
+  return (
+    listSlots(
+      schedule,
+      from,
+      new Date(from.getTime() + lookaheadDays * DAY_MS),
+      timeZone
+    )[0] ?? null
+  );
+};
+
+export const findScheduledSlot = (
+  schedule,
+  now,
+  timeZone = DEFAULT_TIMEZONE,
+  windowMinutes = DOSE_MATCH_WINDOW_MINUTES
+) => {
+  const slots = listSlots(
+    schedule,
+    new Date(now.getTime() - windowMinutes * MINUTE_MS),
+    new Date(now.getTime() + windowMinutes * MINUTE_MS),
+    timeZone
+  );
+  return slots.reduce(
+    (closest, slot) =>
+      !closest ||
+      Math.abs(now - slot.scheduledFor) < Math.abs(now - closest.scheduledFor)
+        ? slot
+        : closest,
+    null
+  );
+};
+
+export const isLowStock = (stock, lowThreshold) =>
+  toNumber(stock, 0) <= toNumber(lowThreshold, 0);
+
+export const getDailyConsumption = (schedule, now, timeZone = DEFAULT_TIMEZONE) => {
+  const recurrence = normalizeRecurrence(schedule.recurrence);
+  const scheduleTimes = resolveScheduleTimes(
+    schedule,
+    getZonedParts(now, timeZone).dateString
+  );
+  if (!scheduleTimes.length) return 0;
+  if (recurrence.type === "interval_hours") {
+    return (scheduleTimes[0].pills * 24) / recurrence.everyHours;
+  }
+  const perDay = scheduleTimes.reduce((total, entry) => total + entry.pills, 0);
+  if (recurrence.type === "weekdays") {
+    return (perDay * recurrence.weekdays.length) / 7;
+  }
+  if (recurrence.type === "interval_days" && recurrence.startDate) {
+    return perDay / recurrence.everyDays;
+  }
+  return perDay;
+};
+
+export const getSupplyForecast = (
+  schedule,
+  stock,
+  now,
+  timeZone = DEFAULT_TIMEZONE
+) => {
+  const dailyConsumption = getDailyConsumption(schedule, now, timeZone);
+  if (dailyConsumption <= 0) return null;
+  const daysLeft = Math.max(0, Math.floor(toNumber(stock, 0) / dailyConsumption));
+  const runOutDate = shiftDateString(getZonedParts(now, timeZone).dateString, daysLeft);
+  const { endDate } = getCourseBounds(schedule);
+  return {
+    dailyConsumption,
+    daysLeft,
+    runOutDate,
+    coversCourse: Boolean(endDate && runOutDate > endDate),
+  };
+};
+
+export const needsRefill = (forecast, stock, lowThreshold, leadDays) =>
+  forecast
+    ? !forecast.coversCourse &&
+      forecast.daysLeft <=
+        Math.max(
+          0,
+          toNumber(leadDays ?? DEFAULT_REFILL_LEAD_DAYS, DEFAULT_REFILL_LEAD_DAYS)
+        )
+    : isLowStock(stock, lowThreshold);
+
+export const EXPIRY_WARNING_DAYS = 30;
+
+export const getExpiryStatus = (expiresOn, today, warningDays = EXPIRY_WARNING_DAYS) => {
+  if (!isDateString(expiresOn)) return null;
+  const daysLeft = daysBetween(today, expiresOn);
+  if (daysLeft < 0) return { status: "expired", daysLeft };
+  return daysLeft <= warningDays ? { status: "expiring", daysLeft } : null;
+};
+
+export const evaluatePrnDose = ({ maxDailyDoses, minIntervalHours }, takenAt, now) => {
+  const times = takenAt
+    .map((value) => new Date(value))
+    .filter((date) => !Number.isNaN(date.getTime()) && date <= now)
+    .sort((a, b) => b - a);
+  const recent = times.filter((date) => now - date < DAY_MS);
+  const maxDoses = toNumber(maxDailyDoses, 0);
+  const minInterval = toNumber(minIntervalHours, 0);
+  const reasons = [];
+  let nextAllowedAt = null;
+
+  if (maxDoses > 0 && recent.length >= maxDoses) {
+    reasons.push("max_daily");
+    nextAllowedAt = new Date(recent[maxDoses - 1].getTime() + DAY_MS);
+  }
+  if (minInterval > 0 && times.length && now - times[0] < minInterval * HOUR_MS) {
+    reasons.push("min_interval");
+    const intervalEnd = new Date(times[0].getTime() + minInterval * HOUR_MS);
+    if (!nextAllowedAt || intervalEnd > nextAllowedAt) {
+      nextAllowedAt = intervalEnd;
+    }
+  }
+
+  return {
+    allowed: reasons.length === 0,
+    reasons,
+    dosesLast24h: recent.length,
+    lastTakenAt: times[0] ?? null,
+    nextAllowedAt,
+  };
+};
+
+export const planDoseRun = (
+  {
+    scheduleTimes,
+    recurrence,
+    phases,
+    autoDeduct,
+    stock,
+    lastNotifiedKey,
+    lastAutoDoseKey,
+  },
+  now,
+  timeZone = DEFAULT_TIMEZONE
+) => {
+  const dueSlots = getDueSlots({ scheduleTimes, recurrence, phases }, now, timeZone);
+  const notifySlots = [];
+  const autoDoses = [];
+  let nextStock = stock;
+  let nextNotifiedKey = lastNotifiedKey ?? null;
+  let nextAutoDoseKey = lastAutoDoseKey ?? null;
+
+  dueSlots.forEach((slot) => {
+    if (slot.alertKey !== nextNotifiedKey) {
+      notifySlots.push(slot);
+      nextNotifiedKey = slot.alertKey;
+    }
+    if (autoDeduct && slot.alertKey !== nextAutoDoseKey) {
+      nextStock = Math.max(0, nextStock - slot.pills);
+      autoDoses.push(slot);
+      nextAutoDoseKey = slot.alertKey;
+    }
+  });
+
+  return {
+    dueSlots,
+    notifySlots,
+    autoDoses,
+    stock: nextStock,
+    lastNotifiedKey: nextNotifiedKey,
+    lastAutoDoseKey: nextAutoDoseKey,
+  };
+};
@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getDueSlots, listSlots, planDoseRun } from "./schedule.js";
+
+const at = (iso) => new Date(iso);
+const daily = (...times) => ({
+  scheduleTimes: times.map((time) => ({ time, pills: 1 })),
+});
+
+describe("listSlots", () => {
+  it("resolves wall-clock times in the patient's timezone", () => {
+    const slots = listSlots(
+      daily("08:00", "20:00"),
+      at("2026-05-10T00:00:00Z"),
+      at("2026-05-11T00:00:00Z"),
+      "America/Sao_Paulo"
+    );
+    assert.deepEqual(
+      slots.map((slot) => [slot.alertKey, slot.scheduledFor.toISOString()]),
+      [
+        ["2026-05-10-08:00", "2026-05-10T11:00:00.000Z"],
+        ["2026-05-10-20:00", "2026-05-10T23:00:00.000Z"],
+      ]
+    );
+  });
+
+  it("keys slots by the local date when they cross midnight in UTC", () => {
+    const [lateSlot] = listSlots(
+      daily("23:30"),
+      at("2026-05-11T02:00:00Z"),
+      at("2026-05-11T03:00:00Z"),
+      "America/Sao_Paulo"
+    );
+    assert.equal(lateSlot.dateString, "2026-05-10");
+    assert.equal(lateSlot.scheduledFor.toISOString(), "2026-05-11T02:30:00.000Z");
+
+    const [earlySlot] = listSlots(
+      daily("00:15"),
+      at("2026-05-10T15:00:00Z"),
+      at("2026-05-10T16:00:00Z"),
+      "Asia/Tokyo"
+    );
+    assert.equal(earlySlot.dateString, "2026-05-11");
+    assert.equal(earlySlot.scheduledFor.toISOString(), "2026-05-10T15:15:00.000Z");
+  });
+
+  it("keeps the wall-clock time across a daylight saving change", () => {
+    const slots = listSlots(
+      daily("08:00"),
+      at("2026-03-07T00:00:00Z"),
+      at("2026-03-09T00:00:00Z"),
+      "America/New_York"
+    );
+    assert.deepEqual(
+      slots.map((slot) => slot.scheduledFor.toISOString()),
+      ["2026-03-07T13:00:00.000Z", "2026-03-08T12:00:00.000Z"]
+    );
+  });
+
+  it("spaces hourly intervals by elapsed time across a daylight saving change", () => {
+    const slots = listSlots(
+      {
+        ...daily("06:00"),
+        recurrence: { type: "interval_hours", everyHours: 8, startDate: "2026-03-07" },
+      },
+      at("2026-03-07T00:00:00Z"),
+      at("2026-03-08T12:00:00Z"),
+      "America/New_York"
+    );
+    assert.deepEqual(
+      slots.map((slot) => slot.alertKey),
+      ["2026-03-07-06:00", "2026-03-07-14:00", "2026-03-07-22:00", "2026-03-08-07:00"]
+    );
+  });
+});
+
+describe("getDueSlots", () => {
+  const schedule = daily("08:00");
+  const timeZone = "America/Sao_Paulo";
+
+  it("returns a slot during its alert window", () => {
+    assert.equal(getDueSlots(schedule, at("2026-05-10T11:00:00Z"), timeZone).length, 1);
+    assert.equal(getDueSlots(schedule, at("2026-05-10T11:10:59Z"), timeZone).length, 1);
+  });
+
+  it("returns nothing before or after the window", () => {
+    assert.equal(getDueSlots(schedule, at("2026-05-10T10:59:00Z"), timeZone).length, 0);
+    assert.equal(getDueSlots(schedule, at("2026-05-10T11:11:00Z"), timeZone).length, 0);
+  });
+
+  it("finds a midnight slot from the previous UTC day", () => {
+    const [slot] = getDueSlots(daily("00:00"), at("2026-05-10T03:05:00Z"), timeZone);
+    assert.equal(slot.alertKey, "2026-05-10-00:00");
+  });
+});
+
+describe("planDoseRun", () => {
+  const med = {
+    ...daily("08:00"),
+    autoDeduct: true,
+    stock: 10,
+    lastNotifiedKey: null,
+    lastAutoDoseKey: null,
+  };
+  const timeZone = "America/Sao_Paulo";
+
+  it("deducts each slot once across repeated runs", () => {
+    const first = planDoseRun(med, at("2026-05-10T11:01:00Z"), timeZone);
+    assert.equal(first.autoDoses.length, 1);
+    assert.equal(first.notifySlots.length, 1);
+    assert.equal(first.stock, 9);
+
+    const second = planDoseRun(
+      {
+        ...med,
+        stock: first.stock,
+        lastNotifiedKey: first.lastNotifiedKey,
+        lastAutoDoseKey: first.lastAutoDoseKey,
+      },
+      at("2026-05-10T11:06:00Z"),
+      timeZone
+    );
+    assert.equal(second.autoDoses.length, 0);
+    assert.equal(second.notifySlots.length, 0);
+    assert.equal(second.stock, 9);
+  });
+
+  it("deducts nothing when auto-deduct is off", () => {
+    const run = planDoseRun(
+      { ...med, autoDeduct: false },
+      at("2026-05-10T11:01:00Z"),
+      timeZone
+    );
+    assert.equal(run.autoDoses.length, 0);
+    assert.equal(run.notifySlots.length, 1);
+    assert.equal(run.stock, 10);
+  });
+
+  it("never lets the stock go negative", () => {
+    const run = planDoseRun(
+      { ...med, scheduleTimes: [{ time: "08:00", pills: 3 }], stock: 2 },
+      at("2026-05-10T11:01:00Z"),
+      timeZone
+    );
+    assert.equal(run.stock, 0);
+  });
+
+  it("deducts a slot that falls just after local midnight", () => {
+    const run = planDoseRun(
+      { ...med, ...daily("00:05") },
+      at("2026-05-11T03:07:00Z"),
+      timeZone
+    );
+    assert.equal(run.lastAutoDoseKey, "2026-05-11-00:05");
+    assert.equal(run.stock, 9);
+  });
+});
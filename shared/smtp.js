@@ -0,0 +1,159 @@
+import { Buffer } from "node:buffer";
+import net from "node:net";
+import tls from "node:tls";
+
+const SEND_TIMEOUT_MS = 10000;
+
+const toBase64 = (value) => Buffer.from(value, "utf8").toString("base64");
+
+const encodeHeader = (value) => `=?UTF-8?B?${toBase64(value)}?=`;
+
+const getAddress = (value) => value.match(/<([^>]+)>/)?.[1] ?? value;
+
+const assertSingleLine = (value) => {
+  if (/[\r\n]/.test(value)) {
+    throw new Error("SMTP addresses cannot contain line breaks.");
+  }
+  return value;
+};
+
+const openSession = (socket) => {
+  let buffer = "";
+  let pending = null;
+  let failure = null;
+
+  const flush = () => {
+    if (!pending) return;
+    if (failure) {
+      pending.reject(failure);
+      pending = null;
+      return;
+    }
+    const lines = buffer.split("\r\n");
+    const lastIndex = lines
+      .slice(0, -1)
+      .findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (lastIndex === -1) return;
+    const reply = lines.slice(0, lastIndex + 1);
+    buffer = lines.slice(lastIndex + 1).join("\r\n");
+    const { resolve } = pending;
+    pending = null;
+    resolve({ code: Number(reply[lastIndex].slice(0, 3)), text: reply.join("\n") });
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    flush();
+  };
+  const onError = (error) => {
+    failure = error;
+    flush();
+  };
+  const onClose = () => {
+    failure = failure ?? new Error("SMTP connection closed.");
+    flush();
+  };
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  const read = async (expected) => {
+    const reply = await new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      flush();
+    });
+    if (![].concat(expected).includes(reply.code)) {
+      throw new Error(`SMTP error: ${reply.text}`);
+    }
+    return reply;
+  };
+
+  return {
+    read,
+    command: (line, expected) => {
+      socket.write(`${line}\r\n`);
+      return read(expected);
+    },
+    detach: () => {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    },
+  };
+};
+
+export const buildMessage = ({ from, to, subject, body, date = new Date() }) => {
+  const encodedBody = toBase64(body).match(/.{1,76}/g) ?? [];
+  return [
+    `From: ${assertSingleLine(from)}`,
+    `To: ${assertSingleLine(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    ...encodedBody,
+  ]
+    .map((line) => (line.startsWith(".") ? `.${line}` : line))
+    .join("\r\n");
+};
+
+export const createEmailSender = ({
+  host,
+  port = 587,
+  security = port === 465 ? "tls" : "starttls",
+  user,
+  password,
+  from,
+  clientName = "medwatch",
+}) => {
+  const startTimeout = (socket) =>
+    socket.setTimeout(SEND_TIMEOUT_MS, () =>
+      socket.destroy(new Error("SMTP timeout."))
+    );
+
+  return async (to, message) => {
+    assertSingleLine(to);
+    let socket =
+      security === "tls"
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+    startTimeout(socket);
+    let session = openSession(socket);
+
+    try {
+      await session.read(220);
+      const hello = await session.command(`EHLO ${clientName}`, 250);
+      if (security === "starttls") {
+        if (!/STARTTLS/i.test(hello.text)) {
+          throw new Error("SMTP server does not support STARTTLS.");
+        }
+        await session.command("STARTTLS", 220);
+        session.detach();
+        socket = tls.connect({ socket, servername: host });
+        startTimeout(socket);
+        session = openSession(socket);
+        await session.command(`EHLO ${clientName}`, 250);
+      }
+      if (user) {
+        await session.command(`AUTH PLAIN ${toBase64(`\0${user}\0${password}`)}`, 235);
+      }
+      await session.command(`MAIL FROM:<${getAddress(from)}>`, 250);
+      await session.command(`RCPT TO:<${to}>`, [250, 251]);
+      await session.command("DATA", 354);
+      await session.command(
+        `${buildMessage({
+          from,
+          to,
+          subject: message.title || "MedWatch",
+          body: message.body,
+        })}\r\n.`,
+        250
+      );
+      await session.command("QUIT", 221);
+    } finally {
+      socket.end();
+    }
+  };
+};
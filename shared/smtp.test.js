@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import net from "node:net";
+import { describe, it } from "node:test";
+import { buildMessage, createEmailSender } from "./smtp.js";
+
+const decodeBody = (lines) =>
+  Buffer.from(
+    lines.map((line) => (line.startsWith("..") ? line.slice(1) : line)).join(""),
+    "base64"
+  ).toString("utf8");
+
+const splitMessage = (raw) => {
+  const lines = raw.split("\r\n");
+  const blank = lines.indexOf("");
+  return { headers: lines.slice(0, blank), body: lines.slice(blank + 1) };
+};
+
+const startServer = () =>
+  new Promise((resolve) => {
+    const received = [];
+    const server = net.createServer((socket) => {
+      let buffer = "";
+      let inData = false;
+      socket.write("220 test\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+          received.push(buffer.slice(0, end));
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write("250 queued\r\n");
+        }
+        let index;
+        while (!inData && (index = buffer.indexOf("\r\n")) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (line.startsWith("EHLO")) socket.write("250 test\r\n");
+          else if (line === "DATA") {
+            inData = true;
+            socket.write("354 go\r\n");
+          } else if (line === "QUIT") socket.end("221 bye\r\n");
+          else socket.write("250 ok\r\n");
+        }
+      });
+    });
+    server.listen(0, "127.0.0.1", () => resolve({ server, received }));
+  });
+
+describe("buildMessage", () => {
+  it("joins lines with CRLF and round-trips the body", () => {
+    const body = "Linha 1\n.\nLinha 3 com acentuação\r\n..";
+    const raw = buildMessage({
+      from: "MedWatch <alertas@medwatch.app>",
+      to: "pessoa@exemplo.com",
+      subject: "Dose",
+      body,
+      date: new Date("2026-05-10T11:00:00Z"),
+    });
+
+    assert.doesNotMatch(raw, /(^|[^\r])\n/);
+    const { headers, body: bodyLines } = splitMessage(raw);
+    assert.ok(headers.includes("Date: Sun, 10 May 2026 11:00:00 GMT"));
+    assert.ok(bodyLines.every((line) => line.length <= 76 && line !== "."));
+    assert.equal(decodeBody(bodyLines), body);
+  });
+
+  it("rejects addresses that would inject headers", () => {
+    assert.throws(
+      () =>
+        buildMessage({
+          from: "alertas@medwatch.app",
+          to: "a@b.com\r\nBcc: c@d.com",
+          subject: "Dose",
+          body: "x",
+        }),
+      /line breaks/
+    );
+  });
+});
+
+describe("createEmailSender", () => {
+  it("ends the DATA section after the message", async () => {
+    const { server, received } = await startServer();
+    try {
+      const send = createEmailSender({
+        host: "127.0.0.1",
+        port: server.address().port,
+        security: "none",
+        from: "alertas@medwatch.app",
+      });
+      await send("pessoa@exemplo.com", { title: "Dose", body: "Tome agora.\n.\nFim" });
+
+      assert.equal(received.length, 1);
+      const { headers, body } = splitMessage(received[0]);
+      assert.ok(headers.includes("To: pessoa@exemplo.com"));
+      assert.equal(decodeBody(body), "Tome agora.\n.\nFim");
+    } finally {
+      server.close();
+    }
+  });
+
+  it("refuses a recipient with line breaks before connecting", async () => {
+    const send = createEmailSender({
+      host: "127.0.0.1",
+      port: 1,
+      security: "none",
+      from: "alertas@medwatch.app",
+    });
+    await assert.rejects(
+      send("a@b.com\r\nRCPT TO:<c@d.com>", { body: "x" }),
+      /line breaks/
+    );
+  });
+});
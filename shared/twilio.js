@@ -0,0 +1,73 @@
+const SEND_TIMEOUT_MS = 5000;
+
+export const normalizeWhatsAppPhone = (value) =>
+  value.startsWith("whatsapp:") ? value : `whatsapp:${value}`;
+
+const normalizeSmsPhone = (value) => value.replace(/^whatsapp:/, "");
+
+const createTwilioSender = ({
+  accountSid,
+  authToken,
+  fromNumber,
+  normalizePhone,
+  templates = {},
+}) => {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const auth = btoa(`${accountSid}:${authToken}`);
+
+  return async (to, message) => {
+    const contentSid = templates[message.kind];
+    const body = new URLSearchParams({
+      From: normalizePhone(fromNumber),
+      To: normalizePhone(to),
+    });
+    if (contentSid) {
+      body.set("ContentSid", contentSid);
+      body.set("ContentVariables", JSON.stringify(message.variables));
+    } else {
+      body.set("Body", message.body);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${auth}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body,
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Twilio error: ${response.status} ${text}`);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+};
+
+export const createWhatsAppSender = ({
+  accountSid,
+  authToken,
+  fromNumber,
+  templates = {},
+}) =>
+  createTwilioSender({
+    accountSid,
+    authToken,
+    fromNumber,
+    normalizePhone: normalizeWhatsAppPhone,
+    templates,
+  });
+
+export const createSmsSender = ({ accountSid, authToken, fromNumber }) =>
+  createTwilioSender({
+    accountSid,
+    authToken,
+    fromNumber,
+    normalizePhone: normalizeSmsPhone,
+  });
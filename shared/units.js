@@ -0,0 +1,43 @@
+import { toNumber } from "./schedule.js";
+
+export const DEFAULT_UNIT = "comprimidos";
+
+export const MED_UNITS = [
+  { value: "comprimidos", singular: "comprimido", step: 0.25, fractions: true },
+  { value: "cápsulas", singular: "cápsula", step: 1 },
+  { value: "ml", singular: "ml", step: 0.1 },
+  { value: "gotas", singular: "gota", step: 1 },
+  { value: "puffs", singular: "puff", step: 1 },
+  { value: "UI", singular: "UI", step: 0.5 },
+  { value: "sachês", singular: "sachê", step: 1 },
+  { value: "ampolas", singular: "ampola", step: 1 },
+  { value: "adesivos", singular: "adesivo", step: 1 },
+];
+
+const FRACTIONS = { 0.25: "¼", 0.5: "½", 0.75: "¾" };
+
+export const getUnit = (unit) =>
+  MED_UNITS.find((entry) => entry.value === unit) ??
+  MED_UNITS.find((entry) => entry.value === DEFAULT_UNIT);
+
+export const roundAmount = (value) => Math.round(toNumber(value, 0) * 1000) / 1000;
+
+export const formatAmount = (value, unit = DEFAULT_UNIT) => {
+  const amount = roundAmount(value);
+  const whole = Math.trunc(amount);
+  const fraction = FRACTIONS[Math.abs(roundAmount(amount - whole))];
+  if (getUnit(unit).fractions && fraction) {
+    return `${amount < 0 ? "-" : ""}${whole ? Math.abs(whole) : ""}${fraction}`;
+  }
+  return amount.toLocaleString("pt-BR", { maximumFractionDigits: 3 });
+};
+
+export const formatUnit = (value, unit = DEFAULT_UNIT) => {
+  const entry = MED_UNITS.find((item) => item.value === unit);
+  if (!entry) return unit || DEFAULT_UNIT;
+  const amount = Math.abs(roundAmount(value));
+  return amount > 0 && amount < 2 ? entry.singular : entry.value;
+};
+
+export const formatQuantity = (value, unit = DEFAULT_UNIT) =>
+  `${formatAmount(value, unit)} ${formatUnit(value, unit)}`;
@@ -0,0 +1,252 @@
+const SEND_TIMEOUT_MS = 5000;
+const RECORD_SIZE = 4096;
+const VAPID_TOKEN_HOURS = 12;
+const ACTION_TOKEN_HOURS = 24;
+const PUSH_TTL_SECONDS = 3600;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+const importHmacKey = (secret, usages) =>
+  crypto.subtle.importKey(
+    "raw",
+    secret,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    usages
+  );
+
+const hmac = async (secret, data) =>
+  new Uint8Array(
+    await crypto.subtle.sign("HMAC", await importHmacKey(secret, ["sign"]), data)
+  );
+
+const importVapidKey = (publicKey, privateKey) => {
+  const publicBytes = fromBase64Url(publicKey);
+  return crypto.subtle.importKey(
+    "jwk",
+    {
+      kty: "EC",
+      crv: "P-256",
+      x: toBase64Url(publicBytes.slice(1, 33)),
+      y: toBase64Url(publicBytes.slice(33, 65)),
+      d: privateKey,
+    },
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["sign"]
+  );
+};
+
+const buildVapidToken = async (signingKey, audience, subject) => {
+  const header = toBase64Url(
+    encoder.encode(JSON.stringify({ typ: "JWT", alg: "ES256" }))
+  );
+  const claims = toBase64Url(
+    encoder.encode(
+      JSON.stringify({
+        aud: audience,
+        exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_HOURS * 3600,
+        sub: subject,
+      })
+    )
+  );
+  const unsigned = `${header}.${claims}`;
+  const signature = await crypto.subtle.sign(
+    { name: "ECDSA", hash: "SHA-256" },
+    signingKey,
+    encoder.encode(unsigned)
+  );
+  return `${unsigned}.${toBase64Url(signature)}`;
+};
+
+const encryptPayload = async (subscription, payload) => {
+  const clientPublicKey = fromBase64Url(subscription.p256dh);
+  const authSecret = fromBase64Url(subscription.auth);
+  const serverKeys = await crypto.subtle.generateKey(
+    { name: "ECDH", namedCurve: "P-256" },
+    true,
+    ["deriveBits"]
+  );
+  const serverPublicKey = new Uint8Array(
+    await crypto.subtle.exportKey("raw", serverKeys.publicKey)
+  );
+  const clientKey = await crypto.subtle.importKey(
+    "raw",
+    clientPublicKey,
+    { name: "ECDH", namedCurve: "P-256" },
+    false,
+    []
+  );
+  const sharedSecret = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { name: "ECDH", public: clientKey },
+      serverKeys.privateKey,
+      256
+    )
+  );
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const inputKey = await hmac(
+    await hmac(authSecret, sharedSecret),
+    concatBytes(
+      encoder.encode("WebPush: info\0"),
+      clientPublicKey,
+      serverPublicKey,
+      new Uint8Array([1])
+    )
+  );
+  const pseudoRandomKey = await hmac(salt, inputKey);
+  const contentKey = (
+    await hmac(
+      pseudoRandomKey,
+      concatBytes(encoder.encode("Content-Encoding: aes128gcm\0"), new Uint8Array([1]))
+    )
+  ).slice(0, 16);
+  const nonce = (
+    await hmac(
+      pseudoRandomKey,
+      concatBytes(encoder.encode("Content-Encoding: nonce\0"), new Uint8Array([1]))
+    )
+  ).slice(0, 12);
+
+  const aesKey = await crypto.subtle.importKey("raw", contentKey, "AES-GCM", false, [
+    "encrypt",
+  ]);
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: nonce },
+      aesKey,
+      concatBytes(encoder.encode(payload), new Uint8Array([2]))
+    )
+  );
+
+  const header = new Uint8Array(21);
+  header.set(salt);
+  new DataView(header.buffer).setUint32(16, RECORD_SIZE);
+  header[20] = serverPublicKey.length;
+  return concatBytes(header, serverPublicKey, ciphertext);
+};
+
+export const generateVapidKeys = async () => {
+  const keys = await crypto.subtle.generateKey(
+    { name: "ECDSA", namedCurve: "P-256" },
+    true,
+    ["sign"]
+  );
+  const publicKey = await crypto.subtle.exportKey("raw", keys.publicKey);
+  const { d } = await crypto.subtle.exportKey("jwk", keys.privateKey);
+  return { publicKey: toBase64Url(publicKey), privateKey: d };
+};
+
+export const signPushAction = async (secret, data) => {
+  const body = toBase64Url(
+    encoder.encode(
+      JSON.stringify({ ...data, exp: Date.now() + ACTION_TOKEN_HOURS * 3600000 })
+    )
+  );
+  const signature = await hmac(encoder.encode(secret), encoder.encode(body));
+  return `${body}.${toBase64Url(signature)}`;
+};
+
+export const verifyPushAction = async (secret, token) => {
+  const [body, signature] = String(token ?? "").split(".");
+  if (!body || !signature) return null;
+  try {
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      await importHmacKey(encoder.encode(secret), ["verify"]),
+      fromBase64Url(signature),
+      encoder.encode(body)
+    );
+    if (!valid) return null;
+    const data = JSON.parse(decoder.decode(fromBase64Url(body)));
+    return data.exp > Date.now() ? data : null;
+  } catch {
+    return null;
+  }
+};
+
+export const createWebPushSender = ({
+  publicKey,
+  privateKey,
+  subject,
+  actionSecret,
+  onExpired,
+}) => {
+  let signingKey = null;
+  const getSigningKey = () => {
+    signingKey ??= importVapidKey(publicKey, privateKey).catch((error) => {
+      signingKey = null;
+      throw new Error(`Invalid VAPID keys: ${error.message}`);
+    });
+    return signingKey;
+  };
+
+  return async (subscription, message) => {
+    const payload = {
+      kind: message.kind,
+      title: message.title || "MedWatch",
+      body: message.body,
+      tag: message.dose
+        ? `${message.dose.medId}-${message.dose.scheduledFor}`
+        : `${message.kind}-${message.variables?.["2"] ?? ""}`,
+    };
+    if (message.dose && actionSecret) {
+      payload.actionToken = await signPushAction(actionSecret, message.dose);
+    }
+
+    const audience = new URL(subscription.endpoint).origin;
+    const token = await buildVapidToken(await getSigningKey(), audience, subject);
+    const body = await encryptPayload(subscription, JSON.stringify(payload));
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+    try {
+      const response = await fetch(subscription.endpoint, {
+        method: "POST",
+        headers: {
+          Authorization: `vapid t=${token}, k=${publicKey}`,
+          "Content-Encoding": "aes128gcm",
+          "Content-Type": "application/octet-stream",
+          TTL: String(PUSH_TTL_SECONDS),
+          Urgency: "high",
+        },
+        body,
+        signal: controller.signal,
+      });
+      if (response.status === 404 || response.status === 410) {
+        await onExpired?.(subscription);
+        return;
+      }
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Web Push error: ${response.status} ${text}`);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+};
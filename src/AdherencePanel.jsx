@@ -0,0 +1,101 @@
+import { useMemo, useState } from "react";
+import { ADHERENCE_PERIODS, computeAdherence } from "./adherence";
+
+const MAX_MISSED_SLOTS = 5;
+
+const formatPercent = (value) => (value == null ? "—" : `${value}%`);
+
+const formatSlot = (slot, timeZone) =>
+  `${slot.scheduledFor.toLocaleDateString("pt-BR", {
+    day: "2-digit",
+    month: "2-digit",
+    timeZone,
+  })} às ${slot.time}`;
+
+const formatStreak = (days) => (days === 1 ? "1 dia" : `${days} dias`);
+
+export default function AdherencePanel({ meds, doseEvents, now, timeZone }) {
+  const [period, setPeriod] = useState(ADHERENCE_PERIODS[0]);
+
+  const adherence = useMemo(
+    () => computeAdherence(meds, doseEvents, now, period, timeZone),
+    [meds, doseEvents, now, period, timeZone]
+  );
+
+  return (
+    <section className="card adherence">
+      <header className="adherence-header">
+        <h2>Adesão ao tratamento</h2>
+        <div className="period-switch">
+          {ADHERENCE_PERIODS.map((value) => (
+            <button
+              key={value}
+              type="button"
+              className={`btn ${value === period ? "secondary" : "ghost"}`}
+              onClick={() => setPeriod(value)}
+            >
+              {value} dias
+            </button>
+          ))}
+        </div>
+      </header>
+      {adherence.byMed.length === 0 ? (
+        <p className="muted">Cadastre horários para acompanhar a adesão às doses.</p>
+      ) : (
+        <>
+          <div className="hero-metrics">
+            <div>
+              <span className="metric-label">Adesão geral</span>
+              <strong>{formatPercent(adherence.overall.percent)}</strong>
+            </div>
+            <div>
+              <span className="metric-label">Doses tomadas</span>
+              <strong>
+                {adherence.overall.taken}/{adherence.overall.expected}
+              </strong>
+            </div>
+            <div>
+              <span className="metric-label">Doses perdidas</span>
+              <strong>{adherence.overall.missed + adherence.overall.skipped}</strong>
+            </div>
+            <div>
+              <span className="metric-label">Sequência atual</span>
+              <strong>{formatStreak(adherence.overall.streak.current)}</strong>
+            </div>
+          </div>
+          <div className="adherence-list">
+            {adherence.byMed.map((item) => (
+              <article className="adherence-item" key={item.medId}>
+                <div className="adherence-row">
+                  <strong>{item.name}</strong>
+                  <span>{formatPercent(item.percent)}</span>
+                </div>
+                <div className="progress">
+                  <span style={{ width: `${item.percent ?? 0}%` }} />
+                </div>
+                <div className="med-info">
+                  <span>
+                    {item.taken} de {item.expected} doses tomadas · sequência de{" "}
+                    {formatStreak(item.streak.current)} (melhor:{" "}
+                    {formatStreak(item.streak.best)})
+                  </span>
+                  {item.missedSlots.length > 0 && (
+                    <span className="muted">
+                      Perdidas:{" "}
+                      {item.missedSlots
+                        .slice(0, MAX_MISSED_SLOTS)
+                        .map((slot) => formatSlot(slot, timeZone))
+                        .join(", ")}
+                      {item.missedSlots.length > MAX_MISSED_SLOTS &&
+                        ` e mais ${item.missedSlots.length - MAX_MISSED_SLOTS}`}
+                    </span>
+                  )}
+                </div>
+              </article>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
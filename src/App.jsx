@@ -1,24 +1,145 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import AdherencePanel from "./AdherencePanel";
+import CatalogSuggestions from "./CatalogSuggestions";
+import PhaseEditor from "./PhaseEditor";
+import ReportPanel from "./ReportPanel";
+import SharingPanel from "./SharingPanel";
+import StockPanel from "./StockPanel";
+import { computeAdherence } from "./adherence";
+import BackupPanel from "./BackupPanel";
+import CalendarFeedPanel from "./CalendarFeedPanel";
+import { normalizeMedName } from "./backup";
+import { getCatalogDrug, matchIngredient } from "./catalog";
+import { findInteractions, getInteractionsByMed, getSeverityLabel } from "./interactions";
+import {
+  getPushSubscription,
+  isPushSupported,
+  requestNotificationPermission,
+  showLocalNotification,
+  subscribeToPush,
+  toPushSubscriptionRow,
+  unsubscribeFromPush,
+  vapidPublicKey,
+} from "./push";
+import {
+  describeMedEdit,
+  describeRecurrence,
+  formatShortDate,
+  MED_CHANGE_LOG_LIMIT,
+  WEEKDAY_LABELS,
+} from "./report";
+import {
+  applyStockMovementToBatches,
+  buildStockCorrection,
+  buildStockMovement,
+} from "./stock";
 import { isSupabaseConfigured, supabase } from "./supabase";
+import {
+  clearMutations,
+  discardMutation,
+  enqueueMutation,
+  executeMutation,
+  flushMutations,
+  isNetworkError,
+  isQueueSupported,
+  listMutations,
+  retryMutation,
+} from "./syncQueue";
+import {
+  DEFAULT_REFILL_LEAD_DAYS,
+  defaultRecurrence,
+  evaluatePrnDose,
+  findScheduledSlot,
+  getCurrentPhase,
+  getDueSlots,
+  getExpiryStatus,
+  getNextSlot,
+  getSupplyForecast,
+  getZonedParts,
+  isScheduleFinished,
+  needsRefill,
+  normalizePhases,
+  normalizeRecurrence,
+  normalizeScheduleTimes,
+  toNumber,
+} from "../shared/schedule.js";
+import {
+  DEFAULT_UNIT,
+  MED_UNITS,
+  formatAmount,
+  formatQuantity,
+  getUnit,
+  roundAmount,
+} from "../shared/units.js";
 
 const STORAGE_KEY = "medmanager:meds";
+const DOSE_EVENTS_KEY = "medmanager:doses";
+const STOCK_MOVEMENTS_KEY = "medmanager:stock-movements";
+const STOCK_BATCHES_KEY = "medmanager:stock-batches";
 const SETTINGS_KEY = "medmanager:settings";
 const USER_KEY = "medwatch:user";
-const ALERT_WINDOW_MINUTES = 10;
+const PATIENTS_KEY = "medmanager:patients";
+const ACTIVE_PATIENT_KEY = "medmanager:active-patient";
 const WHATSAPP_ENDPOINT = "/.netlify/functions/send-whatsapp";
-const MAX_PHONE_NUMBERS = 4;
+const WHATSAPP_ERROR_MESSAGES = {
+  unauthorized: "Sessão expirada. Entre novamente para enviar.",
+  recipient_not_allowed: "Este número não está cadastrado no seu perfil.",
+  rate_limited: "Limite de envios atingido. Tente novamente mais tarde.",
+};
+const PUSH_STATUS_MESSAGES = {
+  denied: "Permissão negada. Libere as notificações nas configurações do navegador.",
+  local: "Notificações ativas enquanto o app estiver aberto.",
+  error: "Não foi possível ativar as notificações neste aparelho.",
+};
+const OFFLINE_CACHE_KEY = "medwatch:offline-cache";
+const OFFLINE_MESSAGE = "Sem conexão. Mostrando os dados salvos neste aparelho.";
+const SYNC_RETRY_BASE_MS = 5000;
+const SYNC_RETRY_MAX_MS = 5 * 60000;
+const MAX_CONTACTS = 4;
 const DEFAULT_PHONE_NUMBERS = [""];
+const DEFAULT_CONTACTS = [{ channel: "whatsapp", address: "" }];
+const PHONE_CHANNELS = ["whatsapp", "sms"];
+const CONTACT_CHANNEL_OPTIONS = [
+  { value: "whatsapp", label: "WhatsApp", type: "tel", placeholder: "+5511999999999" },
+  { value: "sms", label: "SMS", type: "tel", placeholder: "+5511999999999" },
+  { value: "email", label: "E-mail", type: "email", placeholder: "nome@exemplo.com" },
+  { value: "telegram", label: "Telegram", type: "text", placeholder: "ID do chat" },
+];
+const TIMEZONE_OPTIONS =
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+const MUTATION_LABELS = {
+  meds: { insert: "Cadastro", update: "Edição", delete: "Exclusão" },
+  dose_events: { insert: "Registro de dose" },
+  stock_movements: { insert: "Movimentação de estoque" },
+};
+const DOSE_HISTORY_DAYS = 90;
+const HISTORY_PAGE_SIZE = 1000;
+const DEFAULT_SCHEDULE_TIME = "08:00";
+const RECURRENCE_OPTIONS = [
+  { value: "daily", label: "Todos os dias" },
+  { value: "weekdays", label: "Dias da semana" },
+  { value: "interval_days", label: "A cada N dias" },
+  { value: "interval_hours", label: "A cada N horas" },
+];
 
 const sampleMeds = [];
 
 const defaultForm = {
   name: "",
   dosage: "",
-  unit: "comprimidos",
+  unit: DEFAULT_UNIT,
+  activeIngredient: "",
+  packageSize: "",
   doseAmount: 1,
   stock: 30,
   lowThreshold: 5,
   scheduleTimes: [{ time: "08:00", pills: 1 }],
+  recurrence: defaultRecurrence,
+  phases: [],
+  asNeeded: false,
+  maxDailyDoses: 4,
+  minIntervalHours: 6,
+  prnGuard: "warn",
   alertsEnabled: true,
   autoDeduct: true,
   notes: "",
@@ -26,17 +147,26 @@ const defaultForm = {
 
 const defaultUser = {
   fullName: "",
-  phoneNumbers: DEFAULT_PHONE_NUMBERS,
+  contacts: DEFAULT_CONTACTS,
   password: "",
   timezone: "device",
+  reminderIntervalMinutes: 15,
+  reminderMaxRepeats: 0,
+  refillLeadDays: DEFAULT_REFILL_LEAD_DAYS,
+  caregiverPhone: "",
 };
 
 const defaultUserState = {
   id: "",
   fullName: "",
   phoneNumbers: DEFAULT_PHONE_NUMBERS,
+  contacts: DEFAULT_CONTACTS,
   timezone: "device",
   whatsappEnabled: true,
+  reminderIntervalMinutes: 15,
+  reminderMaxRepeats: 0,
+  refillLeadDays: DEFAULT_REFILL_LEAD_DAYS,
+  caregiverPhone: "",
 };
 
 const toDbUser = (user, userId, username, whatsappEnabled, timezone) => ({
@@ -44,8 +174,13 @@ const toDbUser = (user, userId, username, whatsappEnabled, timezone) => ({
   username,
   full_name: user.fullName,
   phone_numbers: user.phoneNumbers,
+  contacts: user.contacts,
   whatsapp_enabled: whatsappEnabled,
   timezone,
+  reminder_interval_minutes: toNumber(user.reminderIntervalMinutes, 15),
+  reminder_max_repeats: toNumber(user.reminderMaxRepeats, 0),
+  refill_lead_days: toNumber(user.refillLeadDays, DEFAULT_REFILL_LEAD_DAYS),
+  caregiver_phone: user.caregiverPhone || null,
 });
 
 const fromDbUser = (row) => ({
@@ -53,8 +188,69 @@ const fromDbUser = (row) => ({
   username: row.username ?? "",
   fullName: row.full_name ?? "",
   phoneNumbers: row.phone_numbers ?? DEFAULT_PHONE_NUMBERS,
+  contacts: normalizeContacts(row.contacts, row.phone_numbers),
+  whatsappEnabled: row.whatsapp_enabled ?? true,
+  timezone: row.timezone ?? "device",
+  reminderIntervalMinutes: row.reminder_interval_minutes ?? 15,
+  reminderMaxRepeats: row.reminder_max_repeats ?? 0,
+  refillLeadDays: row.refill_lead_days ?? DEFAULT_REFILL_LEAD_DAYS,
+  caregiverPhone: row.caregiver_phone ?? "",
+});
+
+const toDbPatient = (patient, ownerId) => ({
+  owner_id: patient.ownerId ?? ownerId,
+  full_name: patient.fullName,
+  phone_numbers: patient.phoneNumbers,
+  contacts: patient.contacts,
+  whatsapp_enabled: patient.whatsappEnabled,
+  timezone: patient.timezone,
+  reminder_interval_minutes: toNumber(patient.reminderIntervalMinutes, 15),
+  reminder_max_repeats: toNumber(patient.reminderMaxRepeats, 0),
+  refill_lead_days: toNumber(patient.refillLeadDays, DEFAULT_REFILL_LEAD_DAYS),
+  caregiver_phone: patient.caregiverPhone || null,
+});
+
+const fromDbPatient = (row, userId) => ({
+  id: row.id,
+  ownerId: row.owner_id ?? null,
+  role: row.owner_id === userId ? "owner" : "viewer",
+  fullName: row.full_name ?? "",
+  phoneNumbers: row.phone_numbers ?? DEFAULT_PHONE_NUMBERS,
+  contacts: normalizeContacts(row.contacts, row.phone_numbers),
   whatsappEnabled: row.whatsapp_enabled ?? true,
   timezone: row.timezone ?? "device",
+  reminderIntervalMinutes: row.reminder_interval_minutes ?? 15,
+  reminderMaxRepeats: row.reminder_max_repeats ?? 0,
+  refillLeadDays: row.refill_lead_days ?? DEFAULT_REFILL_LEAD_DAYS,
+  caregiverPhone: row.caregiver_phone ?? "",
+  createdAt: row.created_at ?? null,
+});
+
+const buildPatientFromUser = (user) => ({
+  id: crypto?.randomUUID?.() ?? `patient-${Date.now()}`,
+  ownerId: user.id ?? null,
+  role: "owner",
+  fullName: user.fullName ?? "",
+  phoneNumbers: user.phoneNumbers ?? DEFAULT_PHONE_NUMBERS,
+  contacts: normalizeContacts(user.contacts, user.phoneNumbers),
+  whatsappEnabled: user.whatsappEnabled ?? true,
+  timezone: resolveActiveTimezone(user.timezone),
+  reminderIntervalMinutes: user.reminderIntervalMinutes ?? 15,
+  reminderMaxRepeats: user.reminderMaxRepeats ?? 0,
+  refillLeadDays: user.refillLeadDays ?? DEFAULT_REFILL_LEAD_DAYS,
+  caregiverPhone: user.caregiverPhone ?? "",
+  createdAt: new Date().toISOString(),
+});
+
+const buildPatientForm = (patient) => ({
+  fullName: patient.fullName,
+  contacts: normalizeContacts(patient.contacts, patient.phoneNumbers),
+  password: "",
+  timezone: resolveTimezoneSelection(patient.timezone),
+  reminderIntervalMinutes: patient.reminderIntervalMinutes ?? 15,
+  reminderMaxRepeats: patient.reminderMaxRepeats ?? 0,
+  refillLeadDays: patient.refillLeadDays ?? DEFAULT_REFILL_LEAD_DAYS,
+  caregiverPhone: patient.caregiverPhone ?? "",
 });
 
 const normalizeUsername = (value) =>
@@ -74,27 +270,68 @@ const resolveTimezoneValue = () => getDeviceTimezone();
 const resolveTimezoneSelection = (storedTimezone) =>
   storedTimezone || getDeviceTimezone();
 
+const resolveActiveTimezone = (storedTimezone) =>
+  storedTimezone && storedTimezone !== "device"
+    ? storedTimezone
+    : getDeviceTimezone();
+
 const normalizePhoneNumbers = (value) => {
   if (!Array.isArray(value) || value.length === 0) {
     return DEFAULT_PHONE_NUMBERS;
   }
   const cleaned = value
     .map((item) => (item == null ? "" : String(item)))
-    .slice(0, MAX_PHONE_NUMBERS);
+    .slice(0, MAX_CONTACTS);
   return cleaned.length ? cleaned : DEFAULT_PHONE_NUMBERS;
 };
 
+const normalizeContacts = (value, phoneNumbers = []) => {
+  const contacts =
+    Array.isArray(value) && value.length
+      ? value
+      : (phoneNumbers ?? [])
+          .filter((phone) => phone?.trim())
+          .map((address) => ({ channel: "whatsapp", address }));
+  const cleaned = contacts
+    .filter((contact) =>
+      CONTACT_CHANNEL_OPTIONS.some((option) => option.value === contact?.channel)
+    )
+    .map((contact) => ({
+      channel: contact.channel,
+      address: contact.address == null ? "" : String(contact.address),
+    }))
+    .slice(0, MAX_CONTACTS);
+  return cleaned.length ? cleaned : DEFAULT_CONTACTS;
+};
+
+const getContactPhones = (contacts) => [
+  ...new Set(
+    contacts
+      .filter((contact) => PHONE_CHANNELS.includes(contact.channel))
+      .map((contact) => contact.address.trim())
+      .filter(Boolean)
+  ),
+];
+
 const buildEmptyProfile = (fullName, timezoneSelection) => ({
   fullName,
   phoneNumbers: DEFAULT_PHONE_NUMBERS,
+  contacts: [],
   timezone: resolveTimezoneValue(),
+  reminderIntervalMinutes: 15,
+  reminderMaxRepeats: 0,
+  refillLeadDays: DEFAULT_REFILL_LEAD_DAYS,
+  caregiverPhone: "",
 });
 
 const toDbMed = (med, userId) => ({
-  user_id: userId,
+  user_id: med.userId ?? userId,
+  patient_id: med.patientId ?? null,
   name: med.name,
   dosage: med.dosage,
   unit: med.unit,
+  active_ingredient: med.activeIngredient,
+  package_size: med.packageSize,
   dose_amount: med.doseAmount,
   stock: med.stock,
   low_threshold: med.lowThreshold,
@@ -102,6 +339,12 @@ const toDbMed = (med, userId) => ({
     time: entry.time,
     pills: toNumber(entry.pills, med.doseAmount || 1),
   })),
+  recurrence: med.recurrence,
+  schedule_phases: med.phases,
+  as_needed: med.asNeeded,
+  max_daily_doses: med.maxDailyDoses,
+  min_interval_hours: med.minIntervalHours,
+  prn_guard: med.prnGuard,
   alerts_enabled: med.alertsEnabled,
   auto_deduct: med.autoDeduct,
   notes: med.notes,
@@ -110,89 +353,260 @@ const toDbMed = (med, userId) => ({
   last_auto_dose_key: med.lastAutoDoseKey,
   last_whatsapp_alert_key: med.lastWhatsappAlertKey,
   last_low_stock_whatsapp_date: med.lastLowStockWhatsappDate,
+  change_log: med.changeLog ?? [],
 });
 
-const fromDbMed = (row) => ({
+const fromDbMed = (row, doseEvents = []) => ({
   id: row.id,
+  userId: row.user_id ?? null,
+  patientId: row.patient_id ?? null,
   name: row.name ?? "",
   dosage: row.dosage ?? "",
-  unit: row.unit ?? "comprimidos",
+  unit: row.unit ?? DEFAULT_UNIT,
+  activeIngredient: row.active_ingredient ?? "",
+  packageSize: row.package_size ?? null,
   doseAmount: row.dose_amount ?? 1,
   stock: row.stock ?? 0,
   lowThreshold: row.low_threshold ?? 0,
-  scheduleTimes: normalizeScheduleTimes(row.schedule_times, row.dose_amount ?? 1),
+  scheduleTimes: row.as_needed
+    ? normalizeScheduleTimes(row.schedule_times, row.dose_amount ?? 1)
+    : ensureScheduleTimes(row.schedule_times, row.dose_amount ?? 1),
+  recurrence: normalizeRecurrence(row.recurrence),
+  phases: normalizePhases(row.schedule_phases, row.dose_amount ?? 1),
+  asNeeded: row.as_needed ?? false,
+  maxDailyDoses: row.max_daily_doses ?? 0,
+  minIntervalHours: row.min_interval_hours ?? 0,
+  prnGuard: row.prn_guard ?? "warn",
   alertsEnabled: row.alerts_enabled ?? true,
   autoDeduct: row.auto_deduct ?? false,
   notes: row.notes ?? "",
-  lastTaken: row.last_taken ?? null,
+  lastTaken: getLastTakenAt(doseEvents, row.id) ?? row.last_taken ?? null,
   lastAlertKey: row.last_alert_key ?? null,
   lastAutoDoseKey: row.last_auto_dose_key ?? null,
   lastWhatsappAlertKey: row.last_whatsapp_alert_key ?? null,
   lastLowStockWhatsappDate: row.last_low_stock_whatsapp_date ?? null,
+  changeLog: Array.isArray(row.change_log) ? row.change_log : [],
+  createdAt: row.created_at ?? null,
+});
+
+const toDbDoseEvent = (event, userId) => ({
+  user_id: userId,
+  med_id: event.medId,
+  scheduled_for: event.scheduledFor,
+  taken_at: event.takenAt,
+  amount: event.amount,
+  source: event.source,
+  status: event.status,
+  dose_key: event.doseKey ?? null,
+});
+
+const fromDbDoseEvent = (row) => ({
+  id: row.id,
+  medId: row.med_id,
+  scheduledFor: row.scheduled_for ?? null,
+  takenAt: row.taken_at ?? null,
+  amount: row.amount ?? 0,
+  source: row.source ?? "manual",
+  status: row.status ?? "taken",
+  doseKey: row.dose_key ?? null,
+});
+
+const toDbStockMovement = (movement, userId) => ({
+  user_id: userId,
+  med_id: movement.medId,
+  kind: movement.kind,
+  quantity: movement.quantity,
+  occurred_at: movement.occurredAt,
+  packages: movement.packages,
+  package_size: movement.packageSize,
+  pharmacy: movement.pharmacy,
+  price: movement.price,
+  note: movement.note,
+  dose_key: movement.doseKey,
+  lot_number: movement.lotNumber,
+  expires_on: movement.expiresOn,
+  batch_id: movement.batchId,
+  target_stock: movement.targetStock ?? null,
 });
 
+const fromDbStockMovement = (row) => ({
+  id: row.id,
+  medId: row.med_id,
+  kind: row.kind ?? "correction",
+  quantity: Number(row.quantity ?? 0),
+  occurredAt: row.occurred_at ?? row.created_at,
+  packages: row.packages == null ? null : Number(row.packages),
+  packageSize: row.package_size == null ? null : Number(row.package_size),
+  pharmacy: row.pharmacy ?? "",
+  price: row.price == null ? null : Number(row.price),
+  note: row.note ?? "",
+  doseKey: row.dose_key ?? null,
+  lotNumber: row.lot_number ?? "",
+  expiresOn: row.expires_on ?? null,
+  batchId: row.batch_id ?? null,
+  targetStock: row.target_stock == null ? null : Number(row.target_stock),
+});
+
+const fromDbStockBatch = (row) => ({
+  id: row.id,
+  medId: row.med_id,
+  lotNumber: row.lot_number ?? "",
+  expiresOn: row.expires_on ?? null,
+  quantity: Number(row.quantity ?? 0),
+  remaining: Number(row.remaining ?? 0),
+  expiryNotified: row.expiry_notified ?? "",
+  createdAt: row.created_at,
+});
+
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += HISTORY_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      from,
+      from + HISTORY_PAGE_SIZE - 1
+    );
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < HISTORY_PAGE_SIZE) return rows;
+  }
+};
+
+const buildDoseEvent = (
+  medId,
+  { scheduledFor = null, takenAt, amount, source, status = "taken", doseKey = null }
+) => ({
+  id: crypto?.randomUUID?.() ?? `dose-${Date.now()}`,
+  medId,
+  scheduledFor,
+  takenAt: status === "taken" ? takenAt : null,
+  amount: status === "taken" ? amount : 0,
+  source,
+  status,
+  doseKey,
+});
+
+const getLastTakenAt = (doseEvents, medId) =>
+  doseEvents.reduce((latest, event) => {
+    if (event.medId !== medId || event.status !== "taken" || !event.takenAt) {
+      return latest;
+    }
+    return !latest || event.takenAt > latest ? event.takenAt : latest;
+  }, null);
+
 const formatDateTime = (value) => {
   if (!value) return "Ainda não registrado";
   const date = new Date(value);
   return date.toLocaleString("pt-BR");
 };
 
-const toNumber = (value, fallback = 0) => {
-  const parsed = Number(value);
-  return Number.isNaN(parsed) ? fallback : parsed;
+const ensureScheduleTimes = (value, fallbackPills = 1) => {
+  const normalized = normalizeScheduleTimes(value, fallbackPills);
+  return normalized.length
+    ? normalized
+    : [{ time: DEFAULT_SCHEDULE_TIME, pills: fallbackPills }];
 };
 
-const normalizeScheduleTimes = (value, fallbackPills = 1) => {
-  if (!Array.isArray(value) || value.length === 0) {
-    return [{ time: "08:00", pills: fallbackPills }];
+const getPrnStatus = (med, doseEvents, now) =>
+  evaluatePrnDose(
+    med,
+    doseEvents
+      .filter(
+        (event) =>
+          event.medId === med.id && event.status === "taken" && event.takenAt
+      )
+      .map((event) => event.takenAt),
+    now
+  );
+
+const describePrnBlock = (med, status, timeZone) => {
+  const reasons = [];
+  if (status.reasons.includes("max_daily")) {
+    reasons.push(`Limite de ${med.maxDailyDoses} doses em 24 horas atingido.`);
   }
-  const normalized = value
-    .map((entry) => {
-      if (typeof entry === "string") {
-        return { time: entry, pills: fallbackPills };
-      }
-      if (entry && typeof entry === "object") {
-        return {
-          time: entry.time || "08:00",
-          pills: toNumber(entry.pills, fallbackPills),
-        };
-      }
-      return null;
-    })
-    .filter(Boolean);
-  return normalized.length ? normalized : [{ time: "08:00", pills: fallbackPills }];
+  if (status.reasons.includes("min_interval")) {
+    reasons.push(
+      `Intervalo mínimo de ${med.minIntervalHours} horas ainda não cumprido.`
+    );
+  }
+  if (status.nextAllowedAt) {
+    const nextAllowed = status.nextAllowedAt.toLocaleTimeString("pt-BR", {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone,
+    });
+    reasons.push(`Próxima dose liberada às ${nextAllowed}.`);
+  }
+  return reasons.join(" ");
 };
 
-const buildAlertKey = (date, time) => `${date}-${time}`;
+const formatNextDose = (slot, now, timeZone) => {
+  const time = slot.scheduledFor.toLocaleTimeString("pt-BR", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone,
+  });
+  if (slot.dateString === getZonedParts(now, timeZone).dateString) {
+    return time;
+  }
+  const day = slot.scheduledFor.toLocaleDateString("pt-BR", {
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+    timeZone,
+  });
+  return `${day} às ${time}`;
+};
 
-const getTodayString = (date) => date.toISOString().slice(0, 10);
+const describeSupply = ({ daysLeft, runOutDate, coversCourse }) => {
+  if (coversCourse) return "Suficiente até o fim do tratamento";
+  if (daysLeft === 0) return "Acaba hoje";
+  return `Acaba em ${daysLeft === 1 ? "1 dia" : `${daysLeft} dias`} (${formatShortDate(
+    runOutDate
+  )})`;
+};
 
-const parseTimeToDate = (baseDate, time) => {
-  const [hours, minutes] = time.split(":").map((value) => Number(value));
-  const date = new Date(baseDate);
-  date.setHours(hours, minutes, 0, 0);
-  return date;
+const describeExpiry = ({ status, daysLeft }, expiresOn) => {
+  if (status === "expired") return `Venceu em ${formatShortDate(expiresOn)}`;
+  if (daysLeft === 0) return "Vence hoje";
+  return `Vence em ${daysLeft === 1 ? "1 dia" : `${daysLeft} dias`} (${formatShortDate(
+    expiresOn
+  )})`;
 };
 
-const getNextDose = (scheduleTimes) => {
-  if (!scheduleTimes?.length) return null;
-  const now = new Date();
-  const times = scheduleTimes
-    .map((entry) => (typeof entry === "string" ? entry : entry?.time))
-    .filter(Boolean)
-    .sort();
-  if (!times.length) return null;
-  for (const time of times) {
-    const candidate = parseTimeToDate(now, time);
-    if (candidate >= now) {
-      return candidate;
-    }
+const describePhaseStatus = (phases, currentPhase, now, timeZone) => {
+  if (currentPhase) {
+    const index = phases.findIndex(
+      (phase) => phase.startDate === currentPhase.startDate
+    );
+    const name = currentPhase.label || `Fase ${index + 1}`;
+    const until = currentPhase.endDate
+      ? ` até ${formatShortDate(currentPhase.endDate)}`
+      : "";
+    return `${name} (${index + 1} de ${phases.length})${until}`;
   }
-  return parseTimeToDate(new Date(now.getTime() + 24 * 60 * 60 * 1000), times[0]);
+  const today = getZonedParts(now, timeZone).dateString;
+  const upcoming = phases.find((phase) => phase.startDate > today);
+  return upcoming
+    ? `Começa em ${formatShortDate(upcoming.startDate)}`
+    : "Todas as fases concluídas";
+};
+
+const finishCompletedCourses = (meds, now, getTimeZone) => {
+  const changedIds = [];
+  const updatedMeds = meds.map((med) => {
+    if (!med.alertsEnabled || !isScheduleFinished(med, now, getTimeZone(med))) {
+      return med;
+    }
+    changedIds.push(med.id);
+    return { ...med, alertsEnabled: false };
+  });
+  return {
+    updatedMeds: changedIds.length ? updatedMeds : null,
+    changedIds,
+  };
 };
 
-const computeAlerts = (meds, now) => {
-  const today = getTodayString(now);
+const computeAlerts = (meds, now, getTimeZone) => {
   const dueAlerts = [];
   let changed = false;
   const updatedMeds = meds.map((med) => {
@@ -201,22 +615,18 @@ const computeAlerts = (meds, now) => {
     }
 
     let lastAlertKey = med.lastAlertKey;
-    med.scheduleTimes.forEach((entry) => {
-      const scheduledTime = parseTimeToDate(now, entry.time);
-      const diffMinutes = (now - scheduledTime) / 60000;
-      if (diffMinutes >= 0 && diffMinutes <= ALERT_WINDOW_MINUTES) {
-        const alertKey = buildAlertKey(today, entry.time);
-        if (lastAlertKey !== alertKey) {
-          lastAlertKey = alertKey;
-          dueAlerts.push({
-            medId: med.id,
-            name: med.name,
-            time: entry.time,
-            doseAmount: toNumber(entry.pills, med.doseAmount || 1),
-            unit: med.unit,
-            alertKey,
-          });
-        }
+    getDueSlots(med, now, getTimeZone(med)).forEach((slot) => {
+      if (lastAlertKey !== slot.alertKey) {
+        lastAlertKey = slot.alertKey;
+        dueAlerts.push({
+          medId: med.id,
+          name: med.name,
+          time: slot.time,
+          doseAmount: toNumber(slot.pills, med.doseAmount || 1),
+          unit: med.unit,
+          alertKey: slot.alertKey,
+          scheduledFor: slot.scheduledFor.toISOString(),
+        });
       }
     });
 
@@ -236,7 +646,7 @@ const computeAlerts = (meds, now) => {
 
 const applyAutoDoses = (meds, dueAlerts, now) => {
   if (!dueAlerts.length) {
-    return { updatedMeds: null, changedIds: [] };
+    return { updatedMeds: null, changedIds: [], doseEvents: [], stockMovements: [] };
   }
   const alertsByMed = dueAlerts.reduce((acc, alert) => {
     if (!acc[alert.medId]) {
@@ -246,6 +656,8 @@ const applyAutoDoses = (meds, dueAlerts, now) => {
     return acc;
   }, {});
 
+  const doseEvents = [];
+  const stockMovements = [];
   const updatedMeds = meds.map((med) => {
     if (!med.autoDeduct) return med;
     const alerts = alertsByMed[med.id] || [];
@@ -257,9 +669,29 @@ const applyAutoDoses = (meds, dueAlerts, now) => {
 
     alerts.forEach((alert) => {
       if (alert.alertKey && alert.alertKey !== lastAutoDoseKey) {
-        stock = Math.max(0, stock - alert.doseAmount);
+        const nextStock = roundAmount(Math.max(0, stock - alert.doseAmount));
         lastTaken = now.toISOString();
+        if (nextStock !== stock) {
+          stockMovements.push(
+            buildStockMovement(med.id, {
+              kind: "auto",
+              quantity: roundAmount(nextStock - stock),
+              occurredAt: lastTaken,
+              doseKey: alert.alertKey,
+            })
+          );
+        }
+        stock = nextStock;
         lastAutoDoseKey = alert.alertKey;
+        doseEvents.push(
+          buildDoseEvent(med.id, {
+            scheduledFor: alert.scheduledFor,
+            takenAt: lastTaken,
+            amount: alert.doseAmount,
+            source: "auto",
+            doseKey: alert.alertKey,
+          })
+        );
       }
     });
 
@@ -278,69 +710,56 @@ const applyAutoDoses = (meds, dueAlerts, now) => {
     .filter((med, index) => med !== meds[index])
     .map((med) => med.id);
 
-  return { updatedMeds, changedIds };
+  return { updatedMeds, changedIds, doseEvents, stockMovements };
 };
 
-const buildDoseWhatsApp = (alert) =>
-  `Hora de tomar ${alert.name}. ${alert.doseAmount} ${alert.unit} às ${alert.time}.`;
-
-const buildLowStockWhatsApp = (med) =>
-  `Estoque baixo: ${med.name}. Restam ${med.stock} unidades. Providencie reposição.`;
-
-const computeWhatsappQueue = (meds, dueAlerts, now) => {
-  const today = getTodayString(now);
-  const alertsByMed = dueAlerts.reduce((acc, alert) => {
-    if (!acc[alert.medId]) {
-      acc[alert.medId] = [];
-    }
-    acc[alert.medId].push(alert);
-    return acc;
-  }, {});
-
-  let changed = false;
-  const queue = [];
-  const updatedMeds = meds.map((med) => {
-    if (!med.alertsEnabled) return med;
-
-    let lastWhatsappAlertKey = med.lastWhatsappAlertKey ?? null;
-    let lastLowStockWhatsappDate = med.lastLowStockWhatsappDate ?? null;
-
-    const medAlerts = alertsByMed[med.id] || [];
-    medAlerts.forEach((alert) => {
-      if (alert.alertKey && alert.alertKey !== lastWhatsappAlertKey) {
-        queue.push(buildDoseWhatsApp(alert));
-        lastWhatsappAlertKey = alert.alertKey;
-      }
-    });
-
-    if (med.stock <= med.lowThreshold && lastLowStockWhatsappDate !== today) {
-      queue.push(buildLowStockWhatsApp(med));
-      lastLowStockWhatsappDate = today;
-    }
+const readLocalModeData = () => {
+  try {
+    const meds = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    const doseEvents = JSON.parse(localStorage.getItem(DOSE_EVENTS_KEY) ?? "[]");
+    return {
+      meds: Array.isArray(meds) ? meds.filter((med) => med?.name?.trim()) : [],
+      doseEvents: Array.isArray(doseEvents) ? doseEvents : [],
+    };
+  } catch {
+    return { meds: [], doseEvents: [] };
+  }
+};
 
-    if (
-      lastWhatsappAlertKey !== med.lastWhatsappAlertKey ||
-      lastLowStockWhatsappDate !== med.lastLowStockWhatsappDate
-    ) {
-      changed = true;
-      return { ...med, lastWhatsappAlertKey, lastLowStockWhatsappDate };
-    }
+const clearLocalModeData = () => {
+  localStorage.removeItem(USER_KEY);
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(DOSE_EVENTS_KEY);
+  localStorage.removeItem(STOCK_MOVEMENTS_KEY);
+  localStorage.removeItem(STOCK_BATCHES_KEY);
+  localStorage.removeItem(PATIENTS_KEY);
+};
 
-    return med;
+const normalizeLocalMed = (med) =>
+  fromDbMed({
+    ...toDbMed({ ...med, scheduleTimes: [] }, null),
+    schedule_times: med.scheduleTimes ?? [],
+    id: med.id,
+    created_at: med.createdAt ?? null,
   });
 
-  return {
-    queue,
-    updatedMeds: changed ? updatedMeds : null,
-  };
-};
-
 export default function App() {
   const [meds, setMeds] = useState(sampleMeds);
+  const [doseEvents, setDoseEvents] = useState([]);
+  const [stockMovements, setStockMovements] = useState([]);
+  const [stockBatches, setStockBatches] = useState([]);
+  const [restockMedId, setRestockMedId] = useState(null);
+  const [catalogQuery, setCatalogQuery] = useState("");
   const [form, setForm] = useState(defaultForm);
   const [editingMedId, setEditingMedId] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [doseNotices, setDoseNotices] = useState({});
   const [user, setUser] = useState(defaultUserState);
   const [userForm, setUserForm] = useState(defaultUser);
+  const [patients, setPatients] = useState([]);
+  const [activePatientId, setActivePatientId] = useState(null);
+  const [isNewPatient, setIsNewPatient] = useState(false);
+  const [cloudRefresh, setCloudRefresh] = useState(0);
   const [showProfileForm, setShowProfileForm] = useState(true);
   const [alerts, setAlerts] = useState([]);
   const [tick, setTick] = useState(Date.now());
@@ -352,13 +771,66 @@ export default function App() {
   const [authError, setAuthError] = useState("");
   const [authLoading, setAuthLoading] = useState(false);
   const [whatsappStatus, setWhatsappStatus] = useState("idle");
+  const [pushEndpoint, setPushEndpoint] = useState(null);
+  const [pushStatus, setPushStatus] = useState("idle");
+  const [pendingMutations, setPendingMutations] = useState([]);
+  const [syncRequest, setSyncRequest] = useState(0);
+  const localImportIds = useRef(new Map());
+  const [cloudSnapshotReady, setCloudSnapshotReady] = useState(false);
+  const [localImport, setLocalImport] = useState(null);
+  const [localImportStatus, setLocalImportStatus] = useState("idle");
 
   const hasProfile = Boolean(user.id);
   const cloudEnabled = Boolean(isSupabaseConfigured && supabase);
+  const activePatient =
+    patients.find((patient) => patient.id === activePatientId) ?? patients[0] ?? null;
+  const timeZone = resolveActiveTimezone(activePatient?.timezone ?? user.timezone);
+  const activeRole = activePatient?.role ?? "owner";
+  const canEditMeds = activeRole !== "viewer";
+  const unitStep = getUnit(form.unit).step;
+  const canManagePatient = activeRole === "owner" || activeRole === "admin";
+  const canDeletePatient =
+    activeRole === "owner" &&
+    patients.filter((patient) => patient.role === "owner").length > 1;
+  const activeContacts = normalizeContacts(
+    activePatient?.contacts,
+    activePatient?.phoneNumbers
+  ).filter((contact) => contact.address.trim());
+  const whatsappContact = activeContacts.find(
+    (contact) => contact.channel === "whatsapp"
+  );
+  const ownPatientId =
+    patients.find((patient) => patient.role === "owner")?.id ?? patients[0]?.id ?? null;
+  const getMedPatientId = (med) => med.patientId ?? ownPatientId;
+  const canEditMed = (med) =>
+    patients.find((patient) => patient.id === getMedPatientId(med))?.role !== "viewer";
+  const getMedTimeZone = (med) =>
+    resolveActiveTimezone(
+      patients.find((patient) => patient.id === getMedPatientId(med))?.timezone ??
+        user.timezone
+    );
+  const pendingMedIds = useMemo(
+    () => new Set(pendingMutations.map((mutation) => mutation.medId)),
+    [pendingMutations]
+  );
+  const queuedMutations = pendingMutations.filter((mutation) => !mutation.rejectedAt);
+  const rejectedMutations = pendingMutations.filter((mutation) => mutation.rejectedAt);
+  const patientMeds = useMemo(
+    () =>
+      activePatient
+        ? meds.filter((med) => (med.patientId ?? ownPatientId) === activePatient.id)
+        : meds,
+    [meds, ownPatientId, activePatient]
+  );
 
   useEffect(() => {
     const saved = localStorage.getItem(STORAGE_KEY);
+    const savedDoses = localStorage.getItem(DOSE_EVENTS_KEY);
+    const savedStockMovements = localStorage.getItem(STOCK_MOVEMENTS_KEY);
+    const savedStockBatches = localStorage.getItem(STOCK_BATCHES_KEY);
     const settings = localStorage.getItem(SETTINGS_KEY);
+    const savedPatients = localStorage.getItem(PATIENTS_KEY);
+    setActivePatientId(localStorage.getItem(ACTIVE_PATIENT_KEY));
 
     if (saved && !cloudEnabled) {
       try {
@@ -369,6 +841,42 @@ export default function App() {
       }
     }
 
+    if (savedPatients && !cloudEnabled) {
+      try {
+        const parsed = JSON.parse(savedPatients);
+        setPatients(Array.isArray(parsed) ? parsed : []);
+      } catch {
+        setPatients([]);
+      }
+    }
+
+    if (savedDoses && !cloudEnabled) {
+      try {
+        const parsed = JSON.parse(savedDoses);
+        setDoseEvents(Array.isArray(parsed) ? parsed : []);
+      } catch {
+        setDoseEvents([]);
+      }
+    }
+
+    if (savedStockMovements && !cloudEnabled) {
+      try {
+        const parsed = JSON.parse(savedStockMovements);
+        setStockMovements(Array.isArray(parsed) ? parsed : []);
+      } catch {
+        setStockMovements([]);
+      }
+    }
+
+    if (savedStockBatches && !cloudEnabled) {
+      try {
+        const parsed = JSON.parse(savedStockBatches);
+        setStockBatches(Array.isArray(parsed) ? parsed : []);
+      } catch {
+        setStockBatches([]);
+      }
+    }
+
     if (settings) {
       try {
         const parsed = JSON.parse(settings);
@@ -388,12 +896,6 @@ export default function App() {
         try {
           const parsed = JSON.parse(savedUser);
           setUser(parsed);
-          setUserForm({
-            fullName: parsed.fullName || "",
-            phoneNumbers: normalizePhoneNumbers(parsed.phoneNumbers),
-            password: "",
-            timezone: resolveTimezoneSelection(parsed.timezone),
-          });
           setShowProfileForm(!parsed.id);
         } catch {
           setUser(defaultUserState);
@@ -404,8 +906,28 @@ export default function App() {
   }, [cloudEnabled]);
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(meds));
-  }, [meds]);
+    if (!cloudEnabled) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(meds));
+    }
+  }, [cloudEnabled, meds]);
+
+  useEffect(() => {
+    if (!cloudEnabled) {
+      localStorage.setItem(DOSE_EVENTS_KEY, JSON.stringify(doseEvents));
+    }
+  }, [cloudEnabled, doseEvents]);
+
+  useEffect(() => {
+    if (!cloudEnabled) {
+      localStorage.setItem(STOCK_MOVEMENTS_KEY, JSON.stringify(stockMovements));
+    }
+  }, [cloudEnabled, stockMovements]);
+
+  useEffect(() => {
+    if (!cloudEnabled) {
+      localStorage.setItem(STOCK_BATCHES_KEY, JSON.stringify(stockBatches));
+    }
+  }, [cloudEnabled, stockBatches]);
 
   useEffect(() => {
     localStorage.setItem(
@@ -420,6 +942,64 @@ export default function App() {
     }
   }, [cloudEnabled, user]);
 
+  useEffect(() => {
+    if (!cloudEnabled) {
+      localStorage.setItem(PATIENTS_KEY, JSON.stringify(patients));
+    }
+  }, [cloudEnabled, patients]);
+
+  useEffect(() => {
+    if (!cloudEnabled || !user.id || !cloudSnapshotReady) return;
+    localStorage.setItem(
+      OFFLINE_CACHE_KEY,
+      JSON.stringify({
+        userId: user.id,
+        user,
+        patients,
+        meds,
+        doseEvents,
+        stockMovements,
+        stockBatches,
+      })
+    );
+  }, [
+    cloudEnabled,
+    cloudSnapshotReady,
+    user,
+    patients,
+    meds,
+    doseEvents,
+    stockMovements,
+    stockBatches,
+  ]);
+
+  useEffect(() => {
+    if (activePatientId) {
+      localStorage.setItem(ACTIVE_PATIENT_KEY, activePatientId);
+    }
+  }, [activePatientId]);
+
+  useEffect(() => {
+    if (cloudEnabled || !user.id || patients.length) return;
+    setPatients([buildPatientFromUser(user)]);
+  }, [cloudEnabled, user, patients.length]);
+
+  useEffect(() => {
+    if (!activePatient) return;
+    setPhoneNumbers(normalizePhoneNumbers(activePatient.phoneNumbers));
+    setWhatsappEnabled(activePatient.whatsappEnabled ?? true);
+    if (!isNewPatient) {
+      setUserForm(buildPatientForm(activePatient));
+    }
+  }, [activePatient, isNewPatient]);
+
+  useEffect(() => {
+    if (!isPushSupported()) return;
+    getPushSubscription()
+      .then((subscription) => setPushEndpoint(subscription?.endpoint ?? null))
+      .catch(() => setPushEndpoint(null));
+  }, []);
+
   useEffect(() => {
     if (!cloudEnabled) return;
 
@@ -439,7 +1019,12 @@ export default function App() {
           setUser((prev) => ({ ...prev, id: session.user.id }));
         } else {
           setUser(defaultUserState);
+          setPatients([]);
           setMeds([]);
+          setDoseEvents([]);
+          setStockMovements([]);
+          setStockBatches([]);
+          setCloudSnapshotReady(false);
           setShowProfileForm(true);
         }
       }
@@ -467,37 +1052,88 @@ export default function App() {
         }
         const updatedUser = fromDbUser(data);
         setUser(updatedUser);
-        setUserForm({
-          fullName: updatedUser.fullName,
-          phoneNumbers: normalizePhoneNumbers(updatedUser.phoneNumbers),
-          password: "",
-          timezone: resolveTimezoneSelection(updatedUser.timezone),
-        });
-        setPhoneNumbers(normalizePhoneNumbers(updatedUser.phoneNumbers));
-        setWhatsappEnabled(updatedUser.whatsappEnabled ?? true);
-      } catch {
-        setCloudError("Não foi possível carregar o perfil compartilhado.");
+        setPatients(await loadPatientsFromCloud(updatedUser));
+      } catch (error) {
+        setCloudError(
+          isNetworkError(error)
+            ? OFFLINE_MESSAGE
+            : "Não foi possível carregar o perfil compartilhado."
+        );
       }
     };
 
     loadUserFromCloud();
-  }, [cloudEnabled, user.id]);
+  }, [cloudEnabled, user.id, cloudRefresh]);
+
+  const restoreOfflineSnapshot = () => {
+    let snapshot = null;
+    try {
+      snapshot = JSON.parse(localStorage.getItem(OFFLINE_CACHE_KEY));
+    } catch {
+      snapshot = null;
+    }
+    if (snapshot?.userId !== user.id) {
+      setMeds([]);
+      return;
+    }
+    setUser((prev) => ({ ...prev, ...snapshot.user }));
+    setPatients(Array.isArray(snapshot.patients) ? snapshot.patients : []);
+    setMeds(Array.isArray(snapshot.meds) ? snapshot.meds : []);
+    setDoseEvents(Array.isArray(snapshot.doseEvents) ? snapshot.doseEvents : []);
+    setStockMovements(
+      Array.isArray(snapshot.stockMovements) ? snapshot.stockMovements : []
+    );
+    setStockBatches(Array.isArray(snapshot.stockBatches) ? snapshot.stockBatches : []);
+    setCloudSnapshotReady(true);
+  };
 
   useEffect(() => {
     const loadMedsFromCloud = async () => {
       if (!cloudEnabled || !user.id) return;
       setIsLoadingMeds(true);
       try {
-        const { data, error } = await supabase
-          .from("meds")
-          .select("*")
-          .eq("user_id", user.id)
-          .order("created_at", { ascending: false });
-
-        if (error) throw error;
-        setMeds(data.map(fromDbMed));
+        const since = new Date(
+          Date.now() - DOSE_HISTORY_DAYS * 24 * 60 * 60 * 1000
+        ).toISOString();
+        const [medsResult, dosesResult, stockResult, batchesResult] = await Promise.all([
+          supabase
+            .from("meds")
+            .select("*")
+            .order("created_at", { ascending: false }),
+          supabase
+            .from("dose_events")
+            .select("*")
+            .gte("created_at", since)
+            .order("created_at", { ascending: false }),
+          supabase
+            .from("stock_movements")
+            .select("*")
+            .gte("occurred_at", since)
+            .order("occurred_at", { ascending: false }),
+          supabase
+            .from("stock_batches")
+            .select("*")
+            .gt("remaining", 0)
+            .order("expires_on", { ascending: true }),
+        ]);
+
+        if (medsResult.error) throw medsResult.error;
+        if (dosesResult.error) throw dosesResult.error;
+        if (stockResult.error) throw stockResult.error;
+        if (batchesResult.error) throw batchesResult.error;
+        const loadedEvents = dosesResult.data.map(fromDbDoseEvent);
+        setDoseEvents(loadedEvents);
+        setStockMovements(stockResult.data.map(fromDbStockMovement));
+        setStockBatches(batchesResult.data.map(fromDbStockBatch));
+        setMeds(medsResult.data.map((row) => fromDbMed(row, loadedEvents)));
+        setCloudSnapshotReady(true);
         setCloudError("");
-      } catch {
+      } catch (error) {
+        if (isNetworkError(error)) {
+          restoreOfflineSnapshot();
+          setCloudError(OFFLINE_MESSAGE);
+          return;
+        }
         setCloudError("Não foi possível carregar as medicações compartilhadas.");
       } finally {
         setIsLoadingMeds(false);
@@ -505,7 +1141,89 @@ export default function App() {
     };
 
     loadMedsFromCloud();
-  }, [cloudEnabled, user.id]);
+  }, [cloudEnabled, user.id, cloudRefresh]);
+
+  useEffect(() => {
+    if (!cloudEnabled || !user.id || !cloudSnapshotReady || !ownPatientId) return;
+    const localData = readLocalModeData();
+    if (!localData.meds.length) {
+      setLocalImport(null);
+      return;
+    }
+    const existingNames = new Set(
+      meds
+        .filter((med) => getMedPatientId(med) === ownPatientId)
+        .map((med) => normalizeMedName(med.name))
+    );
+    const seenNames = new Set();
+    const newMeds = localData.meds.filter((med) => {
+      const name = normalizeMedName(med.name);
+      if (existingNames.has(name) || seenNames.has(name)) return false;
+      seenNames.add(name);
+      return true;
+    });
+    setLocalImport((prev) =>
+      prev?.dismissed
+        ? prev
+        : {
+            ...localData,
+            newMeds,
+            duplicateCount: localData.meds.length - newMeds.length,
+          }
+    );
+  }, [cloudEnabled, user.id, cloudSnapshotReady, ownPatientId, meds]);
+
+  useEffect(() => {
+    if (!cloudEnabled || !user.id || !isQueueSupported()) return;
+    let active = true;
+    let retryTimer = null;
+    let retryDelay = SYNC_RETRY_BASE_MS;
+
+    const syncPendingMutations = async () => {
+      clearTimeout(retryTimer);
+      try {
+        const applied = await flushMutations(() => {
+          setCloudError(
+            "Algumas alterações feitas sem conexão foram recusadas pelo banco compartilhado."
+          );
+        });
+        const remaining = await listMutations();
+        if (!active) return;
+        setPendingMutations(remaining);
+        if (remaining.some((mutation) => !mutation.rejectedAt)) {
+          if (navigator.onLine) {
+            retryTimer = setTimeout(syncPendingMutations, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, SYNC_RETRY_MAX_MS);
+          }
+          return;
+        }
+        retryDelay = SYNC_RETRY_BASE_MS;
+        if (applied) {
+          setCloudRefresh((prev) => prev + 1);
+        }
+      } catch {
+        if (active) {
+          setCloudError("Não foi possível sincronizar as alterações pendentes.");
+        }
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        syncPendingMutations();
+      }
+    };
+
+    syncPendingMutations();
+    window.addEventListener("online", syncPendingMutations);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => {
+      active = false;
+      clearTimeout(retryTimer);
+      window.removeEventListener("online", syncPendingMutations);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [cloudEnabled, user.id, syncRequest]);
 
   useEffect(() => {
     const interval = setInterval(() => {
@@ -517,34 +1235,70 @@ export default function App() {
 
   useEffect(() => {
     const now = new Date(tick);
-    const { dueAlerts, updatedMeds } = computeAlerts(meds, now);
+    const { updatedMeds: finishedMeds, changedIds: finishedIds } =
+      finishCompletedCourses(meds, now, getMedTimeZone);
+    if (finishedMeds) {
+      setMeds(finishedMeds);
+      finishedIds.forEach((medId) => {
+        const updated = finishedMeds.find((med) => med.id === medId);
+        if (!canEditMed(updated)) return;
+        updateMedInCloud(medId, updated).catch(() => {
+          setCloudError("Não foi possível encerrar o tratamento concluído.");
+        });
+      });
+      return;
+    }
+
+    const { dueAlerts, updatedMeds } = computeAlerts(meds, now, getMedTimeZone);
     const baseMeds = updatedMeds ?? meds;
     setAlerts(dueAlerts);
 
-    if (notificationsEnabled && dueAlerts.length) {
+    if (notificationsEnabled && dueAlerts.length && !pushEndpoint) {
       dueAlerts.forEach((alert) => {
-        new Notification(`Hora de tomar ${alert.name}`, {
-          body: `${alert.doseAmount} ${alert.unit} às ${alert.time}.`,
-        });
+        showLocalNotification(`Hora de tomar ${alert.name}`, {
+          body: `${formatQuantity(alert.doseAmount, alert.unit)} às ${alert.time}.`,
+          tag: `${alert.medId}-${alert.time}`,
+        }).catch(() => {});
       });
     }
 
     if (dueAlerts.length) {
-      const { updatedMeds: autoUpdatedMeds, changedIds } = applyAutoDoses(
-        baseMeds,
-        dueAlerts,
-        now
-      );
+      const {
+        updatedMeds: autoUpdatedMeds,
+        changedIds,
+        doseEvents: autoDoseEvents,
+        stockMovements: autoStockMovements,
+      } = applyAutoDoses(baseMeds, dueAlerts, now);
       if (autoUpdatedMeds) {
         setMeds(autoUpdatedMeds);
+        if (autoDoseEvents.length) {
+          setDoseEvents((prev) => [...autoDoseEvents, ...prev]);
+        }
+        if (autoStockMovements.length) {
+          applyStockMovements(autoStockMovements);
+        }
         if (cloudEnabled && changedIds.length) {
           changedIds.forEach((medId) => {
             const updated = autoUpdatedMeds.find((med) => med.id === medId);
-            if (!updated) return;
+            if (!updated || !canEditMed(updated)) return;
             updateMedInCloud(medId, updated).catch(() => {
               setCloudError("Não foi possível atualizar doses automáticas.");
             });
           });
+          autoDoseEvents.forEach((event) => {
+            const med = autoUpdatedMeds.find((item) => item.id === event.medId);
+            if (!med || !canEditMed(med)) return;
+            createDoseEventInCloud(event).catch(() => {
+              setCloudError("Não foi possível registrar o histórico de doses.");
+            });
+          });
+          autoStockMovements.forEach((movement) => {
+            const med = autoUpdatedMeds.find((item) => item.id === movement.medId);
+            if (!med || !canEditMed(med)) return;
+            createStockMovementInCloud(movement).catch(() => {
+              setCloudError("Não foi possível atualizar o estoque no banco compartilhado.");
+            });
+          });
         }
       } else if (updatedMeds) {
         setMeds(updatedMeds);
@@ -556,45 +1310,150 @@ export default function App() {
   }, [
     meds,
     tick,
+    patients,
     notificationsEnabled,
+    pushEndpoint,
     whatsappEnabled,
     phoneNumbers,
   ]);
 
+  const now = useMemo(() => new Date(tick), [tick]);
+
+  const supplyForecasts = useMemo(
+    () =>
+      Object.fromEntries(
+        patientMeds.map((med) => [
+          med.id,
+          med.asNeeded ? null : getSupplyForecast(med, med.stock, now, timeZone),
+        ])
+      ),
+    [patientMeds, now, timeZone]
+  );
+
   const lowStockMeds = useMemo(
-    () => meds.filter((med) => med.stock <= med.lowThreshold),
-    [meds]
+    () =>
+      patientMeds.filter((med) =>
+        needsRefill(
+          supplyForecasts[med.id],
+          med.stock,
+          med.lowThreshold,
+          activePatient?.refillLeadDays
+        )
+      ),
+    [patientMeds, supplyForecasts, activePatient]
+  );
+
+  const expiringBatches = useMemo(() => {
+    const today = getZonedParts(now, timeZone).dateString;
+    return patientMeds.flatMap((med) =>
+      stockBatches
+        .filter((batch) => batch.medId === med.id && batch.remaining > 0)
+        .map((batch) => ({ batch, med, expiry: getExpiryStatus(batch.expiresOn, today) }))
+        .filter(({ expiry }) => expiry)
+    );
+  }, [patientMeds, stockBatches, now, timeZone]);
+
+  const activeMeds = useMemo(
+    () => patientMeds.filter((med) => !isScheduleFinished(med, now, timeZone)),
+    [patientMeds, now, timeZone]
+  );
+
+  const interactionsByMed = useMemo(
+    () => getInteractionsByMed(activeMeds),
+    [activeMeds]
+  );
+
+  const formInteractions = useMemo(
+    () =>
+      form.name.trim()
+        ? findInteractions(
+            {
+              id: editingMedId,
+              name: form.name,
+              activeIngredient: form.activeIngredient,
+            },
+            activeMeds
+          )
+        : [],
+    [form.name, form.activeIngredient, editingMedId, activeMeds]
+  );
+
+  const weeklyAdherence = useMemo(
+    () => computeAdherence(patientMeds, doseEvents, now, 7, timeZone).overall,
+    [patientMeds, doseEvents, now, timeZone]
+  );
+
+  const lastTakenByMed = useMemo(
+    () =>
+      meds.reduce((acc, med) => {
+        acc[med.id] = getLastTakenAt(doseEvents, med.id) ?? med.lastTaken;
+        return acc;
+      }, {}),
+    [meds, doseEvents]
   );
 
   const handleFormChange = (field, value) => {
     setForm((prev) => ({ ...prev, [field]: value }));
   };
 
+  const handleNameChange = (value) => {
+    setForm((prev) => ({
+      ...prev,
+      name: value,
+      activeIngredient: matchIngredient(value)?.id ?? "",
+    }));
+    setCatalogQuery(value);
+  };
+
+  const handleCatalogSelect = (option) => {
+    setForm((prev) => ({
+      ...prev,
+      name: option.name,
+      activeIngredient: option.ingredientId,
+      dosage: option.strength,
+      unit: option.unit,
+      packageSize: option.packageSize,
+    }));
+    setCatalogQuery("");
+  };
+
   const handleUserChange = (field, value) => {
     setUserForm((prev) => ({ ...prev, [field]: value }));
   };
 
-  const handlePhoneNumberChange = (index, value) => {
+  const handleContactChange = (index, field, value) => {
     setUserForm((prev) => {
-      const updated = [...prev.phoneNumbers];
-      updated[index] = value;
-      return { ...prev, phoneNumbers: updated };
+      const updated = [...prev.contacts];
+      updated[index] = { ...updated[index], [field]: value };
+      return {
+        ...prev,
+        contacts: updated,
+        caregiverPhone:
+          field === "address" && prev.caregiverPhone === prev.contacts[index].address
+            ? ""
+            : prev.caregiverPhone,
+      };
     });
   };
 
-  const handleAddPhoneNumber = () => {
+  const handleAddContact = () => {
     setUserForm((prev) => {
-      if (prev.phoneNumbers.length >= MAX_PHONE_NUMBERS) return prev;
-      return { ...prev, phoneNumbers: [...prev.phoneNumbers, ""] };
+      if (prev.contacts.length >= MAX_CONTACTS) return prev;
+      return { ...prev, contacts: [...prev.contacts, DEFAULT_CONTACTS[0]] };
     });
   };
 
-  const handleRemovePhoneNumber = (index) => {
+  const handleRemoveContact = (index) => {
     setUserForm((prev) => {
-      const updated = prev.phoneNumbers.filter((_, idx) => idx !== index);
+      const updated = prev.contacts.filter((_, idx) => idx !== index);
       return {
         ...prev,
-        phoneNumbers: updated.length ? updated : DEFAULT_PHONE_NUMBERS,
+        contacts: updated.length ? updated : DEFAULT_CONTACTS,
+        caregiverPhone: updated.some(
+          (contact) => contact.address === prev.caregiverPhone
+        )
+          ? prev.caregiverPhone
+          : "",
       };
     });
   };
@@ -628,6 +1487,45 @@ export default function App() {
     return fromDbUser(created);
   };
 
+  const loadPatientsFromCloud = async (profile) => {
+    const [patientsResult, membershipsResult] = await Promise.all([
+      supabase.from("patients").select("*").order("created_at", { ascending: true }),
+      supabase
+        .from("patient_members")
+        .select("patient_id, role")
+        .eq("user_id", profile.id)
+        .eq("status", "accepted"),
+    ]);
+    if (patientsResult.error) throw patientsResult.error;
+    if (membershipsResult.error) throw membershipsResult.error;
+    const roles = new Map(
+      membershipsResult.data.map((membership) => [membership.patient_id, membership.role])
+    );
+    const loaded = patientsResult.data.map((row) => {
+      const patient = fromDbPatient(row, profile.id);
+      return patient.role === "owner"
+        ? patient
+        : { ...patient, role: roles.get(row.id) ?? "viewer" };
+    });
+    if (loaded.some((patient) => patient.role === "owner")) {
+      return loaded;
+    }
+
+    const { data: created, error: createError } = await supabase
+      .from("patients")
+      .insert(toDbPatient(buildPatientFromUser(profile), profile.id))
+      .select()
+      .single();
+    if (createError) throw createError;
+    const { error: assignError } = await supabase
+      .from("meds")
+      .update({ patient_id: created.id })
+      .eq("user_id", profile.id)
+      .is("patient_id", null);
+    if (assignError) throw assignError;
+    return [fromDbPatient(created, profile.id), ...loaded];
+  };
+
   const handleLogin = async (event) => {
     event.preventDefault();
     const fullName = userForm.fullName.trim();
@@ -741,124 +1639,452 @@ export default function App() {
 
   const handleSaveUser = async (event) => {
     event.preventDefault();
-    const trimmedUser = {
+    const trimmedContacts = userForm.contacts
+      .map((contact) => ({ ...contact, address: contact.address.trim() }))
+      .filter((contact) => contact.address);
+    const trimmedPatient = {
       fullName: userForm.fullName.trim(),
-      phoneNumbers: userForm.phoneNumbers.map((phone) => phone.trim()),
-      timezone: resolveTimezoneValue(),
+      phoneNumbers: getContactPhones(trimmedContacts),
+      contacts: trimmedContacts,
+      timezone: resolveActiveTimezone(userForm.timezone),
+      reminderIntervalMinutes: Math.max(
+        1,
+        toNumber(userForm.reminderIntervalMinutes, 15)
+      ),
+      reminderMaxRepeats: Math.max(0, toNumber(userForm.reminderMaxRepeats, 0)),
+      refillLeadDays: Math.max(
+        0,
+        toNumber(userForm.refillLeadDays, DEFAULT_REFILL_LEAD_DAYS)
+      ),
+      caregiverPhone: trimmedContacts.some(
+        (contact) => contact.address === userForm.caregiverPhone?.trim()
+      )
+        ? userForm.caregiverPhone.trim()
+        : "",
     };
-    if (!trimmedUser.fullName) {
+    if (!trimmedPatient.fullName) {
       setAuthError("Informe o nome completo.");
       return;
     }
 
+    const creating = isNewPatient || !activePatient;
+    let savedPatient = creating
+      ? buildPatientFromUser(trimmedPatient)
+      : { ...activePatient, ...trimmedPatient };
+
     if (cloudEnabled) {
       setAuthLoading(true);
       try {
-        const username = user.username || normalizeUsername(trimmedUser.fullName);
-        const { data, error } = await supabase
-          .from("profiles")
-          .update(
-            toDbUser(
-              trimmedUser,
-              user.id,
-              username,
-              whatsappEnabled,
-              trimmedUser.timezone
-            )
-          )
-          .eq("id", user.id)
-          .select()
-          .single();
+        const query = creating
+          ? supabase.from("patients").insert(toDbPatient(savedPatient, user.id))
+          : supabase
+              .from("patients")
+              .update(toDbPatient(savedPatient, user.id))
+              .eq("id", activePatient.id);
+        const { data, error } = await query.select().single();
         if (error) throw error;
-        setUser(fromDbUser(data));
+        savedPatient = {
+          ...fromDbPatient(data, user.id),
+          role: creating ? "owner" : activePatient.role,
+        };
         setCloudError("");
-        setAuthError("");
-        setShowProfileForm(false);
       } catch {
-        setCloudError("Nao foi possivel salvar o perfil.");
+        setCloudError("Nao foi possivel salvar o paciente.");
+        return;
       } finally {
         setAuthLoading(false);
       }
-    } else {
-      setUser({
-        ...user,
-        ...trimmedUser,
-        whatsappEnabled,
-        timezone: trimmedUser.timezone,
-      });
-      setAuthError("");
-      setShowProfileForm(false);
     }
 
-    setPhoneNumbers(trimmedUser.phoneNumbers);
+    setPatients((prev) =>
+      prev.some((patient) => patient.id === savedPatient.id)
+        ? prev.map((patient) =>
+            patient.id === savedPatient.id ? savedPatient : patient
+          )
+        : [...prev, savedPatient]
+    );
+    setActivePatientId(savedPatient.id);
+    setIsNewPatient(false);
+    setAuthError("");
+    setShowProfileForm(false);
   };
 
   const handleToggleWhatsapp = async () => {
     const nextValue = !whatsappEnabled;
     setWhatsappEnabled(nextValue);
+    if (!activePatient) return;
+    setPatients((prev) =>
+      prev.map((patient) =>
+        patient.id === activePatient.id
+          ? { ...patient, whatsappEnabled: nextValue }
+          : patient
+      )
+    );
 
     if (!cloudEnabled || !user.id) return;
     try {
-      const username = user.username || normalizeUsername(user.fullName);
-        await supabase
-          .from("profiles")
-          .update(
-            toDbUser(
+      const { error } = await supabase
+        .from("patients")
+        .update({ whatsapp_enabled: nextValue })
+        .eq("id", activePatient.id);
+      if (error) throw error;
+    } catch {
+      setCloudError("Não foi possível atualizar o WhatsApp.");
+    }
+  };
+
+  const handleSendTestWhatsapp = async () => {
+    const to = whatsappContact?.address.trim();
+    if (!cloudEnabled || !to) return;
+    setWhatsappStatus("sending");
+    try {
+      const { data } = await supabase.auth.getSession();
+      const response = await fetch(WHATSAPP_ENDPOINT, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${data.session?.access_token ?? ""}`,
+        },
+        body: JSON.stringify({ to, kind: "test" }),
+      });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => ({}));
+        setWhatsappStatus(payload.code || "error");
+        return;
+      }
+      setWhatsappStatus("success");
+    } catch {
+      setWhatsappStatus("error");
+    }
+  };
+
+  const removeDevicePush = async () => {
+    const endpoint = await unsubscribeFromPush();
+    setPushEndpoint(null);
+    if (!endpoint || !cloudEnabled) return;
+    const { error } = await supabase
+      .from("push_subscriptions")
+      .delete()
+      .eq("endpoint", endpoint);
+    if (error) throw error;
+  };
+
+  const handleTogglePush = async () => {
+    setPushStatus("working");
+    try {
+      if (pushEndpoint) {
+        await removeDevicePush();
+        setPushStatus("idle");
+        return;
+      }
+      const permission = await requestNotificationPermission();
+      if (permission !== "granted") {
+        setPushStatus("denied");
+        return;
+      }
+      setNotificationsEnabled(true);
+      if (!cloudEnabled || !user.id || !vapidPublicKey || !isPushSupported()) {
+        setPushStatus("local");
+        return;
+      }
+      const subscription = await subscribeToPush();
+      if (!subscription) {
+        setPushStatus("error");
+        return;
+      }
+      const { error } = await supabase
+        .from("push_subscriptions")
+        .upsert(
+          { ...toPushSubscriptionRow(subscription), user_id: user.id },
+          { onConflict: "endpoint" }
+        );
+      if (error) throw error;
+      setPushEndpoint(subscription.endpoint);
+      setPushStatus("idle");
+    } catch {
+      setPushStatus("error");
+    }
+  };
+
+  const handleImportLocalData = async () => {
+    const ownPatient = patients.find((patient) => patient.id === ownPatientId);
+    if (!localImport || !ownPatient) return;
+    setLocalImportStatus("importing");
+    const getImportedId = (localId) => {
+      if (!localImportIds.current.has(localId)) {
+        localImportIds.current.set(localId, crypto.randomUUID());
+      }
+      return localImportIds.current.get(localId);
+    };
+    try {
+      const importedIds = new Map(
+        localImport.newMeds.map((med) => [med.id, getImportedId(`med:${med.id}`)])
+      );
+      if (importedIds.size) {
+        const { error: medsError } = await supabase.from("meds").upsert(
+          localImport.newMeds.map((med) => ({
+            ...toDbMed(
               {
-                fullName: user.fullName,
-                phoneNumbers,
-                timezone: user.timezone || "UTC",
+                ...normalizeLocalMed(med),
+                patientId: ownPatient.id,
+                userId: ownPatient.ownerId ?? user.id,
+                lastAlertKey: null,
+                lastAutoDoseKey: null,
+                lastWhatsappAlertKey: null,
+                lastLowStockWhatsappDate: null,
               },
-              user.id,
-              username,
-              nextValue,
-              user.timezone || "UTC"
-            )
-          )
-          .eq("id", user.id);
+              user.id
+            ),
+            id: importedIds.get(med.id),
+          })),
+          { onConflict: "id", ignoreDuplicates: true }
+        );
+        if (medsError) throw medsError;
+      }
+      const importedEvents = localImport.doseEvents.filter((event) =>
+        importedIds.has(event.medId)
+      );
+      if (importedEvents.length) {
+        const { error: eventsError } = await supabase.from("dose_events").upsert(
+          importedEvents.map((event, index) => ({
+            ...toDbDoseEvent(
+              { ...event, medId: importedIds.get(event.medId) },
+              ownPatient.ownerId ?? user.id
+            ),
+            id: getImportedId(`dose:${event.id ?? index}`),
+          })),
+          { onConflict: "id", ignoreDuplicates: true }
+        );
+        if (eventsError) throw eventsError;
+      }
+      clearLocalModeData();
+      localImportIds.current.clear();
+      setLocalImport(null);
+      setLocalImportStatus("idle");
+      setCloudRefresh((prev) => prev + 1);
     } catch {
-      setCloudError("Não foi possível atualizar o WhatsApp.");
+      setLocalImportStatus("error");
+    }
+  };
+
+  const handleSelectPatient = (patientId) => {
+    setActivePatientId(patientId);
+    setEditingMedId(null);
+    setForm(defaultForm);
+    setFormError("");
+  };
+
+  const handleNewPatient = () => {
+    setIsNewPatient(true);
+    setUserForm(defaultUser);
+    setShowProfileForm(true);
+  };
+
+  const handleEditPatient = () => {
+    setIsNewPatient(false);
+    if (activePatient) {
+      setUserForm(buildPatientForm(activePatient));
+    }
+    setShowProfileForm(true);
+  };
+
+  const handleCancelPatientForm = () => {
+    setIsNewPatient(false);
+    setShowProfileForm(false);
+  };
+
+  const handleDeletePatient = async () => {
+    if (!canDeletePatient) return;
+    if (
+      !window.confirm(
+        `Remover ${activePatient.fullName} e todas as medicações deste paciente?`
+      )
+    ) {
+      return;
+    }
+    const removedId = activePatient.id;
+    if (cloudEnabled && user.id) {
+      try {
+        const { error } = await supabase.from("patients").delete().eq("id", removedId);
+        if (error) throw error;
+      } catch {
+        setCloudError("Não foi possível remover o paciente.");
+        return;
+      }
     }
+    const removedMedIds = meds
+      .filter((med) => getMedPatientId(med) === removedId)
+      .map((med) => med.id);
+    setMeds((prev) => prev.filter((med) => !removedMedIds.includes(med.id)));
+    setDoseEvents((prev) =>
+      prev.filter((event) => !removedMedIds.includes(event.medId))
+    );
+    setStockMovements((prev) =>
+      prev.filter((movement) => !removedMedIds.includes(movement.medId))
+    );
+    setStockBatches((prev) =>
+      prev.filter((batch) => !removedMedIds.includes(batch.medId))
+    );
+    setPatients((prev) => prev.filter((patient) => patient.id !== removedId));
+    setActivePatientId(patients.find((patient) => patient.id !== removedId)?.id);
+    setShowProfileForm(false);
   };
 
   const handleSwitchUser = () => {
+    if (
+      pendingMutations.length &&
+      !window.confirm(
+        "Há alterações feitas sem conexão que ainda não foram sincronizadas. Sair mesmo assim?"
+      )
+    ) {
+      return;
+    }
     if (cloudEnabled) {
-      supabase.auth.signOut();
+      removeDevicePush()
+        .catch(() => {})
+        .finally(() => supabase.auth.signOut());
+      clearMutations()?.catch(() => {});
+      setPendingMutations([]);
     }
     setUser(defaultUserState);
     setUserForm(defaultUser);
+    setPatients([]);
+    setActivePatientId(null);
+    setIsNewPatient(false);
     setMeds([]);
+    setDoseEvents([]);
+    setStockMovements([]);
+    setStockBatches([]);
     setPhoneNumbers(DEFAULT_PHONE_NUMBERS);
     setShowProfileForm(true);
     setAuthError("");
-    localStorage.removeItem(USER_KEY);
-    localStorage.removeItem(STORAGE_KEY);
+    if (!cloudEnabled) {
+      clearLocalModeData();
+    }
+    localStorage.removeItem(ACTIVE_PATIENT_KEY);
+    localStorage.removeItem(OFFLINE_CACHE_KEY);
+  };
+
+  const runCloudMutation = async (mutation) => {
+    const queued = await listMutations();
+    if (!queued.some((mutation) => !mutation.rejectedAt) && navigator.onLine) {
+      try {
+        await executeMutation(mutation);
+        return;
+      } catch (error) {
+        if (!isNetworkError(error) || !isQueueSupported()) throw error;
+      }
+    }
+    await enqueueMutation(mutation);
+    setPendingMutations(await listMutations());
+    if (navigator.onLine) {
+      setSyncRequest((prev) => prev + 1);
+    }
+  };
+
+  const handleRetryMutation = async (key) => {
+    await retryMutation(key);
+    setPendingMutations(await listMutations());
+    setSyncRequest((prev) => prev + 1);
+  };
+
+  const handleDiscardMutation = async (key) => {
+    await discardMutation(key);
+    setPendingMutations(await listMutations());
+    setCloudRefresh((prev) => prev + 1);
   };
 
   const createMedInCloud = async (payload) => {
     if (!cloudEnabled || !user.id) return payload;
-    const { data, error } = await supabase
-      .from("meds")
-      .insert(toDbMed(payload, user.id))
-      .select()
-      .single();
-    if (error) throw error;
-    return fromDbMed(data);
+    await runCloudMutation({
+      table: "meds",
+      action: "insert",
+      id: payload.id,
+      medId: payload.id,
+      row: { ...toDbMed(payload, user.id), id: payload.id },
+    });
+    return payload;
   };
 
   const updateMedInCloud = async (medId, payload) => {
     if (!cloudEnabled || !user.id) return;
-    const { error } = await supabase
-      .from("meds")
-      .update(toDbMed({ ...payload, id: medId }, user.id))
-      .eq("id", medId);
-    if (error) throw error;
+    const { stock, ...row } = toDbMed({ ...payload, id: medId }, user.id);
+    await runCloudMutation({
+      table: "meds",
+      action: "update",
+      id: medId,
+      medId,
+      row,
+    });
+  };
+
+  const createDoseEventInCloud = async (event) => {
+    if (!cloudEnabled || !user.id) return event;
+    await runCloudMutation({
+      table: "dose_events",
+      action: "insert",
+      id: event.id,
+      medId: event.medId,
+      row: {
+        ...toDbDoseEvent(
+          event,
+          meds.find((med) => med.id === event.medId)?.userId ?? user.id
+        ),
+        id: event.id,
+      },
+    });
+    return event;
+  };
+
+  const createDoseEventsInCloud = async (events, userId) => {
+    if (!cloudEnabled || !user.id) return;
+    const eventsByMed = events.reduce((groups, event) => {
+      groups.set(event.medId, [...(groups.get(event.medId) || []), event]);
+      return groups;
+    }, new Map());
+    for (const [medId, medEvents] of eventsByMed) {
+      await runCloudMutation({
+        table: "dose_events",
+        action: "insert",
+        medId,
+        row: medEvents.map((event) => ({
+          ...toDbDoseEvent(event, userId ?? user.id),
+          id: event.id,
+        })),
+      });
+    }
+  };
+
+  const createStockMovementInCloud = async (movement) => {
+    if (!cloudEnabled || !user.id) return;
+    await runCloudMutation({
+      table: "stock_movements",
+      action: "insert",
+      id: movement.id,
+      medId: movement.medId,
+      row: {
+        ...toDbStockMovement(
+          movement,
+          meds.find((med) => med.id === movement.medId)?.userId ?? user.id
+        ),
+        id: movement.id,
+      },
+    });
+  };
+
+  const applyStockMovements = (movements) => {
+    setStockMovements((prev) => [...movements, ...prev]);
+    setStockBatches((prev) => movements.reduce(applyStockMovementToBatches, prev));
+  };
+
+  const recordStockMovement = async (movement) => {
+    applyStockMovements([movement]);
+    await createStockMovementInCloud(movement);
   };
 
   const deleteMedInCloud = async (medId) => {
     if (!cloudEnabled || !user.id) return;
-    const { error } = await supabase.from("meds").delete().eq("id", medId);
-    if (error) throw error;
+    await runCloudMutation({ table: "meds", action: "delete", id: medId, medId });
   };
 
   const handleTimeChange = (index, value) => {
@@ -877,6 +2103,40 @@ export default function App() {
     });
   };
 
+  const handleRecurrenceChange = (field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      recurrence: { ...prev.recurrence, [field]: value },
+    }));
+  };
+
+  const handleToggleWeekday = (day) => {
+    setForm((prev) => {
+      const weekdays = prev.recurrence.weekdays.includes(day)
+        ? prev.recurrence.weekdays.filter((value) => value !== day)
+        : [...prev.recurrence.weekdays, day];
+      return { ...prev, recurrence: { ...prev.recurrence, weekdays } };
+    });
+  };
+
+  const handleTogglePhases = (enabled) => {
+    setForm((prev) => ({
+      ...prev,
+      phases: enabled
+        ? [
+            {
+              label: prev.dosage,
+              startDate:
+                prev.recurrence.startDate ??
+                getZonedParts(new Date(), timeZone).dateString,
+              endDate: "",
+              scheduleTimes: prev.scheduleTimes.map((entry) => ({ ...entry })),
+            },
+          ]
+        : [],
+    }));
+  };
+
   const handleAddTime = () => {
     setForm((prev) => ({
       ...prev,
@@ -903,37 +2163,129 @@ export default function App() {
     event.preventDefault();
     if (!form.name.trim()) return;
 
+    const recurrence = normalizeRecurrence(form.recurrence);
+    if (
+      !form.asNeeded &&
+      recurrence.type === "weekdays" &&
+      !recurrence.weekdays.length
+    ) {
+      setFormError("Selecione ao menos um dia da semana.");
+      return;
+    }
+    if (
+      (recurrence.type === "interval_days" || recurrence.type === "interval_hours") &&
+      !recurrence.startDate
+    ) {
+      recurrence.startDate = getZonedParts(new Date(), timeZone).dateString;
+    }
+    if (
+      recurrence.startDate &&
+      recurrence.endDate &&
+      recurrence.endDate < recurrence.startDate
+    ) {
+      setFormError("A data final precisa ser posterior à data inicial.");
+      return;
+    }
+    const phases = form.asNeeded
+      ? []
+      : normalizePhases(form.phases, toNumber(form.doseAmount, 1));
+    if (!form.asNeeded && phases.length !== form.phases.length) {
+      setFormError("Informe a data de início e ao menos um horário em cada fase.");
+      return;
+    }
+    if (phases.some((phase) => phase.endDate && phase.endDate < phase.startDate)) {
+      setFormError("Cada fase precisa terminar depois de começar.");
+      return;
+    }
+    const severeInteractions = formInteractions.filter(
+      (interaction) => interaction.severity === "grave"
+    );
+    if (
+      severeInteractions.length &&
+      !window.confirm(
+        `Interação grave com ${severeInteractions
+          .map((interaction) => interaction.med.name)
+          .join(", ")}. Salvar mesmo assim?`
+      )
+    ) {
+      return;
+    }
+    const scheduleTimes = phases.length
+      ? phases[0].scheduleTimes
+      : ensureScheduleTimes(form.scheduleTimes, toNumber(form.doseAmount, 1));
+
+    const editingMed = editingMedId
+      ? meds.find((med) => med.id === editingMedId)
+      : null;
     const newMed = {
       id: crypto?.randomUUID?.() ?? `med-${Date.now()}`,
       name: form.name.trim(),
       dosage: form.dosage.trim(),
-      unit: "comprimidos",
+      unit: form.unit,
+      activeIngredient: form.activeIngredient,
+      packageSize: toNumber(form.packageSize, 0) > 0 ? toNumber(form.packageSize, 0) : null,
       doseAmount: toNumber(form.doseAmount, 1),
       stock: toNumber(form.stock, 0),
       lowThreshold: toNumber(form.lowThreshold, 0),
-      scheduleTimes: normalizeScheduleTimes(form.scheduleTimes, form.doseAmount),
+      scheduleTimes: form.asNeeded
+        ? []
+        : recurrence.type === "interval_hours"
+          ? scheduleTimes.slice(0, 1)
+          : scheduleTimes,
+      recurrence,
+      phases,
+      asNeeded: form.asNeeded,
+      maxDailyDoses: Math.max(0, Math.round(toNumber(form.maxDailyDoses, 0))),
+      minIntervalHours: Math.max(0, toNumber(form.minIntervalHours, 0)),
+      prnGuard: form.prnGuard,
       alertsEnabled: form.alertsEnabled,
-      autoDeduct: form.autoDeduct,
+      autoDeduct: form.asNeeded ? false : form.autoDeduct,
       notes: form.notes.trim(),
-      lastTaken: null,
-      lastAlertKey: null,
-      lastAutoDoseKey: null,
-      lastWhatsappAlertKey: null,
-      lastLowStockWhatsappDate: null,
+      lastTaken: editingMed?.lastTaken ?? null,
+      lastAlertKey: editingMed?.lastAlertKey ?? null,
+      lastAutoDoseKey: editingMed?.lastAutoDoseKey ?? null,
+      lastWhatsappAlertKey: editingMed?.lastWhatsappAlertKey ?? null,
+      lastLowStockWhatsappDate: editingMed?.lastLowStockWhatsappDate ?? null,
+      patientId: editingMed?.patientId ?? activePatient?.id ?? null,
+      userId: editingMed?.userId ?? activePatient?.ownerId ?? null,
+      createdAt: editingMed?.createdAt ?? new Date().toISOString(),
+      changeLog: editingMed?.changeLog ?? [],
     };
+    const editDescription = editingMed ? describeMedEdit(editingMed, newMed) : "";
+    if (editDescription) {
+      newMed.changeLog = [
+        ...newMed.changeLog,
+        { changedAt: new Date().toISOString(), description: editDescription },
+      ].slice(-MED_CHANGE_LOG_LIMIT);
+    }
 
     try {
       if (editingMedId) {
+        const correction = buildStockCorrection(
+          editingMedId,
+          editingMed?.stock,
+          newMed.stock
+        );
         await updateMedInCloud(editingMedId, newMed);
+        if (correction) {
+          await recordStockMovement(correction);
+        }
         setMeds((prev) =>
-          prev.map((med) => (med.id === editingMedId ? { ...newMed, id: editingMedId } : med))
+          prev.map((med) =>
+            med.id === editingMedId ? { ...newMed, id: editingMedId } : med
+          )
         );
       } else {
         const savedMed = await createMedInCloud(newMed);
         setMeds((prev) => [savedMed, ...prev]);
+        const opening = buildStockCorrection(newMed.id, 0, newMed.stock, "Estoque inicial");
+        if (opening) {
+          setStockMovements((prev) => [opening, ...prev]);
+        }
       }
       setForm(defaultForm);
       setEditingMedId(null);
+      setFormError("");
       setCloudError("");
     } catch {
       setCloudError("Não foi possível salvar a medicação no banco compartilhado.");
@@ -959,22 +2311,114 @@ export default function App() {
   const handleRegisterDose = async (medId) => {
     const target = meds.find((med) => med.id === medId);
     if (!target) return;
-    const newStock = Math.max(0, target.stock - target.doseAmount);
-    const nextTaken = new Date().toISOString();
+    const now = new Date();
+    if (target.asNeeded) {
+      const prnStatus = getPrnStatus(target, doseEvents, now);
+      if (!prnStatus.allowed) {
+        const notice = describePrnBlock(target, prnStatus, timeZone);
+        if (target.prnGuard === "block") {
+          setDoseNotices((prev) => ({ ...prev, [medId]: notice }));
+          return;
+        }
+        if (!window.confirm(`${notice} Registrar mesmo assim?`)) {
+          return;
+        }
+      }
+    }
+    setDoseNotices((prev) => ({ ...prev, [medId]: "" }));
+    const scheduledSlot = target.asNeeded
+      ? null
+      : findScheduledSlot(target, now, timeZone);
+    const doseAmount = toNumber(scheduledSlot?.pills, target.doseAmount);
+    const newStock = roundAmount(Math.max(0, target.stock - doseAmount));
+    const nextTaken = now.toISOString();
+    const stockMovement =
+      newStock !== target.stock
+        ? buildStockMovement(medId, {
+            kind: "dose",
+            quantity: roundAmount(newStock - target.stock),
+            occurredAt: nextTaken,
+          })
+        : null;
+    const doseEvent = buildDoseEvent(medId, {
+      scheduledFor: scheduledSlot ? scheduledSlot.scheduledFor.toISOString() : null,
+      takenAt: nextTaken,
+      amount: doseAmount,
+      source: "manual",
+    });
     setMeds((prev) =>
       prev.map((med) =>
         med.id === medId ? { ...med, stock: newStock, lastTaken: nextTaken } : med
       )
     );
+    setDoseEvents((prev) => [doseEvent, ...prev]);
     try {
       await updateMedInCloud(medId, { ...target, stock: newStock, lastTaken: nextTaken });
+      const savedEvent = await createDoseEventInCloud(doseEvent);
+      setDoseEvents((prev) =>
+        prev.map((event) => (event.id === doseEvent.id ? savedEvent : event))
+      );
+      if (stockMovement) {
+        await recordStockMovement(stockMovement);
+      }
     } catch {
       setCloudError("Não foi possível atualizar o estoque no banco compartilhado.");
     }
   };
 
+  const handleRestock = async (med, purchase) => {
+    const movement = buildStockMovement(med.id, { kind: "purchase", ...purchase });
+    setMeds((prev) =>
+      prev.map((item) =>
+        item.id === med.id
+          ? { ...item, stock: roundAmount(item.stock + movement.quantity) }
+          : item
+      )
+    );
+    try {
+      await recordStockMovement(movement);
+      setCloudError("");
+    } catch {
+      setCloudError("Não foi possível registrar a compra no banco compartilhado.");
+    }
+  };
+
+  const handleDiscardBatch = async (med, batch) => {
+    if (
+      !window.confirm(
+        `Descartar ${formatQuantity(batch.remaining, med.unit)} do ${
+          batch.lotNumber ? `lote ${batch.lotNumber}` : "lote sem número"
+        }?`
+      )
+    ) {
+      return;
+    }
+    const movement = buildStockMovement(med.id, {
+      kind: "correction",
+      quantity: -Math.min(batch.remaining, med.stock),
+      note: "Descarte de lote",
+      batchId: batch.id,
+    });
+    setMeds((prev) =>
+      prev.map((item) =>
+        item.id === med.id
+          ? { ...item, stock: roundAmount(Math.max(0, item.stock + movement.quantity)) }
+          : item
+      )
+    );
+    try {
+      await recordStockMovement(movement);
+      setCloudError("");
+    } catch {
+      setCloudError("Não foi possível registrar o descarte no banco compartilhado.");
+    }
+  };
+
   const handleDelete = async (medId) => {
     setMeds((prev) => prev.filter((med) => med.id !== medId));
+    setDoseEvents((prev) => prev.filter((event) => event.medId !== medId));
+    setStockMovements((prev) => prev.filter((movement) => movement.medId !== medId));
+    setStockBatches((prev) => prev.filter((batch) => batch.medId !== medId));
     try {
       await deleteMedInCloud(medId);
     } catch {
@@ -982,16 +2426,158 @@ export default function App() {
     }
   };
 
+  const loadFullHistory = async (medIds) => {
+    const ids = new Set(medIds);
+    if (!cloudEnabled || !user.id) {
+      return {
+        doseEvents: doseEvents.filter((event) => ids.has(event.medId)),
+        stockMovements: stockMovements.filter((movement) => ids.has(movement.medId)),
+        stockBatches: stockBatches.filter((batch) => ids.has(batch.medId)),
+      };
+    }
+    if (!ids.size) {
+      return { doseEvents: [], stockMovements: [], stockBatches: [] };
+    }
+    const [doseRows, movementRows, batchRows] = await Promise.all([
+      fetchAllRows(() =>
+        supabase
+          .from("dose_events")
+          .select("*")
+          .in("med_id", medIds)
+          .order("created_at", { ascending: false })
+          .order("id")
+      ),
+      fetchAllRows(() =>
+        supabase
+          .from("stock_movements")
+          .select("*")
+          .in("med_id", medIds)
+          .order("occurred_at", { ascending: false })
+          .order("id")
+      ),
+      fetchAllRows(() =>
+        supabase
+          .from("stock_batches")
+          .select("*")
+          .in("med_id", medIds)
+          .order("created_at")
+          .order("id")
+      ),
+    ]);
+    return {
+      doseEvents: doseRows.map(fromDbDoseEvent),
+      stockMovements: movementRows.map(fromDbStockMovement),
+      stockBatches: batchRows.map(fromDbStockBatch),
+    };
+  };
+
+  const handleImportBackup = async (plan) => {
+    const importedIds = new Map();
+    const createdMeds = [];
+    const updatedMeds = [];
+    const corrections = [];
+    let importedEvents = [];
+    try {
+      for (const { source } of plan.create) {
+        const newMed = {
+          ...normalizeLocalMed(source),
+          id: crypto.randomUUID(),
+          lastAlertKey: null,
+          lastAutoDoseKey: null,
+          lastWhatsappAlertKey: null,
+          lastLowStockWhatsappDate: null,
+          patientId: activePatient?.id ?? null,
+          userId: activePatient?.ownerId ?? null,
+          createdAt: new Date().toISOString(),
+        };
+        createdMeds.push(await createMedInCloud(newMed));
+        importedIds.set(source.id, newMed.id);
+      }
+
+      for (const { source, target } of plan.update) {
+        const updated = {
+          ...normalizeLocalMed(source),
+          id: target.id,
+          lastAlertKey: target.lastAlertKey,
+          lastAutoDoseKey: target.lastAutoDoseKey,
+          lastWhatsappAlertKey: target.lastWhatsappAlertKey,
+          lastLowStockWhatsappDate: target.lastLowStockWhatsappDate,
+          patientId: target.patientId,
+          userId: target.userId,
+          createdAt: target.createdAt,
+        };
+        await updateMedInCloud(target.id, updated);
+        const correction = buildStockCorrection(target.id, target.stock, updated.stock);
+        if (correction) {
+          await createStockMovementInCloud(correction);
+          corrections.push(correction);
+        }
+        updatedMeds.push(updated);
+        importedIds.set(source.id, target.id);
+      }
+
+      importedEvents = plan.doseEvents.map(({ event, source }) => ({
+        ...event,
+        id: crypto.randomUUID(),
+        medId: importedIds.get(source.id),
+      }));
+      await createDoseEventsInCloud(importedEvents, activePatient?.ownerId);
+    } catch (error) {
+      for (const med of createdMeds) {
+        await deleteMedInCloud(med.id).catch(() => {});
+      }
+      setMeds((prev) =>
+        prev.map((med) => updatedMeds.find((updated) => updated.id === med.id) ?? med)
+      );
+      applyStockMovements(corrections);
+      throw error;
+    }
+
+    const removedIds = [];
+    try {
+      for (const { id } of plan.remove) {
+        await deleteMedInCloud(id);
+        removedIds.push(id);
+      }
+    } finally {
+      setMeds((prev) => [
+        ...createdMeds,
+        ...prev
+          .filter((med) => !removedIds.includes(med.id))
+          .map((med) => updatedMeds.find((updated) => updated.id === med.id) ?? med),
+      ]);
+      setDoseEvents((prev) => [
+        ...importedEvents,
+        ...prev.filter((event) => !removedIds.includes(event.medId)),
+      ]);
+      setStockMovements((prev) =>
+        prev.filter((movement) => !removedIds.includes(movement.medId))
+      );
+      setStockBatches((prev) =>
+        prev.filter((batch) => !removedIds.includes(batch.medId))
+      );
+      applyStockMovements(corrections);
+    }
+  };
+
   const handleEditMed = (med) => {
     setEditingMedId(med.id);
     setForm({
       name: med.name,
       dosage: med.dosage,
       unit: med.unit,
+      activeIngredient: med.activeIngredient ?? "",
+      packageSize: med.packageSize ?? "",
       doseAmount: med.doseAmount,
       stock: med.stock,
       lowThreshold: med.lowThreshold,
-      scheduleTimes: normalizeScheduleTimes(med.scheduleTimes, med.doseAmount),
+      scheduleTimes: ensureScheduleTimes(med.scheduleTimes, med.doseAmount),
+      recurrence: normalizeRecurrence(med.recurrence),
+      phases: normalizePhases(med.phases, med.doseAmount),
+      asNeeded: med.asNeeded ?? false,
+      maxDailyDoses: med.maxDailyDoses ?? defaultForm.maxDailyDoses,
+      minIntervalHours: med.minIntervalHours ?? defaultForm.minIntervalHours,
+      prnGuard: med.prnGuard ?? defaultForm.prnGuard,
       alertsEnabled: med.alertsEnabled,
       autoDeduct: med.autoDeduct,
       notes: med.notes,
@@ -1000,6 +2586,7 @@ export default function App() {
 
   const handleCancelEdit = () => {
     setEditingMedId(null);
+    setFormError("");
     setForm(defaultForm);
   };
 
@@ -1022,12 +2609,26 @@ export default function App() {
           </p>
           {hasProfile && !showProfileForm && (
             <div className="hero-actions">
-              <button
-                className="btn ghost"
-                type="button"
-                onClick={() => setShowProfileForm(true)}
-              >
-                Editar perfil
+              {patients.length > 0 && (
+                <label className="patient-switcher">
+                  Paciente
+                  <select
+                    value={activePatient?.id ?? ""}
+                    onChange={(event) => handleSelectPatient(event.target.value)}
+                  >
+                    {patients.map((patient) => (
+                      <option key={patient.id} value={patient.id}>
+                        {patient.fullName || "Sem nome"}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <button className="btn ghost" type="button" onClick={handleEditPatient}>
+                {canManagePatient ? "Editar paciente" : "Compartilhamento"}
+              </button>
+              <button className="btn ghost" type="button" onClick={handleNewPatient}>
+                + Novo paciente
               </button>
               <button className="btn ghost" type="button" onClick={handleSwitchUser}>
                 Trocar usuário
@@ -1041,33 +2642,64 @@ export default function App() {
             <div className="hero-metrics">
               <div>
                 <span className="metric-label">Medicações</span>
-                <strong>{meds.length}</strong>
+                <strong>{patientMeds.length}</strong>
               </div>
               <div>
                 <span className="metric-label">Alertas ativos</span>
-                <strong>{meds.filter((med) => med.alertsEnabled).length}</strong>
+                <strong>
+                  {patientMeds.filter((med) => med.alertsEnabled).length}
+                </strong>
               </div>
               <div>
                 <span className="metric-label">Estoque baixo</span>
                 <strong>{lowStockMeds.length}</strong>
               </div>
+              <div>
+                <span className="metric-label">Adesão (7 dias)</span>
+                <strong>
+                  {weeklyAdherence.percent == null
+                    ? "—"
+                    : `${weeklyAdherence.percent}%`}
+                </strong>
+              </div>
             </div>
             <div className="sms-card">
-              <h4>Alertas por WhatsApp</h4>
+              <h4>Alertas</h4>
               <div className="med-info">
                 <span>
-                  <strong>Telefones:</strong>{" "}
-                  {phoneNumbers.filter((value) => value.trim()).length
-                    ? phoneNumbers.filter((value) => value.trim()).join(", ")
+                  <strong>Contatos:</strong>{" "}
+                  {activeContacts.length
+                    ? activeContacts
+                        .map(
+                          (contact) =>
+                            `${contact.address} (${
+                              CONTACT_CHANNEL_OPTIONS.find(
+                                (option) => option.value === contact.channel
+                              )?.label
+                            })`
+                        )
+                        .join(", ")
                     : "Nenhum cadastrado"}
                 </span>
               </div>
+              {cloudEnabled && activeRole === "owner" && (
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={handleSendTestWhatsapp}
+                  disabled={
+                    whatsappStatus === "sending" || !whatsappContact
+                  }
+                >
+                  {whatsappStatus === "sending" ? "Enviando..." : "Enviar teste"}
+                </button>
+              )}
               <span className="helper-text">
               {whatsappStatus === "success"
                 ? "Twilio WhatsApp configurado e enviando."
                 : whatsappStatus === "error"
                   ? "Falha ao enviar via Twilio. Revise as variaveis."
-                  : ""}
+                  : WHATSAPP_ERROR_MESSAGES[whatsappStatus] ?? ""}
               </span>
             </div>
           </div>
@@ -1119,8 +2751,9 @@ export default function App() {
         </section>
       ) : showProfileForm ? (
         <section className="grid">
+          {isNewPatient || canManagePatient ? (
           <div className="card">
-            <h2>Perfil do usuário</h2>
+            <h2>{isNewPatient ? "Novo paciente" : "Perfil do paciente"}</h2>
             <form className="form" onSubmit={handleSaveUser}>
               <label>
                 Nome completo
@@ -1133,61 +2766,242 @@ export default function App() {
                   }
                 />
               </label>
+              <label>
+                Fuso horário
+                <select
+                  value={userForm.timezone}
+                  onChange={(event) =>
+                    handleUserChange("timezone", event.target.value)
+                  }
+                >
+                  <option value="device">
+                    Fuso deste aparelho ({getDeviceTimezone()})
+                  </option>
+                  {[...new Set([userForm.timezone, ...TIMEZONE_OPTIONS])]
+                    .filter((timezone) => timezone && timezone !== "device")
+                    .map((timezone) => (
+                      <option key={timezone} value={timezone}>
+                        {timezone.replace(/_/g, " ")}
+                      </option>
+                    ))}
+                </select>
+                <span className="helper-text">
+                  Os lembretes, o calendário e o relatório seguem o horário local do
+                  paciente.
+                </span>
+              </label>
               <div className="times">
-                <span>Telefones (WhatsApp)</span>
-                {userForm.phoneNumbers.map((phone, index) => (
-                  <div className="time-row" key={`phone-${index}`}>
-                    <input
-                      type="tel"
-                      placeholder="+5511999999999"
-                      value={phone}
-                      onChange={(event) =>
-                        handlePhoneNumberChange(index, event.target.value)
-                      }
-                    />
-                    <button
-                      className="btn ghost"
-                      type="button"
-                      onClick={() => handleRemovePhoneNumber(index)}
-                      disabled={userForm.phoneNumbers.length === 1}
-                    >
-                      Remover
-                    </button>
-                  </div>
-                ))}
-                {userForm.phoneNumbers.length < MAX_PHONE_NUMBERS && (
+                <span>Contatos para alertas</span>
+                {userForm.contacts.map((contact, index) => {
+                  const channel =
+                    CONTACT_CHANNEL_OPTIONS.find(
+                      (option) => option.value === contact.channel
+                    ) ?? CONTACT_CHANNEL_OPTIONS[0];
+                  return (
+                    <div className="time-row" key={`contact-${index}`}>
+                      <select
+                        value={contact.channel}
+                        onChange={(event) =>
+                          handleContactChange(index, "channel", event.target.value)
+                        }
+                      >
+                        {CONTACT_CHANNEL_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type={channel.type}
+                        placeholder={channel.placeholder}
+                        value={contact.address}
+                        onChange={(event) =>
+                          handleContactChange(index, "address", event.target.value)
+                        }
+                      />
+                      <button
+                        className="btn ghost"
+                        type="button"
+                        onClick={() => handleRemoveContact(index)}
+                        disabled={userForm.contacts.length === 1}
+                      >
+                        Remover
+                      </button>
+                    </div>
+                  );
+                })}
+                {userForm.contacts.length < MAX_CONTACTS && (
                   <button
                     className="btn ghost"
                     type="button"
-                    onClick={handleAddPhoneNumber}
+                    onClick={handleAddContact}
                   >
-                    + Adicionar numero
+                    + Adicionar contato
                   </button>
                 )}
                 <span className="helper-text">
-                  Adicione ate 4 numeros para receber alertas.
+                  Adicione ate 4 contatos e escolha por qual canal cada um recebe os
+                  alertas. No Telegram, informe o ID do chat com o bot do MedWatch.
                 </span>
               </div>
+              <div className="row">
+                <label>
+                  Repetir lembrete a cada (min)
+                  <input
+                    type="number"
+                    min="1"
+                    value={userForm.reminderIntervalMinutes}
+                    onChange={(event) =>
+                      handleUserChange("reminderIntervalMinutes", event.target.value)
+                    }
+                  />
+                </label>
+                <label>
+                  Lembretes extras
+                  <input
+                    type="number"
+                    min="0"
+                    value={userForm.reminderMaxRepeats}
+                    onChange={(event) =>
+                      handleUserChange("reminderMaxRepeats", event.target.value)
+                    }
+                  />
+                </label>
+              </div>
+              <label>
+                Avisar reposição com antecedência (dias)
+                <input
+                  type="number"
+                  min="0"
+                  value={userForm.refillLeadDays}
+                  onChange={(event) =>
+                    handleUserChange("refillLeadDays", event.target.value)
+                  }
+                />
+                <span className="helper-text">
+                  O alerta de estoque baixo é enviado quando o estoque, no ritmo dos
+                  horários cadastrados, acaba dentro desse prazo.
+                </span>
+              </label>
+              <label>
+                Contato do cuidador
+                <select
+                  value={userForm.caregiverPhone}
+                  onChange={(event) =>
+                    handleUserChange("caregiverPhone", event.target.value)
+                  }
+                >
+                  <option value="">Nenhum</option>
+                  {[
+                    ...new Set(
+                      userForm.contacts
+                        .map((contact) => contact.address.trim())
+                        .filter(Boolean)
+                    ),
+                  ].map((address) => (
+                    <option key={address} value={address}>
+                      {address}
+                    </option>
+                  ))}
+                </select>
+                <span className="helper-text">
+                  Sem confirmação da dose, o cuidador recebe um aviso de dose perdida.
+                </span>
+              </label>
               {authError && <span className="helper-text">{authError}</span>}
               {cloudError && <span className="helper-text">{cloudError}</span>}
               <button className="btn primary" type="submit" disabled={authLoading}>
                 {authLoading ? "Salvando..." : "Salvar perfil"}
               </button>
+              {!isNewPatient && canDeletePatient && (
+                <button className="btn ghost" type="button" onClick={handleDeletePatient}>
+                  Remover paciente
+                </button>
+              )}
               {hasProfile && (
                 <button
                   className="btn ghost"
                   type="button"
-                  onClick={() => setShowProfileForm(false)}
+                  onClick={handleCancelPatientForm}
                 >
                   Voltar para medicações
                 </button>
               )}
             </form>
           </div>
+          ) : (
+            <div className="card">
+              <h2>{activePatient?.fullName}</h2>
+              <p className="muted">
+                Paciente compartilhado com você. Somente o responsável ou um
+                administrador pode alterar o perfil.
+              </p>
+              <button className="btn ghost" type="button" onClick={handleCancelPatientForm}>
+                Voltar para medicações
+              </button>
+            </div>
+          )}
+          {cloudEnabled && !isNewPatient && activePatient && (
+            <SharingPanel
+              patient={activePatient}
+              currentUser={user}
+              onChange={() => setCloudRefresh((value) => value + 1)}
+            />
+          )}
         </section>
       ) : (
         <>
+          {localImport && !localImport.dismissed && (
+            <section className="card import-card">
+              <h2>Dados salvos neste aparelho</h2>
+              <p className="muted">
+                Encontramos {localImport.meds.length}{" "}
+                {localImport.meds.length === 1 ? "medicação" : "medicações"} do modo
+                local. Importe para a sua conta para manter horários, estoque e
+                histórico de doses.
+                {localImport.duplicateCount > 0 &&
+                  ` ${localImport.duplicateCount} já ${
+                    localImport.duplicateCount === 1 ? "existe" : "existem"
+                  } na conta com o mesmo nome e não ${
+                    localImport.duplicateCount === 1 ? "será importada" : "serão importadas"
+                  }.`}
+              </p>
+              <div className="import-actions">
+                <button
+                  className="btn primary"
+                  type="button"
+                  onClick={handleImportLocalData}
+                  disabled={localImportStatus === "importing"}
+                >
+                  {localImportStatus === "importing"
+                    ? "Importando..."
+                    : localImport.newMeds.length
+                      ? `Importar ${localImport.newMeds.length} ${
+                          localImport.newMeds.length === 1 ? "medicação" : "medicações"
+                        }`
+                      : "Limpar dados locais"}
+                </button>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() =>
+                    setLocalImport((prev) => ({ ...prev, dismissed: true }))
+                  }
+                  disabled={localImportStatus === "importing"}
+                >
+                  Agora não
+                </button>
+              </div>
+              {localImportStatus === "error" && (
+                <span className="helper-text">
+                  Não foi possível importar. Os dados locais foram mantidos; tente
+                  novamente.
+                </span>
+              )}
+            </section>
+          )}
           <section className="grid">
+            {canEditMeds ? (
             <div className="card">
               <h2>{editingMedId ? "Editar medicação" : "Nova medicação"}</h2>
               <form className="form" onSubmit={handleCreateMed}>
@@ -1197,9 +3011,19 @@ export default function App() {
                 type="text"
                 placeholder="Ex: Metformina"
                 value={form.name}
-                onChange={(event) => handleFormChange("name", event.target.value)}
+                onChange={(event) => handleNameChange(event.target.value)}
+                onBlur={() => setCatalogQuery("")}
+                autoComplete="off"
                 required
               />
+              {catalogQuery && (
+                <CatalogSuggestions query={catalogQuery} onSelect={handleCatalogSelect} />
+              )}
+              {form.activeIngredient && (
+                <span className="muted">
+                  Princípio ativo: {getCatalogDrug(form.activeIngredient)?.ingredient}
+                </span>
+              )}
             </label>
             <div className="row">
               <label>
@@ -1214,10 +3038,29 @@ export default function App() {
                 />
               </label>
               <label>
-                Comprimidos padrão por dose
+                Unidade
+                <select
+                  value={form.unit}
+                  onChange={(event) => handleFormChange("unit", event.target.value)}
+                >
+                  {MED_UNITS.map((unit) => (
+                    <option key={unit.value} value={unit.value}>
+                      {unit.value}
+                    </option>
+                  ))}
+                  {!MED_UNITS.some((unit) => unit.value === form.unit) && (
+                    <option value={form.unit}>{form.unit}</option>
+                  )}
+                </select>
+              </label>
+            </div>
+            <div className="row">
+              <label>
+                Quantidade padrão por dose ({form.unit})
                 <input
                   type="number"
-                  min="1"
+                  min={unitStep}
+                  step={unitStep}
                   value={form.doseAmount}
                   onChange={(event) =>
                     handleFormChange("doseAmount", event.target.value)
@@ -1226,11 +3069,25 @@ export default function App() {
               </label>
             </div>
             <div className="row">
+              <label>
+                Quantidade por embalagem
+                <input
+                  type="number"
+                  min="0"
+                  step={unitStep}
+                  placeholder="Opcional"
+                  value={form.packageSize}
+                  onChange={(event) =>
+                    handleFormChange("packageSize", event.target.value)
+                  }
+                />
+              </label>
               <label>
                 Estoque atual
                 <input
                   type="number"
                   min="0"
+                  step={unitStep}
                   value={form.stock}
                   onChange={(event) =>
                     handleFormChange("stock", event.target.value)
@@ -1242,6 +3099,7 @@ export default function App() {
                 <input
                   type="number"
                   min="0"
+                  step={unitStep}
                   value={form.lowThreshold}
                   onChange={(event) =>
                     handleFormChange("lowThreshold", event.target.value)
@@ -1249,39 +3107,198 @@ export default function App() {
                 />
               </label>
             </div>
-            <div className="times">
-              <span>Horários</span>
-              {form.scheduleTimes.map((entry, index) => (
-                <div className="time-row" key={index}>
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={form.asNeeded}
+                onChange={(event) =>
+                  handleFormChange("asNeeded", event.target.checked)
+                }
+              />
+              Uso conforme necessidade (sem horários fixos)
+            </label>
+            {form.asNeeded ? (
+              <div className="row">
+                <label>
+                  Máximo de doses em 24h
                   <input
-                    type="time"
-                    value={entry.time}
+                    type="number"
+                    min="0"
+                    value={form.maxDailyDoses}
                     onChange={(event) =>
-                      handleTimeChange(index, event.target.value)
+                      handleFormChange("maxDailyDoses", event.target.value)
                     }
                   />
+                </label>
+                <label>
+                  Intervalo mínimo (horas)
                   <input
                     type="number"
-                    min="1"
-                    value={entry.pills}
+                    min="0"
+                    step="0.5"
+                    value={form.minIntervalHours}
                     onChange={(event) =>
-                      handlePillsChange(index, event.target.value)
+                      handleFormChange("minIntervalHours", event.target.value)
                     }
-                    className="pill-input"
                   />
-                  <button
-                    className="btn ghost"
-                    type="button"
-                    onClick={() => handleRemoveTime(index)}
+                </label>
+                <label>
+                  Ao exceder o limite
+                  <select
+                    value={form.prnGuard}
+                    onChange={(event) =>
+                      handleFormChange("prnGuard", event.target.value)
+                    }
                   >
-                    Remover
-                  </button>
+                    <option value="warn">Avisar antes de registrar</option>
+                    <option value="block">Bloquear o registro</option>
+                  </select>
+                </label>
+              </div>
+            ) : (
+              <>
+                <div className="row">
+                  <label>
+                    Frequência
+                    <select
+                      value={form.recurrence.type}
+                      onChange={(event) =>
+                        handleRecurrenceChange("type", event.target.value)
+                      }
+                    >
+                      {RECURRENCE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {form.recurrence.type === "interval_days" && (
+                    <label>
+                      Repetir a cada (dias)
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.recurrence.everyDays}
+                        onChange={(event) =>
+                          handleRecurrenceChange("everyDays", event.target.value)
+                        }
+                      />
+                    </label>
+                  )}
+                  {form.recurrence.type === "interval_hours" && (
+                    <label>
+                      Repetir a cada (horas)
+                      <input
+                        type="number"
+                        min="1"
+                        max="72"
+                        value={form.recurrence.everyHours}
+                        onChange={(event) =>
+                          handleRecurrenceChange("everyHours", event.target.value)
+                        }
+                      />
+                    </label>
+                  )}
                 </div>
-              ))}
-              <button className="btn ghost" type="button" onClick={handleAddTime}>
-                + Adicionar horário
-              </button>
-            </div>
+                {form.recurrence.type === "weekdays" && (
+                  <div className="weekday-picker">
+                    {WEEKDAY_LABELS.map((label, day) => (
+                      <label className="toggle" key={label}>
+                        <input
+                          type="checkbox"
+                          checked={form.recurrence.weekdays.includes(day)}
+                          onChange={() => handleToggleWeekday(day)}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <div className="row">
+                  <label>
+                    Início
+                    <input
+                      type="date"
+                      value={form.recurrence.startDate ?? ""}
+                      onChange={(event) =>
+                        handleRecurrenceChange("startDate", event.target.value || null)
+                      }
+                    />
+                  </label>
+                  <label>
+                    Término (opcional)
+                    <input
+                      type="date"
+                      value={form.recurrence.endDate ?? ""}
+                      onChange={(event) =>
+                        handleRecurrenceChange("endDate", event.target.value || null)
+                      }
+                    />
+                  </label>
+                </div>
+                <label className="toggle">
+                  <input
+                    type="checkbox"
+                    checked={form.phases.length > 0}
+                    onChange={(event) => handleTogglePhases(event.target.checked)}
+                  />
+                  Dose muda ao longo do tratamento (desmame)
+                </label>
+                {form.phases.length > 0 ? (
+                  <PhaseEditor
+                    phases={form.phases}
+                    fallbackPills={toNumber(form.doseAmount, 1)}
+                    step={unitStep}
+                    onChange={(phases) => handleFormChange("phases", phases)}
+                  />
+                ) : (
+                  <div className="times">
+                    <span>
+                      {form.recurrence.type === "interval_hours"
+                        ? "Primeira dose"
+                        : "Horários"}
+                    </span>
+                    {(form.recurrence.type === "interval_hours"
+                      ? form.scheduleTimes.slice(0, 1)
+                      : form.scheduleTimes
+                    ).map((entry, index) => (
+                      <div className="time-row" key={index}>
+                        <input
+                          type="time"
+                          value={entry.time}
+                          onChange={(event) =>
+                            handleTimeChange(index, event.target.value)
+                          }
+                        />
+                        <input
+                          type="number"
+                          min={unitStep}
+                          step={unitStep}
+                          value={entry.pills}
+                          onChange={(event) =>
+                            handlePillsChange(index, event.target.value)
+                          }
+                          className="pill-input"
+                        />
+                        <button
+                          className="btn ghost"
+                          type="button"
+                          onClick={() => handleRemoveTime(index)}
+                        >
+                          Remover
+                        </button>
+                      </div>
+                    ))}
+                    {form.recurrence.type !== "interval_hours" && (
+                      <button className="btn ghost" type="button" onClick={handleAddTime}>
+                        + Adicionar horário
+                      </button>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
             <label className="toggle">
               <input
                 type="checkbox"
@@ -1292,16 +3309,18 @@ export default function App() {
               />
               Alertas ativos para esta medicação
             </label>
-            <label className="toggle">
-              <input
-                type="checkbox"
-                checked={form.autoDeduct}
-                onChange={(event) =>
-                  handleFormChange("autoDeduct", event.target.checked)
-                }
-              />
-              Registrar dose automaticamente
-            </label>
+            {!form.asNeeded && (
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={form.autoDeduct}
+                  onChange={(event) =>
+                    handleFormChange("autoDeduct", event.target.checked)
+                  }
+                />
+                Registrar dose automaticamente
+              </label>
+            )}
             <label>
               Observações
               <textarea
@@ -1311,6 +3330,22 @@ export default function App() {
                 onChange={(event) => handleFormChange("notes", event.target.value)}
               />
             </label>
+            {formInteractions.length > 0 && (
+              <ul className="interaction-list">
+                {formInteractions.map((interaction) => (
+                  <li
+                    key={interaction.med.id}
+                    className={`interaction ${interaction.severity}`}
+                  >
+                    <strong>
+                      {getSeverityLabel(interaction.severity)} com {interaction.med.name}
+                    </strong>
+                    <span>{interaction.effect}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {formError && <span className="helper-text">{formError}</span>}
             <div className="med-actions">
               <button className="btn primary" type="submit">
                 {editingMedId ? "Salvar alterações" : "Salvar medicação"}
@@ -1323,9 +3358,35 @@ export default function App() {
             </div>
           </form>
             </div>
+            ) : (
+              <div className="card">
+                <h2>Acesso somente leitura</h2>
+                <p className="muted">
+                  Você pode acompanhar as medicações de {activePatient?.fullName}, mas
+                  não pode alterá-las.
+                </p>
+              </div>
+            )}
 
             <div className="card">
               <h2>Alertas e reposição</h2>
+              <div className="push-toggle">
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={handleTogglePush}
+                  disabled={pushStatus === "working"}
+                >
+                  {pushEndpoint
+                    ? "Desativar notificações neste aparelho"
+                    : "Ativar notificações neste aparelho"}
+                </button>
+                <span className="helper-text">
+                  {pushEndpoint
+                    ? "Este aparelho recebe lembretes mesmo com o app fechado."
+                    : PUSH_STATUS_MESSAGES[pushStatus] ?? ""}
+                </span>
+              </div>
               <div className="alert-panel">
                 <h3>Alertas de agora</h3>
                 {notificationsEnabled && alerts.length === 0 && (
@@ -1343,7 +3404,7 @@ export default function App() {
                         <div>
                           <strong>{alert.name}</strong>
                           <span>
-                        {alert.doseAmount} {alert.unit} às {alert.time}
+                        {formatQuantity(alert.doseAmount, alert.unit)} às {alert.time}
                           </span>
                         </div>
                         <span className="badge">Agora</span>
@@ -1366,7 +3427,10 @@ export default function App() {
                         <div>
                           <strong>{med.name}</strong>
                           <span>
-                            Restam {med.stock} unidades. Repor quando possível.
+                            Restam {formatQuantity(med.stock, med.unit)}.{" "}
+                            {supplyForecasts[med.id]
+                              ? `${describeSupply(supplyForecasts[med.id])}.`
+                              : "Repor quando possível."}
                           </span>
                         </div>
                         <span className="badge warning">Repor</span>
@@ -1375,22 +3439,96 @@ export default function App() {
                   </div>
                 )}
               </div>
+              <div className="low-stock">
+                <h3>Validade</h3>
+                {expiringBatches.length === 0 && (
+                  <p className="muted">Nenhum lote vencido ou perto de vencer.</p>
+                )}
+                {expiringBatches.length > 0 && (
+                  <div className="alert-list">
+                    {expiringBatches.map(({ batch, med, expiry }) => (
+                      <div className="alert-item warning" key={batch.id}>
+                        <div>
+                          <strong>{med.name}</strong>
+                          <span>
+                            {batch.lotNumber ? `Lote ${batch.lotNumber}` : "Sem lote"} ·{" "}
+                            {formatQuantity(batch.remaining, med.unit)}.{" "}
+                            {describeExpiry(expiry, batch.expiresOn)}.
+                          </span>
+                        </div>
+                        <span className="badge warning">
+                          {expiry.status === "expired" ? "Vencido" : "Vence logo"}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
           </section>
 
           <section className="card list">
             <h2>Minhas medicações</h2>
             {cloudError && <p className="helper-text">{cloudError}</p>}
+            {queuedMutations.length > 0 && (
+              <p className="muted">
+                {queuedMutations.length === 1
+                  ? "1 alteração aguardando conexão para sincronizar."
+                  : `${queuedMutations.length} alterações aguardando conexão para sincronizar.`}
+              </p>
+            )}
+            {rejectedMutations.length > 0 && (
+              <ul className="rejected-mutations">
+                {rejectedMutations.map((mutation) => (
+                  <li key={mutation.key}>
+                    <span>
+                      {MUTATION_LABELS[mutation.table]?.[mutation.action] ?? "Alteração"}
+                      {" · "}
+                      {meds.find((med) => med.id === mutation.medId)?.name ??
+                        "medicação removida"}
+                      {mutation.rejectionMessage && (
+                        <span className="muted"> ({mutation.rejectionMessage})</span>
+                      )}
+                    </span>
+                    <button
+                      type="button"
+                      className="btn ghost"
+                      onClick={() => handleRetryMutation(mutation.key)}
+                    >
+                      Tentar de novo
+                    </button>
+                    <button
+                      type="button"
+                      className="btn ghost"
+                      onClick={() => handleDiscardMutation(mutation.key)}
+                    >
+                      Descartar
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
             {isLoadingMeds && (
               <p className="muted">Carregando medicações...</p>
             )}
             <div className="med-grid">
-              {meds.map((med) => {
-                const nextDose = getNextDose(med.scheduleTimes);
-                const isLowStock = med.stock <= med.lowThreshold;
+              {patientMeds.map((med) => {
+                const nextDose = getNextSlot(med, now, timeZone);
+                const currentPhase = med.phases?.length
+                  ? getCurrentPhase(med, now, timeZone)
+                  : null;
+                const displayedTimes = med.phases?.length
+                  ? currentPhase?.scheduleTimes ?? []
+                  : med.scheduleTimes;
+                const prnStatus = med.asNeeded
+                  ? getPrnStatus(med, doseEvents, now)
+                  : null;
+                const supplyForecast = supplyForecasts[med.id];
+                const isMedLowStock = lowStockMeds.includes(med);
+                const medInteractions = interactionsByMed[med.id] ?? [];
                 return (
                   <article
-                    className={`med-card ${isLowStock ? "danger" : ""}`}
+                    className={`med-card ${isMedLowStock ? "danger" : ""}`}
                     key={med.id}
                   >
                     <header>
@@ -1399,75 +3537,195 @@ export default function App() {
                         <p className="muted">
                           {med.dosage ? `${med.dosage} ${med.unit}` : med.unit}
                         </p>
+                        {medInteractions.length > 0 && (
+                          <span
+                            className={`badge interaction ${medInteractions[0].severity}`}
+                          >
+                            Interação{" "}
+                            {getSeverityLabel(medInteractions[0].severity).toLowerCase()}
+                          </span>
+                        )}
+                        {pendingMedIds.has(med.id) && (
+                          <span className="badge sync">Sincronização pendente</span>
+                        )}
                       </div>
-                      <button
-                        className="btn ghost"
-                        onClick={() => handleDelete(med.id)}
-                      >
-                        Excluir
-                      </button>
+                      {canEditMeds && (
+                        <button
+                          className="btn ghost"
+                          onClick={() => handleDelete(med.id)}
+                        >
+                          Excluir
+                        </button>
+                      )}
                     </header>
                     <div className="med-info">
+                      {prnStatus ? (
+                        <>
+                          <span>
+                            <strong>Horários:</strong> Conforme necessidade
+                          </span>
+                          <span>
+                            <strong>Doses em 24h:</strong>{" "}
+                            {med.maxDailyDoses
+                              ? `${prnStatus.dosesLast24h} de ${med.maxDailyDoses}`
+                              : prnStatus.dosesLast24h}
+                          </span>
+                          <span>
+                            <strong>Próxima dose liberada:</strong>{" "}
+                            {prnStatus.allowed
+                              ? "Agora"
+                              : prnStatus.nextAllowedAt.toLocaleTimeString("pt-BR", {
+                                  hour: "2-digit",
+                                  minute: "2-digit",
+                                  timeZone,
+                                })}
+                          </span>
+                        </>
+                      ) : (
+                        <>
+                          <span>
+                            <strong>Horários:</strong>{" "}
+                            {displayedTimes.length
+                              ? displayedTimes
+                                  .map((entry) =>
+                                    typeof entry === "string"
+                                      ? entry
+                                      : `${entry.time} (${formatAmount(
+                                          entry.pills,
+                                          med.unit
+                                        )})`
+                                  )
+                                  .join(", ")
+                              : "—"}
+                          </span>
+                          {med.phases?.length > 0 && (
+                            <span>
+                              <strong>Fase:</strong>{" "}
+                              {describePhaseStatus(med.phases, currentPhase, now, timeZone)}
+                            </span>
+                          )}
+                          <span>
+                            <strong>Frequência:</strong>{" "}
+                            {describeRecurrence(med.recurrence)}
+                          </span>
+                          <span>
+                            <strong>Próxima dose:</strong>{" "}
+                            {nextDose
+                              ? formatNextDose(nextDose, now, timeZone)
+                              : isScheduleFinished(med, now, timeZone)
+                                ? "Tratamento concluído"
+                                : "—"}
+                          </span>
+                        </>
+                      )}
                       <span>
-                        <strong>Horários:</strong>{" "}
-                        {med.scheduleTimes.length
-                          ? med.scheduleTimes
-                              .map((entry) =>
-                                typeof entry === "string"
-                                  ? entry
-                                  : `${entry.time} (${entry.pills})`
-                              )
-                              .join(", ")
-                          : "—"}
-                      </span>
-                      <span>
-                        <strong>Próxima dose:</strong>{" "}
-                        {nextDose
-                          ? nextDose.toLocaleTimeString("pt-BR", {
-                              hour: "2-digit",
-                              minute: "2-digit",
-                            })
-                          : "—"}
-                      </span>
-                      <span>
-                        <strong>Estoque:</strong> {med.stock} unidades
+                        <strong>Estoque:</strong> {formatQuantity(med.stock, med.unit)}
+                        {supplyForecast && ` · ${describeSupply(supplyForecast)}`}
                       </span>
                       <span>
                         <strong>Última dose:</strong>{" "}
-                        {formatDateTime(med.lastTaken)}
+                        {formatDateTime(lastTakenByMed[med.id])}
                       </span>
                       {med.notes && <span className="notes">{med.notes}</span>}
+                      {medInteractions.map((interaction) => (
+                        <span
+                          key={interaction.med.id}
+                          className={`interaction ${interaction.severity}`}
+                        >
+                          <strong>{interaction.med.name}:</strong> {interaction.effect}
+                        </span>
+                      ))}
+                      {doseNotices[med.id] && (
+                        <span className="helper-text">{doseNotices[med.id]}</span>
+                      )}
                     </div>
                     <div className="med-actions">
-                      <button
-                        className="btn"
-                        onClick={() => handleRegisterDose(med.id)}
-                      >
-                        Registrar dose
-                      </button>
-                      <button
-                        className="btn secondary"
-                        onClick={() => handleEditMed(med)}
-                      >
-                        Editar
-                      </button>
-                      <button
-                        className={`btn ${
-                          med.alertsEnabled ? "secondary" : "ghost"
-                        }`}
-                        onClick={() => handleToggleAlert(med.id)}
-                      >
-                        {med.alertsEnabled
-                          ? "Alertas ativos"
-                          : "Alertas desativados"}
-                      </button>
-                      {isLowStock && <span className="pill">Estoque baixo</span>}
+                      {canEditMeds && (
+                        <>
+                          <button
+                            className="btn"
+                            onClick={() => handleRegisterDose(med.id)}
+                          >
+                            Registrar dose
+                          </button>
+                          <button
+                            className="btn secondary"
+                            onClick={() =>
+                              setRestockMedId((current) =>
+                                current === med.id ? null : med.id
+                              )
+                            }
+                          >
+                            Repor estoque
+                          </button>
+                          <button
+                            className="btn secondary"
+                            onClick={() => handleEditMed(med)}
+                          >
+                            Editar
+                          </button>
+                          <button
+                            className={`btn ${
+                              med.alertsEnabled ? "secondary" : "ghost"
+                            }`}
+                            onClick={() => handleToggleAlert(med.id)}
+                          >
+                            {med.alertsEnabled
+                              ? "Alertas ativos"
+                              : "Alertas desativados"}
+                          </button>
+                        </>
+                      )}
+                      {isMedLowStock && <span className="pill">Estoque baixo</span>}
                     </div>
+                    {canEditMeds && restockMedId === med.id && (
+                      <StockPanel
+                        med={med}
+                        movements={stockMovements.filter(
+                          (movement) => movement.medId === med.id
+                        )}
+                        batches={stockBatches.filter(
+                          (batch) => batch.medId === med.id && batch.remaining > 0
+                        )}
+                        timeZone={timeZone}
+                        onRestock={handleRestock}
+                        onDiscard={handleDiscardBatch}
+                        onClose={() => setRestockMedId(null)}
+                      />
+                    )}
                   </article>
                 );
               })}
             </div>
           </section>
+
+          <AdherencePanel
+            meds={patientMeds}
+            doseEvents={doseEvents}
+            now={now}
+            timeZone={timeZone}
+          />
+
+          <ReportPanel
+            patient={activePatient}
+            meds={patientMeds}
+            doseEvents={doseEvents}
+            now={now}
+            timeZone={timeZone}
+          />
+
+          <BackupPanel
+            patient={activePatient}
+            meds={patientMeds}
+            doseEvents={doseEvents}
+            canEdit={canEditMeds}
+            onLoadHistory={loadFullHistory}
+            onImport={handleImportBackup}
+          />
+
+          {cloudEnabled && activePatient && (
+            <CalendarFeedPanel patient={activePatient} currentUser={user} />
+          )}
         </>
       )}
       <footer className="app-footer">
@@ -0,0 +1,220 @@
+import { useMemo, useState } from "react";
+import {
+  buildBackup,
+  buildDoseEventsCsv,
+  buildMedsCsv,
+  getBackupFileName,
+  parseBackup,
+  planBackupImport,
+} from "./backup";
+
+const MODE_OPTIONS = [
+  { value: "merge", label: "Mesclar com as medicações atuais" },
+  { value: "replace", label: "Substituir as medicações atuais" },
+];
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const formatNames = (entries) =>
+  entries.map(({ source, name }) => source?.name ?? name).join(", ");
+
+export default function BackupPanel({
+  patient,
+  meds,
+  doseEvents,
+  canEdit,
+  onLoadHistory,
+  onImport,
+}) {
+  const [backup, setBackup] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("idle");
+
+  const plan = useMemo(
+    () => (backup ? planBackupImport(backup, meds, doseEvents, mode) : null),
+    [backup, meds, doseEvents, mode]
+  );
+
+  const exportWithHistory = async (buildFile) => {
+    setStatus("exporting");
+    try {
+      buildFile(await onLoadHistory(meds.map((med) => med.id)));
+      setStatus("idle");
+      setError("");
+    } catch {
+      setStatus("idle");
+      setError("Não foi possível carregar o histórico completo para exportar.");
+    }
+  };
+
+  const handleExportJson = () =>
+    exportWithHistory((history) =>
+      downloadFile(
+        JSON.stringify(buildBackup({ patient, meds, ...history }), null, 2),
+        getBackupFileName(patient, "json"),
+        "application/json"
+      )
+    );
+
+  const handleExportMedsCsv = () => {
+    downloadFile(
+      `\uFEFF${buildMedsCsv(meds)}`,
+      getBackupFileName(patient, "medicacoes.csv"),
+      "text/csv;charset=utf-8"
+    );
+  };
+
+  const handleExportDosesCsv = () =>
+    exportWithHistory((history) =>
+      downloadFile(
+        `\uFEFF${buildDoseEventsCsv(history.doseEvents, meds)}`,
+        getBackupFileName(patient, "doses.csv"),
+        "text/csv;charset=utf-8"
+      )
+    );
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    setStatus("idle");
+    if (!file) return;
+    try {
+      setBackup(parseBackup(await file.text()));
+      setError("");
+    } catch (parseError) {
+      setBackup(null);
+      setError(parseError.message);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!plan) return;
+    if (
+      plan.remove.length &&
+      !window.confirm(
+        `As ${plan.remove.length} medicações atuais e o histórico delas serão apagados. Continuar?`
+      )
+    ) {
+      return;
+    }
+    setStatus("importing");
+    try {
+      await onImport(plan);
+      setBackup(null);
+      setError("");
+      setStatus("success");
+    } catch {
+      setStatus("idle");
+      setError("Não foi possível importar o backup. Tente novamente.");
+    }
+  };
+
+  return (
+    <section className="card backup">
+      <h2>Backup dos dados</h2>
+      <p className="muted">
+        Exporte as medicações, horários, estoque e histórico de doses de{" "}
+        {patient?.fullName || "este paciente"}.
+      </p>
+      <div className="backup-actions">
+        <button
+          className="btn secondary"
+          type="button"
+          onClick={handleExportJson}
+          disabled={status === "exporting"}
+        >
+          {status === "exporting" ? "Exportando..." : "Exportar backup (JSON)"}
+        </button>
+        <button className="btn ghost" type="button" onClick={handleExportMedsCsv}>
+          Medicações (CSV)
+        </button>
+        <button
+          className="btn ghost"
+          type="button"
+          onClick={handleExportDosesCsv}
+          disabled={status === "exporting"}
+        >
+          Histórico de doses (CSV)
+        </button>
+      </div>
+
+      {canEdit && (
+        <div className="form backup-import">
+          <label>
+            Importar backup (JSON)
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleFileChange}
+            />
+          </label>
+          {plan && (
+            <>
+              <div className="backup-modes">
+                {MODE_OPTIONS.map((option) => (
+                  <label className="toggle" key={option.value}>
+                    <input
+                      type="radio"
+                      name="backup-mode"
+                      value={option.value}
+                      checked={mode === option.value}
+                      onChange={() => setMode(option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+              <div className="med-info">
+                <span>
+                  <strong>Novas:</strong>{" "}
+                  {plan.create.length ? formatNames(plan.create) : "nenhuma"}
+                </span>
+                <span>
+                  <strong>Atualizadas:</strong>{" "}
+                  {plan.update.length ? formatNames(plan.update) : "nenhuma"}
+                </span>
+                {plan.mode === "replace" && (
+                  <span>
+                    <strong>Removidas:</strong>{" "}
+                    {plan.remove.length ? formatNames(plan.remove) : "nenhuma"}
+                  </span>
+                )}
+                <span>
+                  <strong>Doses do histórico:</strong> {plan.doseEvents.length}
+                </span>
+              </div>
+              <div className="backup-actions">
+                <button
+                  className="btn primary"
+                  type="button"
+                  onClick={handleApply}
+                  disabled={status === "importing"}
+                >
+                  {status === "importing" ? "Importando..." : "Aplicar importação"}
+                </button>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() => setBackup(null)}
+                  disabled={status === "importing"}
+                >
+                  Cancelar
+                </button>
+              </div>
+            </>
+          )}
+          {status === "success" && <p className="muted">Backup importado.</p>}
+        </div>
+      )}
+      {error && <p className="helper-text">{error}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { supabase } from "./supabase";
+
+const CALENDAR_FEED_ENDPOINT = "/.netlify/functions/calendar-feed";
+
+const buildFeedUrl = (token) =>
+  `${window.location.origin}${CALENDAR_FEED_ENDPOINT}?token=${token}`;
+
+export default function CalendarFeedPanel({ patient, currentUser }) {
+  const [feed, setFeed] = useState(null);
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("idle");
+  const loadRequest = useRef(0);
+
+  const loadFeed = useCallback(async () => {
+    const request = ++loadRequest.current;
+    const { data, error: loadError } = await supabase
+      .from("calendar_feeds")
+      .select("*")
+      .eq("patient_id", patient.id)
+      .eq("user_id", currentUser.id)
+      .maybeSingle();
+    if (request !== loadRequest.current) return;
+    if (loadError) {
+      setError("Não foi possível carregar o link do calendário.");
+      return;
+    }
+    setFeed(data);
+    setError("");
+  }, [patient.id, currentUser.id]);
+
+  useEffect(() => {
+    setFeed(null);
+    setStatus("idle");
+    loadFeed();
+    return () => {
+      loadRequest.current += 1;
+    };
+  }, [loadFeed]);
+
+  const handleCreate = async () => {
+    setStatus("loading");
+    try {
+      if (feed) {
+        const { error: deleteError } = await supabase
+          .from("calendar_feeds")
+          .delete()
+          .eq("id", feed.id);
+        if (deleteError) throw deleteError;
+      }
+      const { data, error: insertError } = await supabase
+        .from("calendar_feeds")
+        .insert({ patient_id: patient.id, user_id: currentUser.id })
+        .select()
+        .single();
+      if (insertError) throw insertError;
+      setFeed(data);
+      setError("");
+      setStatus("idle");
+    } catch {
+      setStatus("idle");
+      setError("Não foi possível gerar o link do calendário.");
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (
+      !window.confirm(
+        "Quem assinou este calendário deixará de receber os horários. Continuar?"
+      )
+    ) {
+      return;
+    }
+    setStatus("loading");
+    const { error: deleteError } = await supabase
+      .from("calendar_feeds")
+      .delete()
+      .eq("id", feed.id);
+    setStatus("idle");
+    if (deleteError) {
+      setError("Não foi possível revogar o link do calendário.");
+      return;
+    }
+    setFeed(null);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(buildFeedUrl(feed.token));
+      setStatus("copied");
+    } catch {
+      setError("Não foi possível copiar. Selecione o link e copie manualmente.");
+    }
+  };
+
+  const feedUrl = feed ? buildFeedUrl(feed.token) : "";
+
+  return (
+    <section className="card calendar-feed">
+      <h2>Calendário</h2>
+      <p className="muted">
+        Assine os horários de {patient.fullName || "este paciente"} no Google Agenda ou
+        no Calendário da Apple. Quem tiver o link vê as doses sem precisar de conta.
+      </p>
+      {feed ? (
+        <div className="form">
+          <label>
+            Link de assinatura
+            <input
+              type="text"
+              value={feedUrl}
+              readOnly
+              onFocus={(event) => event.target.select()}
+            />
+          </label>
+          <div className="backup-actions">
+            <button className="btn secondary" type="button" onClick={handleCopy}>
+              {status === "copied" ? "Link copiado" : "Copiar link"}
+            </button>
+            <a className="btn ghost" href={feedUrl.replace(/^https?:/, "webcal:")}>
+              Abrir no calendário
+            </a>
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={handleCreate}
+              disabled={status === "loading"}
+            >
+              Gerar novo link
+            </button>
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={handleRevoke}
+              disabled={status === "loading"}
+            >
+              Revogar
+            </button>
+          </div>
+          <p className="muted">
+            Ao gerar um novo link ou revogar, o link anterior para de funcionar.
+          </p>
+        </div>
+      ) : (
+        <button
+          className="btn secondary"
+          type="button"
+          onClick={handleCreate}
+          disabled={status === "loading"}
+        >
+          {status === "loading" ? "Gerando..." : "Gerar link do calendário"}
+        </button>
+      )}
+      {error && <p className="helper-text">{error}</p>}
+    </section>
+  );
+}
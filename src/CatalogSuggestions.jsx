@@ -0,0 +1,29 @@
+import { useMemo } from "react";
+import { searchCatalog } from "./catalog";
+
+export default function CatalogSuggestions({ query, onSelect }) {
+  const options = useMemo(() => searchCatalog(query), [query]);
+  if (!options.length) return null;
+
+  return (
+    <ul className="catalog-suggestions" role="listbox">
+      {options.map((option) => (
+        <li key={option.id}>
+          <button
+            type="button"
+            onMouseDown={(event) => event.preventDefault()}
+            onClick={() => onSelect(option)}
+          >
+            <strong>
+              {option.name} {option.strength}
+            </strong>
+            <span className="muted">
+              {option.form} · {option.ingredient}
+              {option.brands.length > 0 && ` (${option.brands.join(", ")})`}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,148 @@
+import { shiftDateString } from "../shared/schedule.js";
+
+const buildNextPhase = (previous, fallbackPills) => ({
+  label: "",
+  startDate: previous?.endDate ? shiftDateString(previous.endDate, 1) : "",
+  endDate: "",
+  scheduleTimes: previous?.scheduleTimes?.length
+    ? previous.scheduleTimes.map((entry) => ({ ...entry }))
+    : [{ time: "08:00", pills: fallbackPills }],
+});
+
+export default function PhaseEditor({ phases, fallbackPills, step = 1, onChange }) {
+  const updatePhase = (index, updater) => {
+    onChange(phases.map((phase, idx) => (idx === index ? updater(phase) : phase)));
+  };
+
+  const handleFieldChange = (index, field, value) => {
+    updatePhase(index, (phase) => ({ ...phase, [field]: value }));
+  };
+
+  const handleTimeChange = (index, timeIndex, field, value) => {
+    updatePhase(index, (phase) => ({
+      ...phase,
+      scheduleTimes: phase.scheduleTimes.map((entry, idx) =>
+        idx === timeIndex ? { ...entry, [field]: value } : entry
+      ),
+    }));
+  };
+
+  const handleAddTime = (index) => {
+    updatePhase(index, (phase) => ({
+      ...phase,
+      scheduleTimes: [...phase.scheduleTimes, { time: "12:00", pills: fallbackPills }],
+    }));
+  };
+
+  const handleRemoveTime = (index, timeIndex) => {
+    updatePhase(index, (phase) => {
+      const updated = phase.scheduleTimes.filter((_, idx) => idx !== timeIndex);
+      return {
+        ...phase,
+        scheduleTimes: updated.length
+          ? updated
+          : [{ time: "08:00", pills: fallbackPills }],
+      };
+    });
+  };
+
+  const handleAddPhase = () => {
+    onChange([...phases, buildNextPhase(phases[phases.length - 1], fallbackPills)]);
+  };
+
+  const handleRemovePhase = (index) => {
+    onChange(phases.filter((_, idx) => idx !== index));
+  };
+
+  return (
+    <div className="phases">
+      {phases.map((phase, index) => (
+        <fieldset className="phase" key={index}>
+          <legend>Fase {index + 1}</legend>
+          <label>
+            Descrição
+            <input
+              type="text"
+              placeholder="Ex: 40 mg"
+              value={phase.label}
+              onChange={(event) => handleFieldChange(index, "label", event.target.value)}
+            />
+          </label>
+          <div className="row">
+            <label>
+              Início
+              <input
+                type="date"
+                value={phase.startDate ?? ""}
+                onChange={(event) =>
+                  handleFieldChange(index, "startDate", event.target.value)
+                }
+                required
+              />
+            </label>
+            <label>
+              Término
+              <input
+                type="date"
+                value={phase.endDate ?? ""}
+                onChange={(event) =>
+                  handleFieldChange(index, "endDate", event.target.value)
+                }
+              />
+            </label>
+          </div>
+          <div className="times">
+            <span>Horários desta fase</span>
+            {phase.scheduleTimes.map((entry, timeIndex) => (
+              <div className="time-row" key={timeIndex}>
+                <input
+                  type="time"
+                  value={entry.time}
+                  onChange={(event) =>
+                    handleTimeChange(index, timeIndex, "time", event.target.value)
+                  }
+                />
+                <input
+                  type="number"
+                  min={step}
+                  step={step}
+                  value={entry.pills}
+                  onChange={(event) =>
+                    handleTimeChange(index, timeIndex, "pills", event.target.value)
+                  }
+                  className="pill-input"
+                />
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() => handleRemoveTime(index, timeIndex)}
+                >
+                  Remover
+                </button>
+              </div>
+            ))}
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() => handleAddTime(index)}
+            >
+              + Adicionar horário
+            </button>
+          </div>
+          {phases.length > 1 && (
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() => handleRemovePhase(index)}
+            >
+              Remover fase
+            </button>
+          )}
+        </fieldset>
+      ))}
+      <button className="btn ghost" type="button" onClick={handleAddPhase}>
+        + Adicionar fase
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import { useEffect, useMemo, useState } from "react";
+import { ADHERENCE_PERIODS } from "./adherence";
+import { buildReport, formatShortDate } from "./report";
+
+const PRINT_CLASS = "report-printing";
+
+const formatAdherence = (entry) => {
+  if (!entry || entry.percent == null) return "—";
+  return `${entry.percent}% (${entry.taken}/${entry.expected})`;
+};
+
+export default function ReportPanel({ patient, meds, doseEvents, now, timeZone }) {
+  const [period, setPeriod] = useState(ADHERENCE_PERIODS[1]);
+  const [open, setOpen] = useState(false);
+  const [printRequested, setPrintRequested] = useState(false);
+
+  const report = useMemo(
+    () =>
+      open
+        ? buildReport({
+            meds,
+            doseEvents,
+            now,
+            days: period,
+            timeZone,
+            refillLeadDays: patient?.refillLeadDays,
+          })
+        : null,
+    [open, meds, doseEvents, now, period, timeZone, patient]
+  );
+
+  useEffect(() => {
+    if (!open) return undefined;
+    document.body.classList.add(PRINT_CLASS);
+    return () => document.body.classList.remove(PRINT_CLASS);
+  }, [open]);
+
+  useEffect(() => {
+    if (!printRequested || !report) return;
+    setPrintRequested(false);
+    window.print();
+  }, [printRequested, report]);
+
+  const handlePrint = () => {
+    setOpen(true);
+    setPrintRequested(true);
+  };
+
+  return (
+    <section className="card report">
+      <header className="adherence-header">
+        <h2>Relatório para consulta</h2>
+        <div className="period-switch">
+          {ADHERENCE_PERIODS.map((value) => (
+            <button
+              key={value}
+              type="button"
+              className={`btn ${value === period ? "secondary" : "ghost"}`}
+              onClick={() => setPeriod(value)}
+            >
+              {value} dias
+            </button>
+          ))}
+        </div>
+      </header>
+      <p className="muted">
+        Resumo das medicações em uso, horários, adesão, estoque e mudanças no período
+        para levar ao médico.
+      </p>
+      <div className="backup-actions">
+        <button
+          className="btn secondary"
+          type="button"
+          onClick={() => setOpen((value) => !value)}
+        >
+          {open ? "Fechar relatório" : "Ver relatório"}
+        </button>
+        <button className="btn ghost" type="button" onClick={handlePrint}>
+          Imprimir ou salvar em PDF
+        </button>
+      </div>
+
+      {report && (
+        <div className="report-sheet">
+          <h3>Relatório de medicações</h3>
+          <p>
+            <strong>Paciente:</strong> {patient?.fullName || "—"}
+            <br />
+            <strong>Período:</strong> {formatShortDate(report.fromDate)} a{" "}
+            {formatShortDate(report.toDate)} ({report.days} dias)
+            <br />
+            <strong>Adesão geral:</strong> {formatAdherence(report.overall)}
+            <br />
+            <strong>Gerado em:</strong>{" "}
+            {now.toLocaleString("pt-BR", {
+              dateStyle: "short",
+              timeStyle: "short",
+              timeZone,
+            })}
+          </p>
+
+          <h4>Medicações em uso</h4>
+          {report.meds.length === 0 ? (
+            <p className="muted">Nenhuma medicação em uso.</p>
+          ) : (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Medicação</th>
+                  <th>Horários (quantidade)</th>
+                  <th>Frequência</th>
+                  <th>Adesão</th>
+                  <th>Estoque</th>
+                  <th>Observações</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.meds.map((med) => (
+                  <tr key={med.id}>
+                    <td>
+                      <strong>{med.name}</strong>
+                      <br />
+                      {med.dosage}
+                    </td>
+                    <td>
+                      {med.schedule}
+                      {med.phase && (
+                        <>
+                          <br />
+                          {med.phase}
+                        </>
+                      )}
+                    </td>
+                    <td>{med.frequency}</td>
+                    <td>
+                      {med.asNeededDoses == null
+                        ? formatAdherence(med.adherence)
+                        : `${med.asNeededDoses} doses tomadas`}
+                    </td>
+                    <td>
+                      {med.stock} · {med.stockStatus}
+                    </td>
+                    <td>{med.notes || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h4>Mudanças no período</h4>
+          {report.changes.length === 0 ? (
+            <p className="muted">Nenhuma mudança no período.</p>
+          ) : (
+            <ul className="report-changes">
+              {report.changes.map((change) => (
+                <li key={`${change.medId}-${change.date}-${change.description}`}>
+                  {formatShortDate(change.date)} · <strong>{change.medName}</strong>:{" "}
+                  {change.description}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
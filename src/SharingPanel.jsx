@@ -0,0 +1,240 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { supabase } from "./supabase";
+
+const ROLE_OPTIONS = [
+  { value: "viewer", label: "Visualizar" },
+  { value: "editor", label: "Editar" },
+  { value: "admin", label: "Administrar" },
+];
+
+const ROLE_LABELS = {
+  owner: "Responsável",
+  viewer: "Visualizar",
+  editor: "Editar",
+  admin: "Administrar",
+};
+
+export default function SharingPanel({ patient, currentUser, onChange }) {
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const loadRequest = useRef(0);
+
+  const canManage = patient.role === "owner" || patient.role === "admin";
+
+  const loadSharing = useCallback(async () => {
+    const request = ++loadRequest.current;
+    const [membersResult, invitesResult] = await Promise.all([
+      supabase
+        .from("patient_members")
+        .select("*")
+        .eq("patient_id", patient.id)
+        .order("created_at", { ascending: true }),
+      supabase
+        .from("patient_members")
+        .select("*")
+        .eq("user_id", currentUser.id)
+        .eq("status", "pending"),
+    ]);
+    if (request !== loadRequest.current) return;
+    if (membersResult.error || invitesResult.error) {
+      setError("Não foi possível carregar o compartilhamento.");
+      return;
+    }
+    setMembers(membersResult.data);
+    setInvites(invitesResult.data);
+    setError("");
+  }, [patient.id, currentUser.id]);
+
+  useEffect(() => {
+    setMembers([]);
+    loadSharing();
+    return () => {
+      loadRequest.current += 1;
+    };
+  }, [loadSharing]);
+
+  const runAction = async (action, errorMessage, reloadApp = false) => {
+    setLoading(true);
+    try {
+      const { error: actionError } = await action();
+      if (actionError) throw actionError;
+      await loadSharing();
+      if (reloadApp) onChange();
+      return true;
+    } catch {
+      setError(errorMessage);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async (event) => {
+    event.preventDefault();
+    const target = username.trim().toLowerCase();
+    if (!target) {
+      setError("Informe o usuário que receberá o convite.");
+      return;
+    }
+    const invited = await runAction(
+      () =>
+        supabase.rpc("invite_patient_member", {
+          target_patient_id: patient.id,
+          target_username: target,
+          target_role: role,
+        }),
+      "Não foi possível convidar este usuário. Confira o nome de usuário."
+    );
+    if (invited) setUsername("");
+  };
+
+  const handleAccept = (inviteId) =>
+    runAction(
+      () => supabase.rpc("accept_patient_invite", { target_member_id: inviteId }),
+      "Não foi possível aceitar o convite.",
+      true
+    );
+
+  const handleRemove = (memberId, reloadApp = false) =>
+    runAction(
+      () => supabase.from("patient_members").delete().eq("id", memberId),
+      "Não foi possível remover o acesso.",
+      reloadApp
+    );
+
+  const handleRoleChange = (memberId, nextRole) =>
+    runAction(
+      () =>
+        supabase.from("patient_members").update({ role: nextRole }).eq("id", memberId),
+      "Não foi possível alterar o papel."
+    );
+
+  const ownMembership = members.find((member) => member.user_id === currentUser.id);
+
+  return (
+    <div className="card sharing">
+      <h2>Compartilhamento</h2>
+      {invites.length > 0 && (
+        <div className="sharing-list">
+          <span>Convites recebidos</span>
+          {invites.map((invite) => (
+            <div className="sharing-item" key={invite.id}>
+              <span>
+                {invite.patient_name || "Paciente"} · {ROLE_LABELS[invite.role]}
+              </span>
+              <div className="sharing-actions">
+                <button
+                  className="btn secondary"
+                  type="button"
+                  onClick={() => handleAccept(invite.id)}
+                  disabled={loading}
+                >
+                  Aceitar
+                </button>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() => handleRemove(invite.id)}
+                  disabled={loading}
+                >
+                  Recusar
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="sharing-list">
+        <span>Quem tem acesso a {patient.fullName || "este paciente"}</span>
+        {patient.role === "owner" && (
+          <div className="sharing-item">
+            <span>
+              Você ({currentUser.username}) · {ROLE_LABELS.owner}
+            </span>
+          </div>
+        )}
+        {members.length === 0 && (
+          <span className="muted">Ainda não compartilhado com ninguém.</span>
+        )}
+        {members.map((member) => (
+          <div className="sharing-item" key={member.id}>
+            <span>
+              {member.username}
+              {member.status === "pending" ? " (convite pendente)" : ""}
+            </span>
+            {canManage ? (
+              <div className="sharing-actions">
+                <select
+                  value={member.role}
+                  onChange={(event) => handleRoleChange(member.id, event.target.value)}
+                  disabled={loading}
+                >
+                  {ROLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() =>
+                    handleRemove(member.id, member.user_id === currentUser.id)
+                  }
+                  disabled={loading}
+                >
+                  Revogar
+                </button>
+              </div>
+            ) : (
+              <span className="muted">{ROLE_LABELS[member.role]}</span>
+            )}
+          </div>
+        ))}
+      </div>
+      {canManage && (
+        <form className="form" onSubmit={handleInvite}>
+          <div className="row">
+            <label>
+              Usuário
+              <input
+                type="text"
+                placeholder="Ex: mariasilva"
+                value={username}
+                onChange={(event) => setUsername(event.target.value)}
+              />
+            </label>
+            <label>
+              Permissão
+              <select value={role} onChange={(event) => setRole(event.target.value)}>
+                {ROLE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <button className="btn primary" type="submit" disabled={loading}>
+            Convidar
+          </button>
+        </form>
+      )}
+      {ownMembership && (
+        <button
+          className="btn ghost"
+          type="button"
+          onClick={() => handleRemove(ownMembership.id, true)}
+          disabled={loading}
+        >
+          Deixar de acompanhar
+        </button>
+      )}
+      {error && <span className="helper-text">{error}</span>}
+    </div>
+  );
+}
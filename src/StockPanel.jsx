@@ -0,0 +1,225 @@
+import { useState } from "react";
+import { getExpiryStatus, getZonedParts, toNumber } from "../shared/schedule.js";
+import { formatQuantity, getUnit } from "../shared/units.js";
+import { formatShortDate } from "./report";
+import { describeBatch, describeStockMovement, getPurchaseQuantity } from "./stock";
+
+const RECENT_MOVEMENTS = 8;
+
+const buildRestockForm = (timeZone, packageSize) => ({
+  mode: packageSize ? "packages" : "quantity",
+  quantity: "",
+  packages: 1,
+  packageSize: packageSize ?? "",
+  date: getZonedParts(new Date(), timeZone).dateString,
+  pharmacy: "",
+  price: "",
+  lotNumber: "",
+  expiresOn: "",
+});
+
+export default function StockPanel({
+  med,
+  movements,
+  batches,
+  timeZone,
+  onRestock,
+  onDiscard,
+  onClose,
+}) {
+  const [form, setForm] = useState(() => buildRestockForm(timeZone, med.packageSize));
+  const [error, setError] = useState("");
+  const quantity = getPurchaseQuantity(form);
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (quantity <= 0) {
+      setError("Informe a quantidade comprada.");
+      return;
+    }
+    const isPackages = form.mode === "packages";
+    await onRestock(med, {
+      quantity,
+      occurredAt: new Date(`${form.date}T12:00:00`).toISOString(),
+      packages: isPackages ? toNumber(form.packages, 0) : null,
+      packageSize: isPackages ? toNumber(form.packageSize, 0) : null,
+      pharmacy: form.pharmacy.trim(),
+      price: form.price === "" ? null : Math.max(0, toNumber(form.price, 0)),
+      lotNumber: form.lotNumber.trim(),
+      expiresOn: form.expiresOn || null,
+    });
+    setForm(buildRestockForm(timeZone, med.packageSize));
+    setError("");
+  };
+
+  const today = getZonedParts(new Date(), timeZone).dateString;
+  const sortedBatches = [...batches].sort((a, b) =>
+    (a.expiresOn ?? "9999-12-31").localeCompare(b.expiresOn ?? "9999-12-31")
+  );
+  const recentMovements = [...movements]
+    .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt))
+    .slice(0, RECENT_MOVEMENTS);
+
+  return (
+    <div className="stock-panel">
+      <form className="form" onSubmit={handleSubmit}>
+        <h4>Repor estoque</h4>
+        <div className="period-switch">
+          <button
+            type="button"
+            className={`btn ${form.mode === "quantity" ? "secondary" : "ghost"}`}
+            onClick={() => handleChange("mode", "quantity")}
+          >
+            Quantidade
+          </button>
+          <button
+            type="button"
+            className={`btn ${form.mode === "packages" ? "secondary" : "ghost"}`}
+            onClick={() => handleChange("mode", "packages")}
+          >
+            Embalagens
+          </button>
+        </div>
+        {form.mode === "packages" ? (
+          <div className="row">
+            <label>
+              Embalagens
+              <input
+                type="number"
+                min="1"
+                value={form.packages}
+                onChange={(event) => handleChange("packages", event.target.value)}
+              />
+            </label>
+            <label>
+              {med.unit} por embalagem
+              <input
+                type="number"
+                min="0"
+                step={getUnit(med.unit).step}
+                value={form.packageSize}
+                onChange={(event) => handleChange("packageSize", event.target.value)}
+              />
+            </label>
+          </div>
+        ) : (
+          <label>
+            Quantidade ({med.unit})
+            <input
+              type="number"
+              min="0"
+              step={getUnit(med.unit).step}
+              value={form.quantity}
+              onChange={(event) => handleChange("quantity", event.target.value)}
+            />
+          </label>
+        )}
+        <div className="row">
+          <label>
+            Lote
+            <input
+              type="text"
+              value={form.lotNumber}
+              onChange={(event) => handleChange("lotNumber", event.target.value)}
+            />
+          </label>
+          <label>
+            Validade
+            <input
+              type="date"
+              value={form.expiresOn}
+              onChange={(event) => handleChange("expiresOn", event.target.value)}
+            />
+          </label>
+        </div>
+        <div className="row">
+          <label>
+            Data da compra
+            <input
+              type="date"
+              value={form.date}
+              onChange={(event) => handleChange("date", event.target.value)}
+            />
+          </label>
+          <label>
+            Farmácia
+            <input
+              type="text"
+              value={form.pharmacy}
+              onChange={(event) => handleChange("pharmacy", event.target.value)}
+            />
+          </label>
+          <label>
+            Preço (R$)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.price}
+              onChange={(event) => handleChange("price", event.target.value)}
+            />
+          </label>
+        </div>
+        {error && <p className="helper-text">{error}</p>}
+        <div className="backup-actions">
+          <button className="btn" type="submit">
+            {quantity > 0
+              ? `Adicionar ${formatQuantity(quantity, med.unit)}`
+              : "Adicionar ao estoque"}
+          </button>
+          <button className="btn ghost" type="button" onClick={onClose}>
+            Fechar
+          </button>
+        </div>
+      </form>
+
+      <h4>Lotes em estoque</h4>
+      {sortedBatches.length === 0 ? (
+        <p className="muted">Nenhum lote com validade registrada.</p>
+      ) : (
+        <ul className="stock-batches">
+          {sortedBatches.map((batch) => {
+            const expiry = getExpiryStatus(batch.expiresOn, today);
+            return (
+              <li key={batch.id}>
+                {describeBatch(batch)}
+                {expiry && (
+                  <span className="badge warning">
+                    {expiry.status === "expired" ? "Vencido" : "Vence logo"}
+                  </span>
+                )}
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() => onDiscard(med, batch)}
+                >
+                  Descartar
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <h4>Movimentações recentes</h4>
+      {recentMovements.length === 0 ? (
+        <p className="muted">Nenhuma movimentação registrada.</p>
+      ) : (
+        <ul className="stock-movements">
+          {recentMovements.map((movement) => (
+            <li key={movement.id}>
+              {formatShortDate(
+                getZonedParts(new Date(movement.occurredAt), timeZone).dateString
+              )}{" "}
+              · {describeStockMovement(movement)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
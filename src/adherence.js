@@ -0,0 +1,142 @@
+import {
+  DOSE_MATCH_WINDOW_MINUTES,
+  getZonedParts,
+  listSlots,
+  shiftDateString,
+  zonedTimeToDate,
+} from "../shared/schedule.js";
+
+export const ADHERENCE_PERIODS = [7, 30, 90];
+
+const getPeriodStart = (now, days, timeZone) =>
+  zonedTimeToDate(
+    shiftDateString(getZonedParts(now, timeZone).dateString, -(days - 1)),
+    "00:00",
+    timeZone
+  );
+
+const buildSlots = (med, from, now, timeZone) => {
+  const createdAt = med.createdAt ? new Date(med.createdAt) : null;
+  const start = createdAt && createdAt > from ? createdAt : from;
+  return listSlots(med, start, now, timeZone).map((slot) => ({
+    ...slot,
+    status: "pending",
+  }));
+};
+
+const resolveSlots = (slots, events, now) => {
+  const remaining = [...events];
+  slots.forEach((slot) => {
+    const matchesSlot = (event) =>
+      event.scheduledFor &&
+      Math.abs(new Date(event.scheduledFor) - slot.scheduledFor) < 60000;
+    const takenIndex = remaining.findIndex(
+      (event) => matchesSlot(event) && event.status === "taken"
+    );
+    const exactIndex = takenIndex >= 0 ? takenIndex : remaining.findIndex(matchesSlot);
+    if (exactIndex >= 0) {
+      slot.status = remaining[exactIndex].status;
+      remaining.splice(exactIndex, 1);
+    }
+  });
+  slots.forEach((slot) => {
+    if (slot.status !== "pending") return;
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+    remaining.forEach((event, index) => {
+      if (event.status !== "taken" || !event.takenAt) return;
+      const distance = Math.abs(new Date(event.takenAt) - slot.scheduledFor) / 60000;
+      if (distance <= DOSE_MATCH_WINDOW_MINUTES && distance < bestDistance) {
+        bestIndex = index;
+        bestDistance = distance;
+      }
+    });
+    if (bestIndex >= 0) {
+      slot.status = "taken";
+      remaining.splice(bestIndex, 1);
+    } else if ((now - slot.scheduledFor) / 60000 > DOSE_MATCH_WINDOW_MINUTES) {
+      slot.status = "missed";
+    }
+  });
+  return slots;
+};
+
+const computeStreaks = (dayResults) => {
+  let best = 0;
+  let running = 0;
+  dayResults.forEach((complete) => {
+    running = complete ? running + 1 : 0;
+    best = Math.max(best, running);
+  });
+  let current = 0;
+  for (let index = dayResults.length - 1; index >= 0; index -= 1) {
+    if (!dayResults[index]) break;
+    current += 1;
+  }
+  return { current, best };
+};
+
+const groupByDay = (slots) =>
+  slots.reduce((acc, slot) => {
+    if (slot.status === "pending") return acc;
+    if (!acc.has(slot.dateString)) {
+      acc.set(slot.dateString, true);
+    }
+    if (slot.status !== "taken") {
+      acc.set(slot.dateString, false);
+    }
+    return acc;
+  }, new Map());
+
+const summarize = (slots) => {
+  const taken = slots.filter((slot) => slot.status === "taken").length;
+  const skipped = slots.filter((slot) => slot.status === "skipped").length;
+  const missed = slots.filter((slot) => slot.status === "missed").length;
+  const expected = taken + skipped + missed;
+  return {
+    expected,
+    taken,
+    skipped,
+    missed,
+    percent: expected ? Math.round((taken / expected) * 100) : null,
+  };
+};
+
+export const computeAdherence = (meds, doseEvents, now, days, timeZone) => {
+  const from = getPeriodStart(now, days, timeZone);
+  const allSlots = [];
+  const byMed = meds
+    .filter((med) => med.scheduleTimes?.length)
+    .map((med) => {
+      const events = doseEvents.filter(
+        (event) =>
+          event.medId === med.id &&
+          new Date(event.takenAt ?? event.scheduledFor ?? 0) >=
+            new Date(from.getTime() - DOSE_MATCH_WINDOW_MINUTES * 60000)
+      );
+      const slots = resolveSlots(buildSlots(med, from, now, timeZone), events, now);
+      allSlots.push(...slots);
+      const dayResults = [...groupByDay(slots).values()];
+      return {
+        medId: med.id,
+        name: med.name,
+        ...summarize(slots),
+        streak: computeStreaks(dayResults),
+        missedSlots: slots
+          .filter((slot) => slot.status === "missed" || slot.status === "skipped")
+          .reverse(),
+      };
+    });
+
+  const overallDays = [
+    ...groupByDay(allSlots.sort((a, b) => a.scheduledFor - b.scheduledFor)).values(),
+  ];
+  return {
+    days,
+    overall: {
+      ...summarize(allSlots),
+      streak: computeStreaks(overallDays),
+    },
+    byMed,
+  };
+};
@@ -0,0 +1,198 @@
+export const BACKUP_APP = "medwatch";
+export const BACKUP_VERSION = 1;
+export const IMPORT_MODES = ["merge", "replace"];
+
+const MED_CSV_COLUMNS = [
+  ["name", "Nome"],
+  ["activeIngredient", "Princípio ativo"],
+  ["dosage", "Dosagem"],
+  ["unit", "Unidade"],
+  ["doseAmount", "Dose padrão"],
+  ["stock", "Estoque"],
+  ["lowThreshold", "Estoque mínimo"],
+  ["scheduleTimes", "Horários"],
+  ["recurrence", "Recorrência"],
+  ["asNeeded", "Se necessário"],
+  ["alertsEnabled", "Alertas"],
+  ["autoDeduct", "Baixa automática"],
+  ["notes", "Observações"],
+];
+
+const DOSE_CSV_COLUMNS = [
+  ["medName", "Medicação"],
+  ["scheduledFor", "Horário previsto"],
+  ["takenAt", "Tomada em"],
+  ["amount", "Quantidade"],
+  ["status", "Situação"],
+  ["source", "Origem"],
+];
+
+const DOSE_STATUSES = ["taken", "skipped", "missed"];
+
+export const normalizeMedName = (name) =>
+  String(name ?? "")
+    .trim()
+    .toLocaleLowerCase("pt-BR");
+
+const toCsvValue = (value) => {
+  const text =
+    value == null
+      ? ""
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [
+    columns.map(([, label]) => toCsvValue(label)).join(";"),
+    ...rows.map((row) => columns.map(([key]) => toCsvValue(row[key])).join(";")),
+  ].join("\r\n");
+
+const formatScheduleTimes = (scheduleTimes = []) =>
+  scheduleTimes
+    .map((entry) =>
+      typeof entry === "string" ? entry : `${entry.time} (${entry.pills})`
+    )
+    .join(", ");
+
+const stripMed = ({ patientId, userId, ...med }) => med;
+
+export const buildBackup = (
+  { patient, meds, doseEvents, stockMovements = [], stockBatches = [] },
+  now = new Date()
+) => {
+  const medIds = new Set(meds.map((med) => med.id));
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    patient: patient
+      ? { fullName: patient.fullName, timezone: patient.timezone }
+      : null,
+    meds: meds.map(stripMed),
+    doseEvents: doseEvents.filter((event) => medIds.has(event.medId)),
+    stockMovements: stockMovements.filter((movement) => medIds.has(movement.medId)),
+    stockBatches: stockBatches.filter((batch) => medIds.has(batch.medId)),
+  };
+};
+
+export const buildMedsCsv = (meds) =>
+  toCsv(
+    MED_CSV_COLUMNS,
+    meds.map((med) => ({
+      ...med,
+      scheduleTimes: med.asNeeded ? "" : formatScheduleTimes(med.scheduleTimes),
+      recurrence: med.recurrence?.type ?? "",
+      asNeeded: med.asNeeded ? "sim" : "não",
+      alertsEnabled: med.alertsEnabled ? "sim" : "não",
+      autoDeduct: med.autoDeduct ? "sim" : "não",
+    }))
+  );
+
+export const buildDoseEventsCsv = (doseEvents, meds) => {
+  const names = new Map(meds.map((med) => [med.id, med.name]));
+  return toCsv(
+    DOSE_CSV_COLUMNS,
+    doseEvents
+      .filter((event) => names.has(event.medId))
+      .map((event) => ({ ...event, medName: names.get(event.medId) }))
+  );
+};
+
+export const getBackupFileName = (patient, extension, now = new Date()) => {
+  const slug =
+    normalizeMedName(patient?.fullName)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "medwatch";
+  return `${slug}-${now.toISOString().slice(0, 10)}.${extension}`;
+};
+
+const isValidMed = (med) =>
+  med &&
+  typeof med === "object" &&
+  typeof med.id === "string" &&
+  typeof med.name === "string" &&
+  med.name.trim() &&
+  Array.isArray(med.scheduleTimes) &&
+  Number.isFinite(Number(med.stock));
+
+const isValidDoseEvent = (event) =>
+  event &&
+  typeof event === "object" &&
+  typeof event.medId === "string" &&
+  DOSE_STATUSES.includes(event.status ?? "taken");
+
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("O arquivo não é um JSON válido.");
+  }
+  if (data?.app !== BACKUP_APP || !Number.isInteger(data.version)) {
+    throw new Error("O arquivo não é um backup do MedWatch.");
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new Error("Este backup foi criado por uma versão mais nova do MedWatch.");
+  }
+  if (!Array.isArray(data.meds) || !Array.isArray(data.doseEvents ?? [])) {
+    throw new Error("O backup não contém a lista de medicações.");
+  }
+  const invalidMed = data.meds.findIndex((med) => !isValidMed(med));
+  if (invalidMed !== -1) {
+    throw new Error(`A medicação ${invalidMed + 1} do backup está incompleta.`);
+  }
+  const medIds = new Set(data.meds.map((med) => med.id));
+  const doseEvents = (data.doseEvents ?? []).filter(
+    (event) => isValidDoseEvent(event) && medIds.has(event.medId)
+  );
+  return {
+    exportedAt: data.exportedAt ?? null,
+    patient: data.patient ?? null,
+    meds: data.meds.map(stripMed),
+    doseEvents,
+  };
+};
+
+const getDoseEventKey = (event) =>
+  [event.scheduledFor ?? "", event.takenAt ?? "", event.status ?? "taken"].join("|");
+
+export const planBackupImport = (backup, currentMeds, currentEvents, mode) => {
+  const currentByName = new Map(
+    currentMeds.map((med) => [normalizeMedName(med.name), med])
+  );
+  const seenNames = new Set();
+  const create = [];
+  const update = [];
+  backup.meds.forEach((med) => {
+    const name = normalizeMedName(med.name);
+    if (seenNames.has(name)) return;
+    seenNames.add(name);
+    const existing = mode === "merge" ? currentByName.get(name) : null;
+    if (existing) {
+      update.push({ source: med, target: existing });
+    } else {
+      create.push({ source: med });
+    }
+  });
+  const remove = mode === "replace" ? currentMeds : [];
+
+  const existingEventKeys = new Set(
+    currentEvents.map((event) => `${event.medId}|${getDoseEventKey(event)}`)
+  );
+  const doseEvents = [...create, ...update].flatMap(({ source, target }) =>
+    backup.doseEvents
+      .filter((event) => event.medId === source.id)
+      .filter(
+        (event) =>
+          !target || !existingEventKeys.has(`${target.id}|${getDoseEventKey(event)}`)
+      )
+      .map((event) => ({ event, source }))
+  );
+
+  return { mode, create, update, remove, doseEvents };
+};
@@ -0,0 +1,70 @@
+import DRUG_CATALOG from "./drugCatalog.json";
+
+const MAX_SUGGESTIONS = 8;
+
+export const normalizeSearchText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9,.]+/g, " ")
+    .trim();
+
+const DRUG_TERMS = DRUG_CATALOG.map((drug) => ({
+  drug,
+  terms: [drug.id.replace(/-/g, " "), drug.ingredient, ...drug.brands].map(
+    normalizeSearchText
+  ),
+}));
+
+const CATALOG_OPTIONS = DRUG_CATALOG.flatMap((drug) =>
+  drug.presentations.flatMap((presentation) =>
+    presentation.strengths.map((strength) => ({
+      id: `${drug.id}:${presentation.form}:${strength}`,
+      ingredientId: drug.id,
+      ingredient: drug.ingredient,
+      brands: drug.brands,
+      form: presentation.form,
+      unit: presentation.unit,
+      strength,
+      packageSize: presentation.packageSize,
+      searchText: normalizeSearchText(
+        [drug.id, drug.ingredient, ...drug.brands, strength, presentation.form].join(
+          " "
+        )
+      ),
+    }))
+  )
+);
+
+export const getCatalogDrug = (ingredientId) =>
+  DRUG_CATALOG.find((drug) => drug.id === ingredientId) ?? null;
+
+export const matchIngredient = (name) => {
+  const text = ` ${normalizeSearchText(name)} `;
+  const match = DRUG_TERMS.flatMap(({ drug, terms }) =>
+    terms.filter((term) => text.includes(` ${term} `)).map((term) => ({ drug, term }))
+  ).sort((a, b) => b.term.length - a.term.length)[0];
+  return match?.drug ?? null;
+};
+
+export const searchCatalog = (query) => {
+  const tokens = normalizeSearchText(query).split(" ").filter(Boolean);
+  if (tokens.join("").length < 2) return [];
+  const [first] = tokens;
+  const startsWithQuery = (option) =>
+    [option.ingredientId, option.ingredient, ...option.brands].some((term) =>
+      normalizeSearchText(term).startsWith(first)
+    );
+  return CATALOG_OPTIONS.filter((option) =>
+    tokens.every((token) => option.searchText.includes(token))
+  )
+    .sort((a, b) => startsWithQuery(b) - startsWithQuery(a))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ searchText, ...option }) => ({
+      ...option,
+      name:
+        option.brands.find((brand) => normalizeSearchText(brand).startsWith(first)) ??
+        option.ingredient,
+    }));
+};
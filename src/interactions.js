@@ -0,0 +1,57 @@
+import DRUG_INTERACTIONS from "./drugInteractions.json";
+import { getCatalogDrug, matchIngredient } from "./catalog";
+
+export const INTERACTION_SEVERITIES = [
+  { value: "grave", label: "Grave" },
+  { value: "moderada", label: "Moderada" },
+  { value: "leve", label: "Leve" },
+];
+
+const severityRank = (severity) =>
+  INTERACTION_SEVERITIES.findIndex((entry) => entry.value === severity);
+
+const INTERACTIONS_BY_PAIR = new Map(
+  DRUG_INTERACTIONS.map((interaction) => [
+    [...interaction.ingredients].sort().join("|"),
+    interaction,
+  ])
+);
+
+export const getSeverityLabel = (severity) =>
+  INTERACTION_SEVERITIES.find((entry) => entry.value === severity)?.label ?? severity;
+
+export const getMedIngredient = (med) =>
+  med.activeIngredient || matchIngredient(med.name)?.id || "";
+
+export const findInteractions = (med, otherMeds) => {
+  const ingredient = getMedIngredient(med);
+  if (!ingredient) return [];
+  return otherMeds
+    .filter((other) => other.id !== med.id)
+    .flatMap((other) => {
+      const otherIngredient = getMedIngredient(other);
+      if (otherIngredient === ingredient) {
+        return [
+          {
+            med: other,
+            severity: "moderada",
+            effect: `Mesmo princípio ativo (${getCatalogDrug(ingredient)?.ingredient}); risco de dose duplicada.`,
+          },
+        ];
+      }
+      const interaction = INTERACTIONS_BY_PAIR.get(
+        [ingredient, otherIngredient].sort().join("|")
+      );
+      return interaction
+        ? [{ med: other, severity: interaction.severity, effect: interaction.effect }]
+        : [];
+    })
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+};
+
+export const getInteractionsByMed = (meds) =>
+  Object.fromEntries(
+    meds
+      .map((med) => [med.id, findInteractions(med, meds)])
+      .filter(([, interactions]) => interactions.length)
+  );
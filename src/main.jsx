@@ -1,8 +1,11 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./push";
 import "./styles.css";
 
+registerServiceWorker().catch(() => {});
+
 createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
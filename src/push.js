@@ -0,0 +1,80 @@
+const SERVICE_WORKER_URL = "/sw.js";
+
+export const vapidPublicKey = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+export const isPushSupported = () =>
+  typeof window !== "undefined" &&
+  "serviceWorker" in navigator &&
+  "PushManager" in window &&
+  "Notification" in window;
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+const toBase64Url = (buffer) =>
+  btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+export const registerServiceWorker = async () => {
+  if (!("serviceWorker" in navigator)) return null;
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
+
+export const toPushSubscriptionRow = (subscription) => ({
+  endpoint: subscription.endpoint,
+  p256dh: toBase64Url(subscription.getKey("p256dh")),
+  auth: toBase64Url(subscription.getKey("auth")),
+  user_agent: navigator.userAgent.slice(0, 200),
+});
+
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await registerServiceWorker();
+  return registration.pushManager.getSubscription();
+};
+
+export const requestNotificationPermission = async () => {
+  if (!("Notification" in window)) return "denied";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+};
+
+export const subscribeToPush = async () => {
+  if (!isPushSupported() || !vapidPublicKey) return null;
+  if ((await requestNotificationPermission()) !== "granted") return null;
+  const registration = await registerServiceWorker();
+  const existing = await registration.pushManager.getSubscription();
+  return (
+    existing ??
+    registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: fromBase64Url(vapidPublicKey),
+    })
+  );
+};
+
+export const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return null;
+  await subscription.unsubscribe();
+  return subscription.endpoint;
+};
+
+export const showLocalNotification = async (title, options) => {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
+  const registration =
+    "serviceWorker" in navigator
+      ? await navigator.serviceWorker.getRegistration()
+      : null;
+  if (registration) {
+    await registration.showNotification(title, { icon: "/logo.png", ...options });
+    return;
+  }
+  new Notification(title, options);
+};
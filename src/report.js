@@ -0,0 +1,218 @@
+import { computeAdherence } from "./adherence";
+import {
+  getCurrentPhase,
+  getZonedParts,
+  getSupplyForecast,
+  isScheduleFinished,
+  needsRefill,
+  normalizeRecurrence,
+  shiftDateString,
+  toNumber,
+} from "../shared/schedule.js";
+import { formatAmount, formatQuantity } from "../shared/units.js";
+
+export const WEEKDAY_LABELS = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
+
+export const formatShortDate = (dateString) => {
+  const [year, month, day] = dateString.split("-");
+  return `${day}/${month}/${year}`;
+};
+
+export const describeRecurrence = (recurrence) => {
+  const { type, weekdays, everyDays, everyHours, startDate, endDate } =
+    normalizeRecurrence(recurrence);
+  const parts = [];
+  if (type === "weekdays") {
+    parts.push(
+      weekdays.length
+        ? weekdays.map((day) => WEEKDAY_LABELS[day]).join(", ")
+        : "Nenhum dia selecionado"
+    );
+  } else if (type === "interval_days") {
+    parts.push(everyDays === 1 ? "Todos os dias" : `A cada ${everyDays} dias`);
+  } else if (type === "interval_hours") {
+    parts.push(`De ${everyHours} em ${everyHours} horas`);
+  } else {
+    parts.push("Todos os dias");
+  }
+  if (startDate) parts.push(`desde ${formatShortDate(startDate)}`);
+  if (endDate) parts.push(`até ${formatShortDate(endDate)}`);
+  return parts.join(" · ");
+};
+
+const formatScheduleTimes = (scheduleTimes = [], unit) =>
+  scheduleTimes
+    .map((entry) => `${entry.time} (${formatAmount(entry.pills, unit)})`)
+    .join(", ") || "—";
+
+const getPhaseName = (phases, phase) =>
+  phase.label ||
+  `Fase ${phases.findIndex((entry) => entry.startDate === phase.startDate) + 1}`;
+
+const describePrnLimits = (med) => {
+  const parts = ["Conforme necessidade"];
+  if (toNumber(med.maxDailyDoses, 0) > 0) {
+    parts.push(`até ${med.maxDailyDoses} doses em 24 horas`);
+  }
+  if (toNumber(med.minIntervalHours, 0) > 0) {
+    parts.push(`intervalo mínimo de ${med.minIntervalHours} horas`);
+  }
+  return parts.join(" · ");
+};
+
+const describeStock = (med, now, timeZone, refillLeadDays) => {
+  if (toNumber(med.stock, 0) <= 0) return "Sem estoque";
+  const forecast = med.asNeeded
+    ? null
+    : getSupplyForecast(med, med.stock, now, timeZone);
+  const status = needsRefill(forecast, med.stock, med.lowThreshold, refillLeadDays)
+    ? "Estoque baixo"
+    : "Adequado";
+  return forecast && !forecast.coversCourse
+    ? `${status}, até ${formatShortDate(forecast.runOutDate)}`
+    : status;
+};
+
+const getCourseEnd = (med) => {
+  const phases = med.phases ?? [];
+  const phasesEnd =
+    phases.length && phases.every((phase) => phase.endDate)
+      ? phases
+          .map((phase) => phase.endDate)
+          .sort()
+          .pop()
+      : null;
+  return [med.recurrence?.endDate, phasesEnd].filter(Boolean).sort()[0] ?? null;
+};
+
+export const MED_CHANGE_LOG_LIMIT = 100;
+
+export const describeMedEdit = (before, after) => {
+  const changes = [];
+  const compare = (label, describe) => {
+    const previous = describe(before);
+    const next = describe(after);
+    if (previous !== next) changes.push(`${label}: ${previous} → ${next}`);
+  };
+  compare("nome", (med) => med.name || "—");
+  compare("dosagem", (med) => med.dosage || "—");
+  if (before.asNeeded !== after.asNeeded) {
+    changes.push(
+      after.asNeeded ? "passou a ser conforme necessidade" : "passou a ter horários"
+    );
+  }
+  if (after.asNeeded) {
+    compare("limites", describePrnLimits);
+  } else {
+    compare("horários", (med) => formatScheduleTimes(med.scheduleTimes, med.unit));
+    compare("frequência", (med) => describeRecurrence(med.recurrence));
+    if (JSON.stringify(before.phases ?? []) !== JSON.stringify(after.phases ?? [])) {
+      changes.push("fases alteradas");
+    }
+  }
+  if ((before.notes || "") !== (after.notes || "")) {
+    changes.push("observações alteradas");
+  }
+  return changes.length ? `Alterada: ${changes.join("; ")}` : "";
+};
+
+const listMedChanges = (med, timeZone) => {
+  const changes = [];
+  const addChange = (date, description) => {
+    if (date) changes.push({ date, medId: med.id, medName: med.name, description });
+  };
+  if (med.createdAt) {
+    addChange(
+      getZonedParts(new Date(med.createdAt), timeZone).dateString,
+      "Medicação cadastrada"
+    );
+  }
+  addChange(med.recurrence?.startDate, "Início do tratamento");
+  (med.phases ?? []).forEach((phase, index, phases) => {
+    addChange(
+      phase.startDate,
+      `Nova fase (${getPhaseName(phases, phase)}): ${formatScheduleTimes(
+        phase.scheduleTimes,
+        med.unit
+      )}`
+    );
+    if (index === phases.length - 1) return;
+    if (
+      phase.endDate &&
+      phase.endDate < shiftDateString(phases[index + 1].startDate, -1)
+    ) {
+      addChange(phase.endDate, `Fim da fase (${getPhaseName(phases, phase)})`);
+    }
+  });
+  addChange(getCourseEnd(med), "Fim do tratamento");
+  (med.changeLog ?? []).forEach((entry) => {
+    addChange(
+      getZonedParts(new Date(entry.changedAt), timeZone).dateString,
+      entry.description
+    );
+  });
+  return changes;
+};
+
+export const buildReport = ({
+  meds,
+  doseEvents,
+  now,
+  days,
+  timeZone,
+  refillLeadDays,
+}) => {
+  const toDate = getZonedParts(now, timeZone).dateString;
+  const fromDate = shiftDateString(toDate, -(days - 1));
+  const adherence = computeAdherence(meds, doseEvents, now, days, timeZone);
+  const adherenceByMed = new Map(adherence.byMed.map((entry) => [entry.medId, entry]));
+  const isInPeriod = (value) =>
+    value && getZonedParts(new Date(value), timeZone).dateString >= fromDate;
+
+  const activeMeds = meds
+    .filter((med) => !isScheduleFinished(med, now, timeZone))
+    .map((med) => {
+      const phase = med.phases?.length ? getCurrentPhase(med, now, timeZone) : null;
+      return {
+        id: med.id,
+        name: med.name,
+        dosage: med.dosage ? `${med.dosage} ${med.unit}` : med.unit,
+        schedule: med.asNeeded
+          ? "Se necessário"
+          : formatScheduleTimes(
+              med.phases?.length ? phase?.scheduleTimes : med.scheduleTimes,
+              med.unit
+            ),
+        frequency: med.asNeeded
+          ? describePrnLimits(med)
+          : describeRecurrence(med.recurrence),
+        phase: phase ? getPhaseName(med.phases, phase) : null,
+        notes: med.notes,
+        stock: formatQuantity(med.stock, med.unit),
+        stockStatus: describeStock(med, now, timeZone, refillLeadDays),
+        adherence: adherenceByMed.get(med.id) ?? null,
+        asNeededDoses: med.asNeeded
+          ? doseEvents.filter(
+              (event) =>
+                event.medId === med.id &&
+                event.status === "taken" &&
+                isInPeriod(event.takenAt)
+            ).length
+          : null,
+      };
+    });
+
+  const changes = meds
+    .flatMap((med) => listMedChanges(med, timeZone))
+    .filter((change) => change.date >= fromDate && change.date <= toDate)
+    .sort((a, b) => b.date.localeCompare(a.date) || a.medName.localeCompare(b.medName));
+
+  return {
+    days,
+    fromDate,
+    toDate,
+    overall: adherence.overall,
+    meds: activeMeds,
+    changes,
+  };
+};
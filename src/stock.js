@@ -0,0 +1,139 @@
+import { toNumber } from "../shared/schedule.js";
+import { roundAmount } from "../shared/units.js";
+import { formatShortDate } from "./report";
+
+export const STOCK_MOVEMENT_LABELS = {
+  purchase: "Compra",
+  dose: "Dose registrada",
+  auto: "Dose automática",
+  correction: "Ajuste",
+};
+
+export const buildStockMovement = (
+  medId,
+  {
+    kind,
+    quantity,
+    occurredAt = new Date().toISOString(),
+    packages = null,
+    packageSize = null,
+    pharmacy = "",
+    price = null,
+    note = "",
+    doseKey = null,
+    lotNumber = "",
+    expiresOn = null,
+    batchId = null,
+    targetStock = null,
+  }
+) => ({
+  id: crypto?.randomUUID?.() ?? `stock-${Date.now()}`,
+  medId,
+  kind,
+  quantity,
+  occurredAt,
+  packages,
+  packageSize,
+  pharmacy,
+  price,
+  note,
+  doseKey,
+  lotNumber,
+  expiresOn,
+  batchId,
+  targetStock,
+});
+
+export const buildStockCorrection = (medId, fromStock, toStock, note = "") => {
+  const quantity = roundAmount(toNumber(toStock, 0) - toNumber(fromStock, 0));
+  return quantity
+    ? buildStockMovement(medId, {
+        kind: "correction",
+        quantity,
+        note,
+        targetStock: toNumber(toStock, 0),
+      })
+    : null;
+};
+
+export const getPurchaseQuantity = ({ mode, quantity, packages, packageSize }) =>
+  roundAmount(
+    mode === "packages"
+      ? toNumber(packages, 0) * toNumber(packageSize, 0)
+      : toNumber(quantity, 0)
+  );
+
+const compareBatches = (preferredId) => (a, b) =>
+  (b.id === preferredId) - (a.id === preferredId) ||
+  (a.expiresOn ?? "9999-12-31").localeCompare(b.expiresOn ?? "9999-12-31") ||
+  a.createdAt.localeCompare(b.createdAt);
+
+export const applyStockMovementToBatches = (batches, movement) => {
+  if (
+    movement.kind === "purchase" &&
+    movement.quantity > 0 &&
+    (movement.lotNumber || movement.expiresOn)
+  ) {
+    return [
+      ...batches,
+      {
+        id: movement.id,
+        medId: movement.medId,
+        lotNumber: movement.lotNumber,
+        expiresOn: movement.expiresOn,
+        quantity: movement.quantity,
+        remaining: movement.quantity,
+        expiryNotified: "",
+        createdAt: movement.occurredAt,
+      },
+    ];
+  }
+  if (movement.quantity >= 0) return batches;
+  let amount = -movement.quantity;
+  const consumed = new Map();
+  batches
+    .filter((batch) => batch.medId === movement.medId && batch.remaining > 0)
+    .sort(compareBatches(movement.batchId))
+    .forEach((batch) => {
+      const used = Math.min(batch.remaining, amount);
+      if (used <= 0) return;
+      consumed.set(batch.id, batch.remaining - used);
+      amount -= used;
+    });
+  return batches.map((batch) =>
+    consumed.has(batch.id) ? { ...batch, remaining: consumed.get(batch.id) } : batch
+  );
+};
+
+export const describeBatch = (batch) =>
+  [
+    batch.lotNumber ? `Lote ${batch.lotNumber}` : "Sem lote",
+    `${batch.remaining.toLocaleString("pt-BR")} restantes`,
+    batch.expiresOn ? `validade ${formatShortDate(batch.expiresOn)}` : "sem validade",
+  ].join(" · ");
+
+const formatDelta = (quantity) =>
+  `${quantity > 0 ? "+" : ""}${quantity.toLocaleString("pt-BR")}`;
+
+export const describeStockMovement = (movement) => {
+  const parts = [
+    STOCK_MOVEMENT_LABELS[movement.kind] ?? movement.kind,
+    formatDelta(toNumber(movement.quantity, 0)),
+  ];
+  if (movement.packages && movement.packageSize) {
+    parts.push(`${movement.packages} × ${movement.packageSize}`);
+  }
+  if (movement.lotNumber) parts.push(`Lote ${movement.lotNumber}`);
+  if (movement.expiresOn) parts.push(`validade ${formatShortDate(movement.expiresOn)}`);
+  if (movement.pharmacy) parts.push(movement.pharmacy);
+  if (movement.price != null) {
+    parts.push(
+      toNumber(movement.price, 0).toLocaleString("pt-BR", {
+        style: "currency",
+        currency: "BRL",
+      })
+    );
+  }
+  if (movement.note) parts.push(movement.note);
+  return parts.join(" · ");
+};
@@ -0,0 +1,118 @@
+import { supabase } from "./supabase";
+
+const DB_NAME = "medwatch";
+const DB_VERSION = 1;
+const STORE_NAME = "mutations";
+const UNIQUE_VIOLATION = "23505";
+
+let dbPromise = null;
+let flushPromise = null;
+
+const openDb = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, {
+        keyPath: "key",
+        autoIncrement: true,
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+const runStore = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const isQueueSupported = () => typeof indexedDB !== "undefined";
+
+export const listMutations = () =>
+  isQueueSupported() ? runStore("readonly", (store) => store.getAll()) : [];
+
+export const enqueueMutation = (mutation) =>
+  runStore("readwrite", (store) =>
+    store.add({ ...mutation, queuedAt: new Date().toISOString() })
+  );
+
+export const clearMutations = () =>
+  isQueueSupported() ? runStore("readwrite", (store) => store.clear()) : null;
+
+export const retryMutation = (key) =>
+  runStore("readwrite", (store) => {
+    const request = store.get(key);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      const { rejectedAt, rejectionMessage, ...mutation } = request.result;
+      store.put(mutation);
+    };
+    return request;
+  });
+
+export const discardMutation = (key) =>
+  runStore("readwrite", (store) => store.delete(key));
+
+export const isNetworkError = (error) =>
+  !navigator.onLine || /fetch|network|load failed/i.test(error?.message ?? "");
+
+const isSessionError = (error) =>
+  error?.code === "PGRST301" || /jwt/i.test(error?.message ?? "");
+
+export const executeMutation = async ({ table, action, id, row }) => {
+  const batch = action === "insert" && Array.isArray(row);
+  const query = batch
+    ? supabase.from(table).upsert(row, { onConflict: "id", ignoreDuplicates: true })
+    : action === "insert"
+      ? supabase.from(table).insert(row)
+      : action === "update"
+        ? supabase.from(table).update(row).eq("id", id)
+        : supabase.from(table).delete().eq("id", id);
+  const { error } = await query;
+  if (error && !(action === "insert" && !batch && error.code === UNIQUE_VIOLATION)) {
+    throw error;
+  }
+};
+
+const nextQueuedMutation = async () =>
+  (await listMutations()).find((mutation) => !mutation.rejectedAt);
+
+const replayMutations = async (onRejected) => {
+  let applied = 0;
+  let mutation = await nextQueuedMutation();
+  while (mutation) {
+    try {
+      await executeMutation(mutation);
+      applied += 1;
+      await runStore("readwrite", (store) => store.delete(mutation.key));
+    } catch (error) {
+      if (isNetworkError(error) || isSessionError(error)) break;
+      const rejected = {
+        ...mutation,
+        rejectedAt: new Date().toISOString(),
+        rejectionMessage: error?.message ?? "",
+      };
+      await runStore("readwrite", (store) => store.put(rejected));
+      onRejected?.(rejected, error);
+    }
+    mutation = await nextQueuedMutation();
+  }
+  return applied;
+};
+
+export const flushMutations = (onRejected) => {
+  flushPromise ??= replayMutations(onRejected).finally(() => {
+    flushPromise = null;
+  });
+  return flushPromise;
+};
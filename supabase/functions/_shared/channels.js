@@ -0,0 +1,69 @@
+// Copied from shared/channels.js by scripts/sync-edge-shared.mjs. Edit the original.
+export const NOTIFICATION_CHANNELS = ["whatsapp", "sms", "email", "telegram"];
+export const PUSH_CHANNEL = "push";
+export const REPLY_CHANNELS = ["whatsapp", "sms"];
+
+const REPLY_HINT = "Responda TOMEI, PULAR ou ADIAR 30.";
+
+export const getProfileContacts = (profile) => {
+  const contacts =
+    Array.isArray(profile?.contacts) && profile.contacts.length
+      ? profile.contacts
+      : (profile?.phone_numbers || []).map((address) => ({
+          channel: "whatsapp",
+          address,
+        }));
+  return [
+    ...contacts
+      .map((contact) => ({
+        channel: contact?.channel,
+        address: String(contact?.address ?? "").trim(),
+      }))
+      .filter(
+        (contact) => contact.address && NOTIFICATION_CHANNELS.includes(contact.channel)
+      ),
+    ...(profile?.push_subscriptions || []).map((subscription) => ({
+      channel: PUSH_CHANNEL,
+      address: subscription,
+    })),
+  ];
+};
+
+export const formatMessageBody = (channel, message) =>
+  message.replyHint && REPLY_CHANNELS.includes(channel)
+    ? `${message.body} ${REPLY_HINT}`
+    : message.body;
+
+export const CHANNEL_FALLBACKS = {
+  whatsapp: ["sms"],
+};
+
+export const createNotificationDispatcher =
+  (providers, { onError = () => {} } = {}) =>
+  async (contact, message) => {
+    const channels = [contact.channel, ...(CHANNEL_FALLBACKS[contact.channel] || [])];
+    for (const channel of channels) {
+      const send = providers[channel];
+      if (!send) continue;
+      try {
+        await send(contact.address, {
+          ...message,
+          body: formatMessageBody(channel, message),
+        });
+        return true;
+      } catch (error) {
+        onError(error, { ...contact, channel });
+      }
+    }
+    return false;
+  };
+
+export const createFakeProviders = (outbox = []) =>
+  Object.fromEntries(
+    [...NOTIFICATION_CHANNELS, PUSH_CHANNEL].map((channel) => [
+      channel,
+      async (to, message) => {
+        outbox.push({ channel, to, kind: message.kind, body: message.body });
+      },
+    ])
+  );
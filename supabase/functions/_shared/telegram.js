@@ -0,0 +1,27 @@
+// Copied from shared/telegram.js by scripts/sync-edge-shared.mjs. Edit the original.
+const SEND_TIMEOUT_MS = 5000;
+
+export const createTelegramSender = ({ botToken }) => {
+  const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
+
+  return async (chatId, message) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ chat_id: chatId, text: message.body }),
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Telegram error: ${response.status} ${text}`);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+};
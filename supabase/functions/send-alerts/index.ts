@@ -1,139 +1,113 @@
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { applyDeliveredMessages, planMedAlerts } from "../_shared/alerts.js";
+import { createNotificationDispatcher } from "../_shared/channels.js";
+import { DOSE_MATCH_WINDOW_MINUTES } from "../_shared/schedule.js";
+import { createTelegramSender } from "../_shared/telegram.js";
+import { createSmsSender, createWhatsAppSender } from "../_shared/twilio.js";
+import { createWebPushSender } from "../_shared/webpush.js";
 
-const ALERT_WINDOW_MINUTES = 10;
-
-const jsonResponse = (status: number, payload: Record<string, unknown>) =>
-  new Response(JSON.stringify(payload), {
-    status,
-    headers: { "Content-Type": "application/json" },
-  });
-
-const toMinutes = (time: string) => {
-  const [hours, minutes] = time.split(":").map(Number);
-  return hours * 60 + minutes;
+type PushSubscriptionRow = {
+  endpoint: string;
+  p256dh: string;
+  auth: string;
 };
 
-const normalizeScheduleTimes = (
-  value: unknown,
-  fallbackDose: number
-): Array<{ time: string; pills: number }> => {
-  if (!Array.isArray(value)) return [];
-  return value
-    .map((entry) => {
-      if (typeof entry === "string") {
-        return { time: entry, pills: fallbackDose };
-      }
-      if (entry && typeof entry === "object") {
-        const maybeEntry = entry as { time?: string; pills?: number };
-        if (!maybeEntry.time) return null;
-        return {
-          time: maybeEntry.time,
-          pills: Number(maybeEntry.pills ?? fallbackDose),
-        };
-      }
-      return null;
-    })
-    .filter((value): value is { time: string; pills: number } => Boolean(value));
-};
+type Contact =
+  | {
+      channel: "whatsapp" | "sms" | "email" | "telegram";
+      address: string;
+    }
+  | {
+      channel: "push";
+      address: PushSubscriptionRow;
+    };
 
-const getZonedParts = (date: Date, timeZone: string) => {
-  const formatter = new Intl.DateTimeFormat("en-US", {
-    timeZone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-  });
-  const parts = formatter.formatToParts(date);
-  const map = Object.fromEntries(parts.map((part) => [part.type, part.value]));
-  return {
-    year: Number(map.year),
-    month: Number(map.month),
-    day: Number(map.day),
-    hour: Number(map.hour),
-    minute: Number(map.minute),
-    dateString: `${map.year}-${map.month}-${map.day}`,
-  };
+type NotificationMessage = {
+  kind: "dose" | "low_stock" | "dose_reminder" | "missed_dose" | "batch_expiry";
+  title: string;
+  variables: Record<string, string>;
+  body: string;
+  replyHint?: boolean;
+  dose?: { medId: string; scheduledFor: string };
+  recipients: Contact[];
+  markers?: Record<string, string>;
+  batchUpdates?: { id: string; expiry_notified: string }[];
 };
 
-const buildAlertKey = (dateString: string, time: string) => `${dateString}-${time}`;
-
-const normalizePhone = (value: string) =>
-  value.startsWith("whatsapp:") ? value : `whatsapp:${value}`;
+type Sender = (to: Contact["address"], message: NotificationMessage) => Promise<void>;
 
-const sendWhatsApp = async (
-  accountSid: string,
-  authToken: string,
-  fromNumber: string,
-  to: string,
-  message: string
-) => {
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
-  const body = new URLSearchParams({
-    From: normalizePhone(fromNumber),
-    To: normalizePhone(to),
-    Body: message,
+const jsonResponse = (status: number, payload: Record<string, unknown>) =>
+  new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json" },
   });
-  const auth = btoa(`${accountSid}:${authToken}`);
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Basic ${auth}`,
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      body,
-      signal: controller.signal,
-    });
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Twilio error: ${response.status} ${errorText}`);
-    }
-  } finally {
-    clearTimeout(timeoutId);
-  }
-};
 
-const sendWhatsAppBatch = async (
-  accountSid: string,
-  authToken: string,
-  fromNumber: string,
-  phones: string[],
-  message: string
+// SMTP needs raw sockets, which the edge runtime does not offer, so e-mail
+// contacts are left to scripts/send-alerts.mjs.
+const EDGE_UNSUPPORTED_CHANNELS = ["email"];
+
+const sendNotificationBatch = async (
+  notify: (contact: Contact, message: NotificationMessage) => Promise<boolean>,
+  contacts: Contact[],
+  message: NotificationMessage
 ) => {
-  const tasks = phones.map((phone) =>
-    sendWhatsApp(accountSid, authToken, fromNumber, phone, message)
+  const unsupported = contacts.filter((contact) =>
+    EDGE_UNSUPPORTED_CHANNELS.includes(contact.channel)
   );
+  if (unsupported.length) {
+    console.warn(
+      `Skipped ${unsupported.length} ${message.kind} alert(s) by e-mail: use scripts/send-alerts.mjs to deliver e-mail.`
+    );
+  }
+  const tasks = contacts
+    .filter((contact) => !EDGE_UNSUPPORTED_CHANNELS.includes(contact.channel))
+    .map((contact) => notify(contact, message));
   const results = await Promise.allSettled(tasks);
-  const successCount = results.filter((result) => result.status === "fulfilled")
-    .length;
+  const successCount = results.filter(
+    (result) => result.status === "fulfilled" && result.value
+  ).length;
   return successCount;
 };
 
+type RecipientRow = {
+  owner_id?: string;
+  full_name: string | null;
+  phone_numbers: string[] | null;
+  contacts: Contact[] | null;
+  whatsapp_enabled: boolean | null;
+  timezone: string | null;
+  reminder_interval_minutes: number | null;
+  reminder_max_repeats: number | null;
+  refill_lead_days: number | null;
+  caregiver_phone: string | null;
+};
+
 type MedRow = {
   id: string;
   user_id: string;
+  patient_id: string | null;
   name: string;
   unit: string;
   dose_amount: number;
   stock: number;
   low_threshold: number;
   schedule_times: unknown;
+  recurrence: unknown;
+  schedule_phases: unknown;
+  as_needed: boolean | null;
   alerts_enabled: boolean;
   auto_deduct: boolean;
   last_alert_key: string | null;
   last_auto_dose_key: string | null;
   last_whatsapp_alert_key: string | null;
   last_low_stock_whatsapp_date: string | null;
-  profiles?: {
-    phone_numbers: string[] | null;
-    whatsapp_enabled: boolean | null;
-    timezone: string | null;
-  } | null;
+  pending_dose_key: string | null;
+  pending_dose_at: string | null;
+  reminder_count: number | null;
+  last_reminder_at: string | null;
+  snoozed_until: string | null;
+  patients?: RecipientRow | null;
+  profiles?: RecipientRow | null;
 };
 
 export default async () => {
@@ -146,22 +120,104 @@ export default async () => {
   const accountSid = Deno.env.get("TWILIO_ACCOUNT_SID");
   const authToken = Deno.env.get("TWILIO_AUTH_TOKEN");
   const fromNumber = Deno.env.get("TWILIO_WHATSAPP_FROM");
+  const templateAlertDose = Deno.env.get("TWILIO_TEMPLATE_ALERT_DOSE_SID");
+  const templateLowStock = Deno.env.get("TWILIO_TEMPLATE_LOW_STOCK_SID");
+  const templateDoseReminder = Deno.env.get("TWILIO_TEMPLATE_DOSE_REMINDER_SID");
+  const templateMissedDose = Deno.env.get("TWILIO_TEMPLATE_MISSED_DOSE_SID");
+  const templateBatchExpiry = Deno.env.get("TWILIO_TEMPLATE_BATCH_EXPIRY_SID");
+  const smsFromNumber = Deno.env.get("TWILIO_SMS_FROM");
+  const telegramBotToken = Deno.env.get("TELEGRAM_BOT_TOKEN");
+  const vapidPublicKey = Deno.env.get("VAPID_PUBLIC_KEY");
+  const vapidPrivateKey = Deno.env.get("VAPID_PRIVATE_KEY");
+  const vapidSubject = Deno.env.get("VAPID_SUBJECT");
 
   if (!supabaseUrl || !serviceRoleKey) {
     return jsonResponse(500, { error: "Missing Supabase credentials." });
   }
-  if (!accountSid || !authToken || !fromNumber) {
+  if ((fromNumber || smsFromNumber) && (!accountSid || !authToken)) {
     return jsonResponse(500, { error: "Missing Twilio credentials." });
   }
+  if ((vapidPublicKey || vapidPrivateKey) && !vapidSubject) {
+    return jsonResponse(500, { error: "Missing VAPID_SUBJECT." });
+  }
 
   const supabase = createClient(supabaseUrl, serviceRoleKey, {
     auth: { persistSession: false },
   });
+  const providers: Record<string, Sender> = {};
+  if (fromNumber) {
+    providers.whatsapp = createWhatsAppSender({
+      accountSid,
+      authToken,
+      fromNumber,
+      templates: {
+        dose: templateAlertDose,
+        low_stock: templateLowStock,
+        dose_reminder: templateDoseReminder,
+        missed_dose: templateMissedDose,
+        batch_expiry: templateBatchExpiry,
+      },
+    });
+  }
+  if (smsFromNumber) {
+    providers.sms = createSmsSender({
+      accountSid,
+      authToken,
+      fromNumber: smsFromNumber,
+    });
+  }
+  if (telegramBotToken) {
+    providers.telegram = createTelegramSender({ botToken: telegramBotToken });
+  }
+  if (vapidPublicKey && vapidPrivateKey) {
+    providers.push = createWebPushSender({
+      publicKey: vapidPublicKey,
+      privateKey: vapidPrivateKey,
+      subject: vapidSubject,
+      actionSecret: Deno.env.get("PUSH_ACTION_SECRET"),
+      onExpired: async (subscription: PushSubscriptionRow) => {
+        await supabase
+          .from("push_subscriptions")
+          .delete()
+          .eq("endpoint", subscription.endpoint);
+      },
+    });
+  }
+  if (!Object.keys(providers).length) {
+    return jsonResponse(500, { error: "No notification channel configured." });
+  }
+  const notify = createNotificationDispatcher(providers, {
+    onError: (error: Error, contact: Contact) =>
+      console.error(`Failed to send via ${contact.channel}: ${error.message}`),
+  });
+
+  const loadPushSubscriptions = async (med: MedRow) => {
+    if (!providers.push) return [];
+    let userIds = [med.user_id];
+    if (med.patient_id) {
+      const { data: members, error: membersError } = await supabase
+        .from("patient_members")
+        .select("user_id")
+        .eq("patient_id", med.patient_id)
+        .eq("status", "accepted");
+      if (membersError) return [];
+      userIds = [
+        med.patients?.owner_id ?? med.user_id,
+        ...(members ?? []).map((member) => member.user_id),
+      ];
+    }
+    const { data: subscriptions, error: subscriptionsError } = await supabase
+      .from("push_subscriptions")
+      .select("endpoint, p256dh, auth")
+      .in("user_id", userIds);
+    return subscriptionsError ? [] : ((subscriptions ?? []) as PushSubscriptionRow[]);
+  };
 
   const now = new Date();
   let sentCount = 0;
   let updatedCount = 0;
-  let offset = 0;
+  const errors: string[] = [];
+  let lastId: string | null = null;
   let done = false;
 
   while (!done) {
@@ -172,34 +228,65 @@ export default async () => {
       break;
     }
 
-    const { data, error } = await supabase
+    let query = supabase
       .from("meds")
       .select(
         `
           id,
           user_id,
+          patient_id,
           name,
           unit,
           dose_amount,
           stock,
           low_threshold,
           schedule_times,
+          recurrence,
+          schedule_phases,
+          as_needed,
           alerts_enabled,
           auto_deduct,
           last_alert_key,
           last_auto_dose_key,
           last_whatsapp_alert_key,
           last_low_stock_whatsapp_date,
+          pending_dose_key,
+          pending_dose_at,
+          reminder_count,
+          last_reminder_at,
+          snoozed_until,
+          patients:patients (
+            owner_id,
+            full_name,
+            phone_numbers,
+            contacts,
+            whatsapp_enabled,
+            timezone,
+            reminder_interval_minutes,
+            reminder_max_repeats,
+            refill_lead_days,
+            caregiver_phone
+          ),
           profiles:profiles (
+            full_name,
             phone_numbers,
+            contacts,
             whatsapp_enabled,
-            timezone
+            timezone,
+            reminder_interval_minutes,
+            reminder_max_repeats,
+            refill_lead_days,
+            caregiver_phone
           )
         `
       )
       .eq("alerts_enabled", true)
-      .order("created_at", { ascending: false })
-      .range(offset, offset + PAGE_SIZE - 1);
+      .order("id", { ascending: true })
+      .limit(PAGE_SIZE);
+    if (lastId) {
+      query = query.gt("id", lastId);
+    }
+    const { data, error } = await query;
 
     if (error) {
       return jsonResponse(500, { error: error.message });
@@ -220,91 +307,92 @@ export default async () => {
         break;
       }
 
-      const profile = med.profiles;
-      if (!profile || profile.whatsapp_enabled === false) continue;
-      const phones = (profile.phone_numbers || []).filter((value) => value?.trim());
-      if (!phones.length) continue;
-      const scheduleTimes = normalizeScheduleTimes(
-        med.schedule_times,
-        med.dose_amount || 1
-      );
-      if (!scheduleTimes.length) continue;
-
-      const timeZone = profile.timezone || "UTC";
-      const parts = getZonedParts(now, timeZone);
-      const nowMinutes = parts.hour * 60 + parts.minute;
-
-      let newLastWhatsAppKey = med.last_whatsapp_alert_key;
-      let newLastAutoDoseKey = med.last_auto_dose_key;
-      let newLastTaken = null as string | null;
-      let newStock = med.stock;
-      let shouldUpdate = false;
-
-      for (const entry of scheduleTimes) {
-        const scheduledMinutes = toMinutes(entry.time);
-        const diffMinutes = nowMinutes - scheduledMinutes;
-        if (diffMinutes < 0 || diffMinutes > ALERT_WINDOW_MINUTES) continue;
-
-        const alertKey = buildAlertKey(parts.dateString, entry.time);
-        const doseAmount = Number(entry.pills ?? med.dose_amount ?? 1);
-        if (med.last_whatsapp_alert_key !== alertKey) {
-          const message = `Hora de tomar ${med.name}. Dose: ${doseAmount} ${med.unit} às ${entry.time}.`;
-          sentCount += await sendWhatsAppBatch(
-            accountSid,
-            authToken,
-            fromNumber,
-            phones,
-            message
-          );
-          newLastWhatsAppKey = alertKey;
-          shouldUpdate = true;
-        }
-
-        if (med.auto_deduct && med.last_auto_dose_key !== alertKey) {
-          newStock = Math.max(0, newStock - doseAmount);
-          newLastTaken = now.toISOString();
-          newLastAutoDoseKey = alertKey;
-          shouldUpdate = true;
-        }
+      const recipient = med.patients ?? med.profiles;
+      if (!recipient) continue;
+      const profile = {
+        ...recipient,
+        push_subscriptions: await loadPushSubscriptions(med),
+      };
+      let pendingEvents: unknown[] = [];
+      if (med.pending_dose_key && med.pending_dose_at) {
+        const since = new Date(
+          new Date(med.pending_dose_at).getTime() - DOSE_MATCH_WINDOW_MINUTES * 60000
+        );
+        const { data: events, error: eventsError } = await supabase
+          .from("dose_events")
+          .select("scheduled_for, taken_at, status")
+          .eq("med_id", med.id)
+          .gte("created_at", since.toISOString());
+        if (eventsError) continue;
+        pendingEvents = events ?? [];
+      }
+      const { data: batches, error: batchesError } = await supabase
+        .from("stock_batches")
+        .select("id, lot_number, expires_on, remaining, expiry_notified")
+        .eq("med_id", med.id)
+        .gt("remaining", 0)
+        .not("expires_on", "is", null);
+      if (batchesError) {
+        errors.push(`${med.id} stock_batches: ${batchesError.message}`);
       }
+      const plan = planMedAlerts(med, profile, now, pendingEvents, batches ?? []);
 
-      if (
-        med.stock <= med.low_threshold &&
-        med.last_low_stock_whatsapp_date !== parts.dateString
-      ) {
-        const message = `Estoque baixo: ${med.name}. Restam ${med.stock} unidades. Providencie reposição.`;
-        sentCount += await sendWhatsAppBatch(
-          accountSid,
-          authToken,
-          fromNumber,
-          phones,
+      const deliveredMessages: NotificationMessage[] = [];
+      for (const message of plan.messages as NotificationMessage[]) {
+        const delivered = await sendNotificationBatch(
+          notify,
+          message.recipients,
           message
         );
-        shouldUpdate = true;
+        sentCount += delivered;
+        if (delivered) deliveredMessages.push(message);
       }
+      const { doseEvents, stockMovements } = plan;
+      const { update, batchUpdates } = applyDeliveredMessages(
+        plan.update,
+        deliveredMessages
+      );
 
-      if (shouldUpdate) {
-        const updatePayload: Record<string, unknown> = {
-          last_whatsapp_alert_key: newLastWhatsAppKey,
-          last_auto_dose_key: newLastAutoDoseKey,
-        };
-        if (newLastTaken) {
-          updatePayload.last_taken = newLastTaken;
-          updatePayload.stock = newStock;
-        }
-        if (
-          med.stock <= med.low_threshold &&
-          med.last_low_stock_whatsapp_date !== parts.dateString
-        ) {
-          updatePayload.last_low_stock_whatsapp_date = parts.dateString;
-        }
-
+      if (update) {
         const { error: updateError } = await supabase
           .from("meds")
-          .update(updatePayload)
+          .update(update)
           .eq("id", med.id);
-        if (!updateError) {
+        if (updateError) {
+          errors.push(`${med.id} meds: ${updateError.message}`);
+        } else {
           updatedCount += 1;
+          if (doseEvents.length) {
+            const { error: doseEventsError } = await supabase
+              .from("dose_events")
+              .upsert(doseEvents, {
+                onConflict: "med_id,dose_key",
+                ignoreDuplicates: true,
+              });
+            if (doseEventsError) {
+              errors.push(`${med.id} dose_events: ${doseEventsError.message}`);
+            }
+          }
+          if (stockMovements.length) {
+            const { error: movementsError } = await supabase
+              .from("stock_movements")
+              .upsert(stockMovements, {
+                onConflict: "med_id,dose_key",
+                ignoreDuplicates: true,
+              });
+            if (movementsError) {
+              errors.push(`${med.id} stock_movements: ${movementsError.message}`);
+            }
+          }
+        }
+      }
+      for (const { id, ...batchUpdate } of batchUpdates) {
+        const { error: batchError } = await supabase
+          .from("stock_batches")
+          .update(batchUpdate)
+          .eq("id", id);
+        if (batchError) {
+          errors.push(`${id} stock_batches: ${batchError.message}`);
         }
       }
     }
@@ -312,9 +400,13 @@ export default async () => {
     if (data.length < PAGE_SIZE) {
       done = true;
     } else {
-      offset += PAGE_SIZE;
+      lastId = data[data.length - 1].id;
     }
   }
 
+  if (errors.length) {
+    console.error(errors.join("\n"));
+    return jsonResponse(500, { sentCount, updatedCount, errors });
+  }
   return jsonResponse(200, { sentCount, updatedCount });
 };
@@ -0,0 +1,142 @@
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  username text not null unique,
+  full_name text not null default '',
+  phone_numbers text[] not null default '{}',
+  whatsapp_enabled boolean not null default true,
+  timezone text not null default 'UTC',
+  reminder_interval_minutes integer not null default 15
+    check (reminder_interval_minutes > 0),
+  reminder_max_repeats integer not null default 0 check (reminder_max_repeats >= 0),
+  caregiver_phone text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.patients (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references public.profiles (id) on delete cascade,
+  full_name text not null default '',
+  phone_numbers text[] not null default '{}',
+  whatsapp_enabled boolean not null default true,
+  timezone text not null default 'UTC',
+  reminder_interval_minutes integer not null default 15
+    check (reminder_interval_minutes > 0),
+  reminder_max_repeats integer not null default 0 check (reminder_max_repeats >= 0),
+  caregiver_phone text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists patients_owner_id_idx on public.patients (owner_id);
+
+create table if not exists public.meds (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  patient_id uuid references public.patients (id) on delete cascade,
+  name text not null,
+  dosage text not null default '',
+  unit text not null default 'comprimidos',
+  dose_amount numeric not null default 1,
+  stock numeric not null default 0,
+  low_threshold numeric not null default 0,
+  schedule_times jsonb not null default '[]'::jsonb,
+  recurrence jsonb,
+  schedule_phases jsonb not null default '[]'::jsonb,
+  as_needed boolean not null default false,
+  max_daily_doses integer not null default 0,
+  min_interval_hours numeric not null default 0,
+  prn_guard text not null default 'warn' check (prn_guard in ('warn', 'block')),
+  alerts_enabled boolean not null default true,
+  auto_deduct boolean not null default false,
+  notes text not null default '',
+  last_taken timestamptz,
+  last_alert_key text,
+  last_auto_dose_key text,
+  last_whatsapp_alert_key text,
+  last_low_stock_whatsapp_date text,
+  pending_dose_key text,
+  pending_dose_at timestamptz,
+  reminder_count integer not null default 0,
+  last_reminder_at timestamptz,
+  snoozed_until timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists meds_user_id_idx on public.meds (user_id);
+create index if not exists meds_patient_id_idx on public.meds (patient_id);
+
+create table if not exists public.dose_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  med_id uuid not null references public.meds (id) on delete cascade,
+  scheduled_for timestamptz,
+  taken_at timestamptz,
+  amount numeric not null default 0,
+  source text not null default 'manual' check (source in ('manual', 'auto', 'whatsapp')),
+  status text not null default 'taken' check (status in ('taken', 'skipped', 'missed')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists dose_events_med_id_idx
+  on public.dose_events (med_id, scheduled_for);
+
+alter table public.profiles enable row level security;
+alter table public.patients enable row level security;
+alter table public.meds enable row level security;
+alter table public.dose_events enable row level security;
+
+drop policy if exists "profiles_select" on public.profiles;
+create policy "profiles_select" on public.profiles
+  for select using (id = auth.uid());
+
+drop policy if exists "profiles_insert" on public.profiles;
+create policy "profiles_insert" on public.profiles
+  for insert with check (id = auth.uid());
+
+drop policy if exists "profiles_update" on public.profiles;
+create policy "profiles_update" on public.profiles
+  for update using (id = auth.uid()) with check (id = auth.uid());
+
+drop policy if exists "patients_select" on public.patients;
+create policy "patients_select" on public.patients
+  for select using (owner_id = auth.uid());
+
+drop policy if exists "patients_insert" on public.patients;
+create policy "patients_insert" on public.patients
+  for insert with check (owner_id = auth.uid());
+
+drop policy if exists "patients_update" on public.patients;
+create policy "patients_update" on public.patients
+  for update using (owner_id = auth.uid()) with check (owner_id = auth.uid());
+
+drop policy if exists "patients_delete" on public.patients;
+create policy "patients_delete" on public.patients
+  for delete using (owner_id = auth.uid());
+
+drop policy if exists "meds_select" on public.meds;
+create policy "meds_select" on public.meds
+  for select using (user_id = auth.uid());
+
+drop policy if exists "meds_insert" on public.meds;
+create policy "meds_insert" on public.meds
+  for insert with check (user_id = auth.uid());
+
+drop policy if exists "meds_update" on public.meds;
+create policy "meds_update" on public.meds
+  for update using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "meds_delete" on public.meds;
+create policy "meds_delete" on public.meds
+  for delete using (user_id = auth.uid());
+
+drop policy if exists "dose_events_select" on public.dose_events;
+create policy "dose_events_select" on public.dose_events
+  for select using (user_id = auth.uid());
+
+drop policy if exists "dose_events_insert" on public.dose_events;
+create policy "dose_events_insert" on public.dose_events
+  for insert with check (user_id = auth.uid());
+
+grant select, insert, update on public.profiles to authenticated;
+grant select, insert, update, delete on public.patients to authenticated;
+grant select, insert, update, delete on public.meds to authenticated;
+grant select, insert on public.dose_events to authenticated;
@@ -0,0 +1,236 @@
+create table if not exists public.patient_members (
+  id uuid primary key default gen_random_uuid(),
+  patient_id uuid not null references public.patients (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  username text not null,
+  patient_name text not null default '',
+  role text not null default 'viewer' check (role in ('viewer', 'editor', 'admin')),
+  status text not null default 'pending' check (status in ('pending', 'accepted')),
+  invited_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  unique (patient_id, user_id)
+);
+
+create index if not exists patient_members_user_id_idx on public.patient_members (user_id);
+
+create or replace function public.patient_role(target_patient_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when exists (
+      select 1 from patients
+      where id = target_patient_id and owner_id = auth.uid()
+    ) then 'owner'
+    else (
+      select role from patient_members
+      where patient_id = target_patient_id
+        and user_id = auth.uid()
+        and status = 'accepted'
+    )
+  end;
+$$;
+
+create or replace function public.med_role(target_med_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when meds.patient_id is not null then public.patient_role(meds.patient_id)
+    when meds.user_id = auth.uid() then 'owner'
+  end
+  from meds
+  where meds.id = target_med_id;
+$$;
+
+create or replace function public.med_owner(target_med_id uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select user_id from meds where id = target_med_id;
+$$;
+
+create or replace function public.invite_patient_member(
+  target_patient_id uuid,
+  target_username text,
+  target_role text
+)
+returns public.patient_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invitee profiles%rowtype;
+  member patient_members%rowtype;
+begin
+  if coalesce(public.patient_role(target_patient_id), '') not in ('owner', 'admin') then
+    raise exception 'not allowed to share this patient';
+  end if;
+  if target_role not in ('viewer', 'editor', 'admin') then
+    raise exception 'invalid role %', target_role;
+  end if;
+
+  select * into invitee from profiles where username = lower(target_username);
+  if not found then
+    raise exception 'user % not found', target_username;
+  end if;
+  if invitee.id = (select owner_id from patients where id = target_patient_id) then
+    raise exception 'owner already has access';
+  end if;
+
+  insert into patient_members (
+    patient_id, user_id, username, patient_name, role, invited_by
+  )
+  select target_patient_id, invitee.id, invitee.username, patients.full_name,
+    target_role, auth.uid()
+  from patients
+  where patients.id = target_patient_id
+  on conflict (patient_id, user_id) do update set role = excluded.role
+  returning * into member;
+
+  return member;
+end;
+$$;
+
+create or replace function public.accept_patient_invite(target_member_id uuid)
+returns public.patient_members
+language sql
+security definer
+set search_path = public
+as $$
+  update patient_members
+  set status = 'accepted', accepted_at = now()
+  where id = target_member_id and user_id = auth.uid()
+  returning *;
+$$;
+
+create or replace function public.keep_patient_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.owner_id := old.owner_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists keep_patient_owner on public.patients;
+create trigger keep_patient_owner
+  before update on public.patients
+  for each row execute function public.keep_patient_owner();
+
+alter table public.patients enable row level security;
+alter table public.meds enable row level security;
+alter table public.dose_events enable row level security;
+alter table public.patient_members enable row level security;
+
+drop policy if exists "patients_select" on public.patients;
+create policy "patients_select" on public.patients
+  for select using (owner_id = auth.uid() or public.patient_role(id) is not null);
+
+drop policy if exists "patients_insert" on public.patients;
+create policy "patients_insert" on public.patients
+  for insert with check (owner_id = auth.uid());
+
+drop policy if exists "patients_update" on public.patients;
+create policy "patients_update" on public.patients
+  for update using (public.patient_role(id) in ('owner', 'admin'))
+  with check (public.patient_role(id) in ('owner', 'admin'));
+
+drop policy if exists "patients_delete" on public.patients;
+create policy "patients_delete" on public.patients
+  for delete using (owner_id = auth.uid());
+
+drop policy if exists "meds_select" on public.meds;
+create policy "meds_select" on public.meds
+  for select using (
+    case
+      when patient_id is not null then public.patient_role(patient_id) is not null
+      else user_id = auth.uid()
+    end
+  );
+
+drop policy if exists "meds_insert" on public.meds;
+create policy "meds_insert" on public.meds
+  for insert with check (
+    case
+      when patient_id is not null
+        then public.patient_role(patient_id) in ('owner', 'admin', 'editor')
+          and user_id = (select owner_id from public.patients where id = patient_id)
+      else user_id = auth.uid()
+    end
+  );
+
+drop policy if exists "meds_update" on public.meds;
+create policy "meds_update" on public.meds
+  for update using (
+    case
+      when patient_id is not null
+        then public.patient_role(patient_id) in ('owner', 'admin', 'editor')
+      else user_id = auth.uid()
+    end
+  )
+  with check (
+    case
+      when patient_id is not null
+        then public.patient_role(patient_id) in ('owner', 'admin', 'editor')
+          and user_id = (select owner_id from public.patients where id = patient_id)
+      else user_id = auth.uid()
+    end
+  );
+
+drop policy if exists "meds_delete" on public.meds;
+create policy "meds_delete" on public.meds
+  for delete using (
+    case
+      when patient_id is not null
+        then public.patient_role(patient_id) in ('owner', 'admin', 'editor')
+      else user_id = auth.uid()
+    end
+  );
+
+drop policy if exists "dose_events_select" on public.dose_events;
+create policy "dose_events_select" on public.dose_events
+  for select using (public.med_role(med_id) is not null);
+
+drop policy if exists "dose_events_insert" on public.dose_events;
+create policy "dose_events_insert" on public.dose_events
+  for insert with check (
+    public.med_role(med_id) in ('owner', 'admin', 'editor')
+      and user_id = public.med_owner(med_id)
+  );
+
+drop policy if exists "patient_members_select" on public.patient_members;
+create policy "patient_members_select" on public.patient_members
+  for select using (
+    user_id = auth.uid() or public.patient_role(patient_id) is not null
+  );
+
+drop policy if exists "patient_members_update" on public.patient_members;
+create policy "patient_members_update" on public.patient_members
+  for update using (public.patient_role(patient_id) in ('owner', 'admin'))
+  with check (public.patient_role(patient_id) in ('owner', 'admin'));
+
+drop policy if exists "patient_members_delete" on public.patient_members;
+create policy "patient_members_delete" on public.patient_members
+  for delete using (
+    user_id = auth.uid() or public.patient_role(patient_id) in ('owner', 'admin')
+  );
+
+grant select, delete on public.patient_members to authenticated;
+grant update (role) on public.patient_members to authenticated;
+grant execute on function public.invite_patient_member(uuid, text, text) to authenticated;
+grant execute on function public.accept_patient_invite(uuid) to authenticated;
+revoke execute on function public.med_owner(uuid) from public;
+grant execute on function public.med_owner(uuid) to authenticated;
@@ -0,0 +1,12 @@
+create table if not exists public.whatsapp_send_log (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  recipient text not null,
+  kind text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists whatsapp_send_log_user_created_idx
+  on public.whatsapp_send_log (user_id, created_at desc);
+
+alter table public.whatsapp_send_log enable row level security;
@@ -0,0 +1,26 @@
+alter table public.profiles
+  add column if not exists contacts jsonb not null default '[]'::jsonb;
+alter table public.patients
+  add column if not exists contacts jsonb not null default '[]'::jsonb;
+
+update public.profiles
+set contacts = (
+  select coalesce(
+    jsonb_agg(jsonb_build_object('channel', 'whatsapp', 'address', phone)),
+    '[]'::jsonb
+  )
+  from unnest(phone_numbers) as phone
+  where trim(phone) <> ''
+)
+where contacts = '[]'::jsonb;
+
+update public.patients
+set contacts = (
+  select coalesce(
+    jsonb_agg(jsonb_build_object('channel', 'whatsapp', 'address', phone)),
+    '[]'::jsonb
+  )
+  from unnest(phone_numbers) as phone
+  where trim(phone) <> ''
+)
+where contacts = '[]'::jsonb;
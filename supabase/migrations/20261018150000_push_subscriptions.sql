@@ -0,0 +1,36 @@
+create table if not exists public.push_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  endpoint text not null unique,
+  p256dh text not null,
+  auth text not null,
+  user_agent text not null default '',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_user_id_idx
+  on public.push_subscriptions (user_id);
+
+alter table public.push_subscriptions enable row level security;
+
+drop policy if exists "push_subscriptions_select" on public.push_subscriptions;
+create policy "push_subscriptions_select" on public.push_subscriptions
+  for select using (user_id = auth.uid());
+
+drop policy if exists "push_subscriptions_insert" on public.push_subscriptions;
+create policy "push_subscriptions_insert" on public.push_subscriptions
+  for insert with check (user_id = auth.uid());
+
+drop policy if exists "push_subscriptions_update" on public.push_subscriptions;
+create policy "push_subscriptions_update" on public.push_subscriptions
+  for update using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "push_subscriptions_delete" on public.push_subscriptions;
+create policy "push_subscriptions_delete" on public.push_subscriptions
+  for delete using (user_id = auth.uid());
+
+grant select, insert, update, delete on public.push_subscriptions to authenticated;
+
+alter table public.dose_events drop constraint if exists dose_events_source_check;
+alter table public.dose_events add constraint dose_events_source_check
+  check (source in ('manual', 'auto', 'whatsapp', 'push'));
@@ -0,0 +1,27 @@
+create table if not exists public.calendar_feeds (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  patient_id uuid not null references public.patients (id) on delete cascade,
+  token text not null unique
+    default replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  created_at timestamptz not null default now(),
+  unique (user_id, patient_id)
+);
+
+alter table public.calendar_feeds enable row level security;
+
+drop policy if exists "calendar_feeds_select" on public.calendar_feeds;
+create policy "calendar_feeds_select" on public.calendar_feeds
+  for select using (user_id = auth.uid());
+
+drop policy if exists "calendar_feeds_insert" on public.calendar_feeds;
+create policy "calendar_feeds_insert" on public.calendar_feeds
+  for insert with check (
+    user_id = auth.uid() and public.patient_role(patient_id) is not null
+  );
+
+drop policy if exists "calendar_feeds_delete" on public.calendar_feeds;
+create policy "calendar_feeds_delete" on public.calendar_feeds
+  for delete using (user_id = auth.uid());
+
+grant select, insert, delete on public.calendar_feeds to authenticated;
@@ -0,0 +1,7 @@
+alter table public.profiles
+  add column if not exists refill_lead_days integer not null default 7
+    check (refill_lead_days >= 0);
+
+alter table public.patients
+  add column if not exists refill_lead_days integer not null default 7
+    check (refill_lead_days >= 0);
@@ -0,0 +1,127 @@
+create table if not exists public.stock_movements (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  med_id uuid not null references public.meds (id) on delete cascade,
+  kind text not null check (kind in ('purchase', 'dose', 'auto', 'correction')),
+  quantity numeric not null,
+  occurred_at timestamptz not null default now(),
+  packages numeric,
+  package_size numeric,
+  pharmacy text not null default '',
+  price numeric check (price is null or price >= 0),
+  note text not null default '',
+  dose_key text,
+  created_by uuid references public.profiles (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now(),
+  unique (med_id, dose_key)
+);
+
+create index if not exists stock_movements_med_id_idx
+  on public.stock_movements (med_id, occurred_at);
+
+insert into public.stock_movements (user_id, med_id, kind, quantity, note)
+select user_id, id, 'correction', stock, 'Estoque inicial'
+from public.meds
+where stock <> 0
+  and not exists (
+    select 1 from public.stock_movements where stock_movements.med_id = meds.id
+  );
+
+create or replace function public.clamp_stock_movement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  current_stock numeric;
+begin
+  select stock into current_stock from meds where id = new.med_id for update;
+  if new.quantity < 0 then
+    new.quantity := greatest(new.quantity, -greatest(coalesce(current_stock, 0), 0));
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.apply_stock_movement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if current_setting('medwatch.stock_opening', true) = new.med_id::text then
+    return new;
+  end if;
+  perform set_config('medwatch.stock_ledger', 'on', true);
+  update meds set stock = stock + new.quantity where id = new.med_id;
+  perform set_config('medwatch.stock_ledger', 'off', true);
+  return new;
+end;
+$$;
+
+create or replace function public.record_opening_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.stock <> 0 then
+    perform set_config('medwatch.stock_opening', new.id::text, true);
+    insert into stock_movements (user_id, med_id, kind, quantity, note)
+    values (new.user_id, new.id, 'correction', new.stock, 'Estoque inicial');
+    perform set_config('medwatch.stock_opening', '', true);
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.keep_ledger_stock()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(current_setting('medwatch.stock_ledger', true), '') <> 'on' then
+    new.stock := old.stock;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists clamp_stock_movement on public.stock_movements;
+create trigger clamp_stock_movement
+  before insert on public.stock_movements
+  for each row execute function public.clamp_stock_movement();
+
+drop trigger if exists apply_stock_movement on public.stock_movements;
+create trigger apply_stock_movement
+  after insert on public.stock_movements
+  for each row execute function public.apply_stock_movement();
+
+drop trigger if exists record_opening_stock on public.meds;
+create trigger record_opening_stock
+  after insert on public.meds
+  for each row execute function public.record_opening_stock();
+
+drop trigger if exists keep_ledger_stock on public.meds;
+create trigger keep_ledger_stock
+  before update on public.meds
+  for each row execute function public.keep_ledger_stock();
+
+alter table public.stock_movements enable row level security;
+
+drop policy if exists "stock_movements_select" on public.stock_movements;
+create policy "stock_movements_select" on public.stock_movements
+  for select using (public.med_role(med_id) is not null);
+
+drop policy if exists "stock_movements_insert" on public.stock_movements;
+create policy "stock_movements_insert" on public.stock_movements
+  for insert with check (
+    public.med_role(med_id) in ('owner', 'admin', 'editor')
+      and user_id = public.med_owner(med_id)
+      and created_by = auth.uid()
+  );
+
+grant select, insert on public.stock_movements to authenticated;
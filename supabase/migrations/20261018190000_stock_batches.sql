@@ -0,0 +1,107 @@
+create table if not exists public.stock_batches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  med_id uuid not null references public.meds (id) on delete cascade,
+  lot_number text not null default '',
+  expires_on date,
+  quantity numeric not null check (quantity > 0),
+  remaining numeric not null check (remaining >= 0),
+  expiry_notified text not null default ''
+    check (expiry_notified in ('', 'expiring', 'expired')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_batches_med_id_idx
+  on public.stock_batches (med_id, expires_on);
+
+alter table public.stock_movements
+  add column if not exists lot_number text not null default '',
+  add column if not exists expires_on date,
+  add column if not exists batch_id uuid references public.stock_batches (id) on delete set null;
+
+create or replace function public.clamp_stock_movement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  current_stock numeric;
+begin
+  select stock into current_stock from meds where id = new.med_id for update;
+  if new.quantity < 0 then
+    new.quantity := greatest(new.quantity, -greatest(coalesce(current_stock, 0), 0));
+  end if;
+  if new.kind = 'purchase'
+    and new.quantity > 0
+    and (new.lot_number <> '' or new.expires_on is not null) then
+    insert into stock_batches (id, user_id, med_id, lot_number, expires_on, quantity, remaining)
+    values (
+      new.id, new.user_id, new.med_id, new.lot_number, new.expires_on,
+      new.quantity, new.quantity
+    );
+    new.batch_id := new.id;
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.consume_stock_batches(
+  target_med_id uuid,
+  amount numeric,
+  preferred_batch_id uuid
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  batch record;
+  used numeric;
+begin
+  for batch in
+    select id, remaining from stock_batches
+    where med_id = target_med_id and remaining > 0
+    order by id = preferred_batch_id desc nulls last,
+      expires_on nulls last,
+      created_at
+    for update
+  loop
+    exit when amount <= 0;
+    used := least(batch.remaining, amount);
+    update stock_batches set remaining = remaining - used where id = batch.id;
+    amount := amount - used;
+  end loop;
+end;
+$$;
+
+create or replace function public.apply_stock_movement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if current_setting('medwatch.stock_opening', true) = new.med_id::text then
+    return new;
+  end if;
+  perform set_config('medwatch.stock_ledger', 'on', true);
+  update meds set stock = stock + new.quantity where id = new.med_id;
+  perform set_config('medwatch.stock_ledger', 'off', true);
+  if new.quantity < 0 then
+    perform consume_stock_batches(new.med_id, -new.quantity, new.batch_id);
+  end if;
+  return new;
+end;
+$$;
+
+revoke execute on function public.consume_stock_batches(uuid, numeric, uuid) from public;
+
+alter table public.stock_batches enable row level security;
+
+drop policy if exists "stock_batches_select" on public.stock_batches;
+create policy "stock_batches_select" on public.stock_batches
+  for select using (public.med_role(med_id) is not null);
+
+grant select on public.stock_batches to authenticated;
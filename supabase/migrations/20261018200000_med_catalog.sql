@@ -0,0 +1,4 @@
+alter table public.meds
+  add column if not exists active_ingredient text not null default '',
+  add column if not exists package_size numeric
+    check (package_size is null or package_size > 0);
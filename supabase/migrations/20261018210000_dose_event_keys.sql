@@ -0,0 +1,15 @@
+alter table public.dose_events
+  add column if not exists dose_key text;
+
+delete from public.dose_events duplicate
+using public.dose_events original
+where duplicate.source = 'auto'
+  and original.source = 'auto'
+  and duplicate.status = 'taken'
+  and original.status = 'taken'
+  and duplicate.med_id = original.med_id
+  and duplicate.scheduled_for = original.scheduled_for
+  and (duplicate.created_at, duplicate.id) > (original.created_at, original.id);
+
+create unique index if not exists dose_events_med_id_dose_key_idx
+  on public.dose_events (med_id, dose_key);
@@ -0,0 +1,37 @@
+create or replace function public.reserve_whatsapp_send(
+  target_user_id uuid,
+  target_recipient text,
+  target_kind text,
+  limits jsonb
+)
+returns table (log_id uuid, retry_after_minutes integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  rate_limit jsonb;
+begin
+  perform pg_advisory_xact_lock(hashtext('whatsapp_send_log:' || target_user_id::text));
+
+  for rate_limit in select * from jsonb_array_elements(limits) loop
+    if (
+      select count(*) from whatsapp_send_log
+      where user_id = target_user_id
+        and created_at >= now()
+          - make_interval(mins => (rate_limit ->> 'windowMinutes')::integer)
+    ) >= (rate_limit ->> 'max')::integer then
+      return query select null::uuid, (rate_limit ->> 'windowMinutes')::integer;
+      return;
+    end if;
+  end loop;
+
+  return query
+    insert into whatsapp_send_log (user_id, recipient, kind)
+    values (target_user_id, target_recipient, target_kind)
+    returning id, null::integer;
+end;
+$$;
+
+revoke execute on function public.reserve_whatsapp_send(uuid, text, text, jsonb)
+  from public, anon, authenticated;
@@ -0,0 +1,2 @@
+alter table public.meds
+  add column if not exists change_log jsonb not null default '[]'::jsonb;
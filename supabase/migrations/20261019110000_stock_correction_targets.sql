@@ -0,0 +1,36 @@
+alter table public.stock_movements
+  add column if not exists target_stock numeric
+    check (target_stock is null or target_stock >= 0);
+
+create or replace function public.clamp_stock_movement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  current_stock numeric;
+begin
+  select stock into current_stock from meds where id = new.med_id for update;
+  if new.target_stock is not null then
+    new.quantity := new.target_stock - coalesce(current_stock, 0);
+    if new.quantity = 0 then
+      return null;
+    end if;
+  end if;
+  if new.quantity < 0 then
+    new.quantity := greatest(new.quantity, -greatest(coalesce(current_stock, 0), 0));
+  end if;
+  if new.kind = 'purchase'
+    and new.quantity > 0
+    and (new.lot_number <> '' or new.expires_on is not null) then
+    insert into stock_batches (id, user_id, med_id, lot_number, expires_on, quantity, remaining)
+    values (
+      new.id, new.user_id, new.med_id, new.lot_number, new.expires_on,
+      new.quantity, new.quantity
+    );
+    new.batch_id := new.id;
+  end if;
+  return new;
+end;
+$$;